@@ -1,5 +1,10 @@
 const GreenCarbon = require('../index');
 
+// stop() resolves to null when tracking failed (the errors are in tracker.results.errors)
+function formatEmissions(emissions) {
+    return emissions === null ? 'not measured' : `${emissions.toFixed(6)} kg CO₂`;
+}
+
 /**
  * Advanced usage examples and patterns
  */
@@ -61,7 +66,7 @@ class MLModel {
             }
             
             const emissions = await tracker.stop();
-            console.log(`🌱 Model training emissions: ${emissions.toFixed(6)} kg CO₂`);
+            console.log(`🌱 Model training emissions: ${formatEmissions(emissions)}`);
             
             return {
                 model: 'trained_model',
@@ -133,7 +138,7 @@ class APIServer {
             this.requestCount++;
             this.totalEmissions += emissions;
             
-            console.log(`API request ${this.requestCount} - Emissions: ${emissions.toFixed(6)} kg CO₂`);
+            console.log(`API request ${this.requestCount} - Emissions: ${formatEmissions(emissions)}`);
             
             return {
                 success: true,
@@ -191,7 +196,7 @@ class BatchProcessor {
         const emissions = await this.tracker.stop();
         this.tracker = null;
         
-        console.log(`🛑 Batch processing completed. Emissions: ${emissions.toFixed(6)} kg CO₂`);
+        console.log(`🛑 Batch processing completed. Emissions: ${formatEmissions(emissions)}`);
         return emissions;
     }
 }
@@ -207,7 +212,7 @@ async function runAdvancedExamples() {
     
     const model = new MLModel();
     const trainingResult = await model.train(5);
-    console.log(`Training completed with ${trainingResult.emissions.toFixed(6)} kg CO₂`);
+    console.log(`Training completed with ${formatEmissions(trainingResult.emissions)}`);
     
     // Example 2: ML Model Inference
     console.log('\n🔮 Example 2: ML Model Inference');
@@ -215,7 +220,7 @@ async function runAdvancedExamples() {
     
     const testData = Array(100).fill(0).map(() => Math.random());
     const predictionResult = await model.predict(testData);
-    console.log(`Inference completed with ${predictionResult.emissions.toFixed(6)} kg CO₂`);
+    console.log(`Inference completed with ${formatEmissions(predictionResult.emissions)}`);
     console.log(`Predictions: ${predictionResult.predictions.slice(0, 5).map(x => x.toFixed(3)).join(', ')}...`);
     
     // Example 3: API Server Simulation
@@ -260,7 +265,7 @@ async function runAdvancedExamples() {
     }
     
     const batchEmissions = await batchProcessor.endBatch();
-    console.log(`Batch processing emissions: ${batchEmissions.toFixed(6)} kg CO₂`);
+    console.log(`Batch processing emissions: ${formatEmissions(batchEmissions)}`);
     
     // Example 5: Using utility wrapper
     console.log('\n🔧 Example 5: Utility Wrapper');
@@ -279,7 +284,7 @@ async function runAdvancedExamples() {
     );
     
     console.log(`Computation result: ${result.toFixed(2)}`);
-    console.log(`Emissions: ${emissions.toFixed(6)} kg CO₂`);
+    console.log(`Emissions: ${formatEmissions(emissions)}`);
     
     console.log('\n✅ All advanced examples completed!');
     console.log('📄 Check emissions.csv for comprehensive tracking data');
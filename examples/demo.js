@@ -1,5 +1,10 @@
 const GreenCarbon = require('../index');
 
+// stop() resolves to null when tracking failed (the errors are in tracker.results.errors)
+function formatEmissions(emissions) {
+    return emissions === null ? 'not measured' : `${emissions.toFixed(6)} kg CO₂`;
+}
+
 
 // CPU-intensive functions for testing
 function fibonacciRecursive(n) {
@@ -104,7 +109,7 @@ async function runDemos() {
     console.log(`Found ${primeCount} prime numbers`);
     
     const emissions1 = await tracker1.stop();
-    console.log(`💚 Emissions from prime calculation: ${emissions1.toFixed(6)} kg CO₂`);
+    console.log(`💚 Emissions from prime calculation: ${formatEmissions(emissions1)}`);
     
     // Demo 2: Using Utility Wrapper
     console.log('\n🔄 Demo 2: Using withTracking Utility');
@@ -119,7 +124,7 @@ async function runDemos() {
     );
     
     console.log(`Matrix sum: ${matrixResult.toFixed(2)}`);
-    console.log(`💚 Emissions from matrix operations: ${emissions2.toFixed(6)} kg CO₂`);
+    console.log(`💚 Emissions from matrix operations: ${formatEmissions(emissions2)}`);
     
     // Demo 3: Algorithm Comparison
     console.log('\n⚡ Demo 3: Comparing Algorithm Efficiency');
@@ -158,7 +163,7 @@ async function runDemos() {
         };
         
         console.log(`  ⏱️  Time: ${results[name].time.toFixed(3)}s`);
-        console.log(`  🌱 Emissions: ${results[name].emissions.toFixed(6)} kg CO₂`);
+        console.log(`  🌱 Emissions: ${formatEmissions(results[name].emissions)}`);
         console.log(`  ⚡ Efficiency: ${results[name].efficiency.toFixed(8)} kg CO₂/s`);
         console.log();
     }
@@ -172,7 +177,7 @@ async function runDemos() {
     const medals = ['🥇', '🥈', '🥉'];
     sortedByEmissions.forEach(([name, data], i) => {
         const medal = medals[i] || '🏅';
-        console.log(`${medal} ${name.toUpperCase().padEnd(12)} | ${data.emissions.toFixed(6)} kg CO₂ | ${data.time.toFixed(3)}s`);
+        console.log(`${medal} ${name.toUpperCase().padEnd(12)} | ${formatEmissions(data.emissions)} | ${data.time.toFixed(3)}s`);
     });
     
     // Demo 4: Continuous Monitoring
@@ -207,7 +212,7 @@ async function runDemos() {
     }
     
     const continuousEmissions = await continuousTracker.stop();
-    console.log(`💚 Total emissions from continuous work: ${continuousEmissions.toFixed(6)} kg CO₂`);
+    console.log(`💚 Total emissions from continuous work: ${formatEmissions(continuousEmissions)}`);
     
     // Demo 5: System Information
     console.log('\n🖥️  Demo 5: System Information');
@@ -1,5 +1,10 @@
 const GreenCarbon = require('../index');
 
+// stop() resolves to null when tracking failed (the errors are in tracker.results.errors)
+function formatEmissions(emissions) {
+    return emissions === null ? 'not measured' : `${emissions.toFixed(6)} kg CO2`;
+}
+
 /**
  * Simple usage example
  * Node.js equivalent of simple_demo.py
@@ -37,7 +42,7 @@ async function main() {
     } finally {
         // Stop tracking and get emissions data
         const emissions = await tracker.stop();
-        console.log(`\n🌱 Carbon emissions for this task: ${emissions.toFixed(6)} kg CO2`);
+        console.log(`\n🌱 Carbon emissions for this task: ${formatEmissions(emissions)}`);
         console.log('📄 Detailed emissions data saved to emissions.csv');
     }
 }
@@ -1,4 +1,19 @@
 const EmissionsTracker = require('./src/tracker');
+const providers = require('./src/providers');
+const CountryResolver = require('./src/countries');
+const EnergyMixDataset = require('./src/energymix');
+const EnergyMixImporter = require('./src/energymix-importer');
+const intensity = require('./src/intensity');
+const EmissionsReport = require('./src/report');
+const sinks = require('./src/sinks');
+const PrometheusExporter = require('./src/metrics');
+const OpenTelemetryIntegration = require('./src/otel');
+const RequestEmissions = require('./src/middleware');
+const SuiteEmissions = require('./src/testing');
+const { CarbonBudget } = require('./src/budget');
+const errors = require('./src/errors');
+const Logger = require('./src/logger');
+const config = require('./src/config');
 
 /**
  * GreenCarbon - Node.js Carbon Emissions Tracking Library
@@ -8,10 +23,21 @@ const EmissionsTracker = require('./src/tracker');
  * 
  * Features:
  * - Hardware power consumption tracking (CPU, RAM, GPU)
+ * - Pluggable power source providers per component
  * - Location-based carbon intensity calculation
+ * - Updatable per-year energy mix dataset (Our World in Data / Ember importer)
  * - CSV output compatible with CodeCarbon format
+ * - Pluggable output sinks (CSV, JSON Lines, JSON, SQLite, CodeCarbon API, callbacks)
  * - Real-time monitoring with configurable intervals
+ * - Prometheus/OpenMetrics exporter for live metrics
+ * - OpenTelemetry metrics and span attributes
+ * - Express/Koa/Fastify middleware for per-route request emissions
+ * - Jest and node:test reporters with per-test emissions
+ * - Carbon budgets with warnings and abort signals
+ * - Typed errors and an optional strict mode
+ * - Structured logging (text/JSON) with injectable loggers
  * - Support for manual overrides and configuration
+ * - Config files (.greencarbon.json) and GREENCARBON_* environment variables
  */
 
 /**
@@ -23,6 +49,50 @@ module.exports = {
     // Convenience factory function
     createTracker: (options = {}) => new EmissionsTracker(options),
     
+    // ISO 3166 country code/name resolver
+    CountryResolver,
+    
+    // Per-year energy mix dataset and its Our World in Data / Ember CSV importer
+    EnergyMixDataset,
+    EnergyMixImporter,
+    
+    // Power source providers (RAPL, TDP, constant, callback, external meter, ...)
+    providers,
+    
+    // Carbon intensity providers (static, time series file, HTTP API)
+    intensity,
+    
+    // Output sinks (CSV, JSON Lines, JSON, SQLite, CodeCarbon API, callback)
+    sinks,
+    
+    // Prometheus / OpenMetrics exporter
+    PrometheusExporter,
+    
+    // OpenTelemetry metrics and span attributes
+    OpenTelemetryIntegration,
+    
+    // Per-route request emissions middleware (Express, Koa, Fastify)
+    RequestEmissions,
+    
+    // Test suite emissions (used by the Jest and node:test reporters)
+    SuiteEmissions,
+    
+    // Carbon budgets (warning/exceeded events, abort reason)
+    CarbonBudget,
+    
+    // Error classes (GreenCarbonError, ConfigError, HardwareDetectionError, OutputError,
+    // IntensityLookupError, BudgetExceededError)
+    ...errors,
+    
+    // Logger (levels, pretty/text/JSON formats, pino/winston injection)
+    Logger,
+    
+    // Layered configuration (.greencarbon.json, GREENCARBON_* variables) and its schema
+    config,
+    
+    // Emissions history reporting (CSV/JSON)
+    EmissionsReport,
+    
     // Version info
     version: '1.0.0',
     
@@ -55,7 +125,8 @@ module.exports = {
                         
                         return result;
                     } catch (error) {
-                        await tracker.stop();
+                        // Keep the original error, even if a strict tracker fails to stop
+                        if (tracker.isTracking) await tracker.stop().catch(() => {});
                         throw error;
                     }
                 };
@@ -66,34 +137,47 @@ module.exports = {
         
         /**
          * Wrapper function for tracking emissions of any function
-         * @param {Function} fn - Function to track
-         * @param {Object} options - Tracker options
+         * With `openTelemetry: { tracer }` the call runs in a span annotated with its energy and emissions;
+         * `span` annotates an existing span instead
+         * @param {Function} fn - Function to track, called with the tracker's AbortSignal (aborted when a budget with abort is exceeded)
+         * @param {Object} options - Tracker options, plus `span` and `spanName`
          * @returns {Promise} Function result and emissions
          */
         withTracking: async (fn, options = {}) => {
-            const tracker = new EmissionsTracker(options);
-            
-            await tracker.start();
+            const { span, spanName, ...trackerOptions } = options;
+            const tracker = new EmissionsTracker(trackerOptions);
             
-            try {
-                const result = await fn();
-                const emissions = await tracker.stop();
+            const run = async () => {
+                await tracker.start();
                 
-                return { result, emissions };
-            } catch (error) {
-                await tracker.stop();
-                throw error;
-            }
+                try {
+                    const result = await fn(tracker.signal);
+                    const emissions = await tracker.stop();
+                    
+                    return { result, emissions };
+                } catch (error) {
+                    if (tracker.isTracking) await tracker.stop().catch(() => {});
+                    throw error;
+                }
+            };
+            
+            const telemetry = tracker.telemetry || (span ? new OpenTelemetryIntegration() : null);
+            if (!telemetry) return run();
+            
+            return telemetry.withSpan(spanName || tracker.projectName, tracker, run, span);
         },
         
         /**
          * Get system hardware information without starting tracking
+         * @param {Object} [options] - { includeConfig: add the effective configuration and where each value was set, logger: Logger for location detection messages }
          * @returns {Promise<Object>} System information
          */
-        getSystemInfo: async () => {
-            const tracker = new EmissionsTracker();
+        getSystemInfo: async (options = {}) => {
+            const tracker = new EmissionsTracker(options.logger ? { logger: options.logger } : {});
             await tracker.initializeSystemInfo();
-            return tracker.systemInfo;
+            if (!options.includeConfig) return tracker.systemInfo;
+            
+            return { ...tracker.systemInfo, config: config.resolveConfig() };
         }
     }
 };
@@ -0,0 +1,111 @@
+/**
+ * Client for the CodeCarbon dashboard API (experiments, runs and emissions)
+ * Requests are retried with exponential backoff on network errors, 429 and 5xx responses
+ */
+class APIError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'APIError';
+        this.status = status;
+        // Client errors (other than rate limiting) won't succeed on retry
+        this.retryable = status === null || status === 429 || status >= 500;
+    }
+}
+
+class CodeCarbonAPIClient {
+    constructor(options = {}) {
+        this.endpoint = (options.endpoint || 'https://api.codecarbon.io').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.retries = options.retries !== undefined ? options.retries : 3;
+        this.backoffMs = options.backoffMs !== undefined ? options.backoffMs : 1000;
+        this.timeout = options.timeout || 10000;
+    }
+
+    /**
+     * Send a JSON request once
+     * @returns {Promise<Object|null>} Parsed response body
+     */
+    async send(method, urlPath, body) {
+        const fetchFn = typeof fetch === 'function'
+            ? fetch
+            : (...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args));
+
+        const headers = { 'Content-Type': 'application/json', Accept: 'application/json' };
+        if (this.apiKey) headers['x-api-token'] = this.apiKey;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetchFn(`${this.endpoint}${urlPath}`, {
+                method: method,
+                headers: headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new APIError(`${method} ${urlPath} failed: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new APIError(`${method} ${urlPath} returned HTTP ${response.status}`, response.status);
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Send a JSON request, retrying transient failures with exponential backoff
+     */
+    async request(method, urlPath, body) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(method, urlPath, body);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.retries) throw error;
+                await new Promise(resolve => setTimeout(resolve, this.backoffMs * 2 ** attempt));
+            }
+        }
+    }
+
+    /**
+     * Create an experiment
+     * @returns {Promise<string>} Experiment id
+     */
+    async createExperiment(experiment) {
+        const response = await this.request('POST', '/experiments', experiment);
+        return this.getId(response, 'experiment');
+    }
+
+    /**
+     * Create a run in an experiment
+     * @returns {Promise<string>} Run id
+     */
+    async createRun(run) {
+        const response = await this.request('POST', '/runs', run);
+        return this.getId(response, 'run');
+    }
+
+    /**
+     * Add an emission payload to a run
+     */
+    async addEmission(emission) {
+        return this.request('POST', '/emissions', emission);
+    }
+
+    getId(response, kind) {
+        if (!response || !response.id) {
+            throw new APIError(`No ${kind} id in API response`, 0);
+        }
+        return response.id;
+    }
+}
+
+module.exports = {
+    APIError,
+    CodeCarbonAPIClient
+};
@@ -0,0 +1,116 @@
+const { EventEmitter } = require('events');
+const { ConfigError, BudgetExceededError } = require('./errors');
+
+const LIMITS = {
+    emissionsKg: { key: 'emissions', unit: 'kg CO₂' },
+    energyKWh: { key: 'energy', unit: 'kWh' },
+    durationSecs: { key: 'duration', unit: 's' }
+};
+
+/**
+ * Carbon budget for a tracked run
+ * Emits 'warning' when usage reaches a percentage of a limit and 'exceeded' when it goes over.
+ * Each event fires once per limit (and warning threshold).
+ */
+class CarbonBudget extends EventEmitter {
+    /**
+     * @param {Object} options - { emissionsKg, energyKWh, durationSecs, warningPercent = 80, abort = false }
+     */
+    constructor(options = {}) {
+        super();
+        this.limits = {};
+        for (const limit of Object.keys(LIMITS)) {
+            if (options[limit] === undefined || options[limit] === null) continue;
+
+            const value = Number(options[limit]);
+            if (!Number.isFinite(value) || value <= 0) {
+                throw new ConfigError(`Invalid budget ${limit} "${options[limit]}", expected a positive number`);
+            }
+            this.limits[limit] = value;
+        }
+
+        if (Object.keys(this.limits).length === 0) {
+            throw new ConfigError(`Budget needs at least one of: ${Object.keys(LIMITS).join(', ')}`);
+        }
+
+        const warningPercent = options.warningPercent !== undefined ? options.warningPercent : 80;
+        this.warningPercents = (Array.isArray(warningPercent) ? warningPercent : [warningPercent])
+            .map(Number)
+            .filter(percent => percent > 0 && percent < 100)
+            .sort((a, b) => a - b);
+        this.abort = options.abort === true;
+        this.reset();
+    }
+
+    /**
+     * Clear usage and fired events (on each tracker start)
+     */
+    reset() {
+        this.usage = {};
+        this.warned = new Set(); // 'limit:percent'
+        this.exceeded = new Set();
+    }
+
+    /**
+     * Check usage against the limits, emitting warning/exceeded events
+     * @param {Object} usage - { emissions (kg), energy (kWh), duration (s) }
+     * @returns {Object} Events fired by this check: { warnings: [], exceeded: [] }
+     *   ({ limit, value, budget, percent, unit, threshold? })
+     */
+    check(usage) {
+        const fired = { warnings: [], exceeded: [] };
+
+        for (const [limit, budget] of Object.entries(this.limits)) {
+            const value = usage[LIMITS[limit].key] || 0;
+            const percent = (value / budget) * 100;
+            this.usage[limit] = value;
+            const details = { limit, value, budget, percent, unit: LIMITS[limit].unit };
+
+            for (const threshold of this.warningPercents) {
+                const key = `${limit}:${threshold}`;
+                if (percent >= threshold && !this.warned.has(key) && !this.exceeded.has(limit)) {
+                    this.warned.add(key);
+                    fired.warnings.push({ ...details, threshold });
+                    this.emit('warning', { ...details, threshold });
+                }
+            }
+
+            if (value > budget && !this.exceeded.has(limit)) {
+                this.exceeded.add(limit);
+                fired.exceeded.push(details);
+                this.emit('exceeded', details);
+            }
+        }
+
+        return fired;
+    }
+
+    /**
+     * Budget outcome for the final results
+     */
+    getStatus() {
+        const limits = {};
+        for (const [limit, budget] of Object.entries(this.limits)) {
+            const value = this.usage[limit] || 0;
+            limits[limit] = {
+                budget: budget,
+                value: value,
+                percent: (value / budget) * 100,
+                exceeded: this.exceeded.has(limit)
+            };
+        }
+
+        return {
+            limits: limits,
+            exceeded: this.exceeded.size > 0,
+            warnings: [...this.warned]
+        };
+    }
+}
+
+CarbonBudget.LIMITS = LIMITS;
+
+module.exports = {
+    CarbonBudget,
+    BudgetExceededError
+};
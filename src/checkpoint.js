@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const Logger = require('./logger');
+
+/**
+ * Crash-safe checkpoints of in-progress runs
+ * Each running tracker keeps a sidecar JSON file with its latest results. A file left behind
+ * by a process that no longer exists is an orphaned checkpoint of an interrupted run.
+ */
+const FILE_PREFIX = '.green-carbon-checkpoint-';
+
+class CheckpointManager {
+    constructor(options = {}) {
+        this.dir = options.dir || '.';
+        this.everyMeasurements = options.everyMeasurements !== undefined ? options.everyMeasurements : 1;
+        this.intervalSecs = options.intervalSecs || null;
+        this.lastSaveTime = 0;
+        this.measurementsSinceSave = 0;
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Checkpoint file of a run
+     */
+    getPath(runId) {
+        return path.join(this.dir, `${FILE_PREFIX}${runId}.json`);
+    }
+
+    /**
+     * Whether a checkpoint is due after a new measurement
+     */
+    isDue(now = Date.now()) {
+        this.measurementsSinceSave++;
+
+        const byCount = this.everyMeasurements > 0 && this.measurementsSinceSave >= this.everyMeasurements;
+        const byTime = this.intervalSecs && (now - this.lastSaveTime) / 1000 >= this.intervalSecs;
+        return Boolean(byCount || byTime);
+    }
+
+    /**
+     * Write a checkpoint
+     * Synchronous so it can also run from exit handlers; written to a temporary file and renamed
+     * so a crash mid-write never leaves a truncated checkpoint
+     * @param {string} runId - Run id
+     * @param {Object} results - Results so far (EmissionsTracker.calculateFinalEmissions())
+     */
+    save(runId, results) {
+        const checkpoint = {
+            pid: process.pid,
+            runId: runId,
+            savedAt: new Date().toISOString(),
+            results: results
+        };
+
+        const filePath = this.getPath(runId);
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(checkpoint));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+
+        this.lastSaveTime = Date.now();
+        this.measurementsSinceSave = 0;
+    }
+
+    /**
+     * Remove the checkpoint of a run
+     */
+    remove(runId) {
+        try {
+            fs.unlinkSync(this.getPath(runId));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Check whether a process is still running
+     */
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            // EPERM: the process exists but belongs to another user
+            return error.code === 'EPERM';
+        }
+    }
+
+    /**
+     * Find checkpoints left behind by processes that are no longer running
+     * @param {Set<string>} activeRunIds - Runs tracked in this process, never considered orphaned
+     * @returns {Object[]} Orphaned checkpoints ({ file, pid, runId, savedAt, results })
+     */
+    findOrphans(activeRunIds = new Set()) {
+        let files;
+        try {
+            files = fs.readdirSync(this.dir);
+        } catch (error) {
+            return [];
+        }
+
+        const orphans = [];
+        for (const name of files) {
+            if (!name.startsWith(FILE_PREFIX) || !name.endsWith('.json')) continue;
+
+            const file = path.join(this.dir, name);
+            let checkpoint;
+            try {
+                checkpoint = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                this.logger.warn(`⚠️  Ignoring unreadable checkpoint ${file}:`, { file, error });
+                continue;
+            }
+
+            if (activeRunIds.has(checkpoint.runId)) continue;
+            if (checkpoint.pid !== process.pid && this.isProcessAlive(checkpoint.pid)) continue;
+
+            orphans.push({ file, ...checkpoint });
+        }
+
+        return orphans;
+    }
+}
+
+CheckpointManager.FILE_PREFIX = FILE_PREFIX;
+
+module.exports = CheckpointManager;
@@ -0,0 +1,395 @@
+const fs = require('fs');
+const os = require('os');
+const { Console } = require('console');
+const { spawn } = require('child_process');
+const EmissionsTracker = require('./tracker');
+const EmissionsReport = require('./report');
+const EnergyMixDataset = require('./energymix');
+const EnergyMixImporter = require('./energymix-importer');
+const { resolveConfig } = require('./config');
+const Logger = require('./logger');
+
+/**
+ * Command-line interface - equivalent to codecarbon's `codecarbon monitor`
+ *
+ *   green-carbon run [options] -- <command> [args...]
+ *   green-carbon report [--file emissions.csv] [--project ...] [--group-by day|week|project|task] [--json]
+ *   green-carbon info [--show-config]
+ *   green-carbon import-energy-mix --file owid-energy-data.csv [--format owid|ember] [--output global_energy_mix.json]
+ */
+
+/**
+ * Tracker options accepted as --kebab-case flags, with their value types
+ */
+const TRACKER_FLAGS = {
+    projectName: 'string',
+    measurePowerSecs: 'number',
+    countryCode: 'string',
+    region: 'string',
+    offline: 'boolean',
+    energyMixYear: 'number',
+    energyMixPath: 'string',
+    saveToFile: 'boolean',
+    outputFile: 'string',
+    logLevel: 'string',
+    logFormat: 'string',
+    pue: 'number',
+    forceCpuPower: 'number',
+    forceRamPower: 'number',
+    forceGpuPower: 'number',
+    useRapl: 'boolean',
+    raplPath: 'string',
+    gpuIds: 'string',
+    trackingMode: 'string',
+    trackChildProcesses: 'boolean',
+    cloudProvider: 'string',
+    cloudRegion: 'string',
+    detectCloud: 'boolean'
+};
+
+/**
+ * Subcommand flags, with their value types
+ */
+const COMMAND_FLAGS = {
+    help: 'boolean',
+    file: 'string',
+    project: 'string',
+    experiment: 'string',
+    from: 'string',
+    to: 'string',
+    country: 'string',
+    groupBy: 'string',
+    json: 'boolean',
+    metricsPort: 'number',
+    metricsHost: 'string',
+    showConfig: 'boolean',
+    format: 'string',
+    output: 'string'
+};
+
+const USAGE = `Usage: green-carbon <command> [options]
+
+Commands:
+  run [options] -- <command> [args...]   Track emissions of a command until it exits
+  report [options]                       Summarize emissions history from CSV/JSON files
+  info [--show-config]                   Print detected hardware information (and the effective config)
+  import-energy-mix --file <csv>         Convert an Our World in Data / Ember export to an energy mix dataset
+
+Tracker options (run):
+  --project-name <name>        Project identifier (default: command name)
+  --measure-power-secs <secs>  Measurement interval (default: 15)
+  --country-code <code>        ISO country code or name
+  --region <region>            State/province/eGRID subregion
+  --offline                    Require an explicit location, never detect it
+  --energy-mix-year <year>     Energy mix dataset year to use (e.g. 2022)
+  --energy-mix-path <file>     Energy mix dataset (default: the bundled one)
+  --output-file <file>         CSV output file (default: emissions.csv)
+  --no-save-to-file            Don't write results to the CSV file
+  --log-level <level>          silent, error, warn, info or debug (default: info)
+  --log-format <format>        pretty, text or json (default: pretty)
+  --pue <value>                Power Usage Effectiveness
+  --force-cpu-power <watts>    Override CPU power
+  --force-ram-power <watts>    Override RAM power
+  --force-gpu-power <watts>    Override GPU power
+  --no-use-rapl                Don't read RAPL energy counters
+  --rapl-path <dir>            powercap directory (default: /sys/class/powercap)
+  --gpu-ids <ids>              GPU indices/UUIDs to track, e.g. 0,1
+  --tracking-mode <mode>       machine or process
+  --cloud-provider <provider>  aws, gcp or azure
+  --cloud-region <region>      Cloud provider region
+  --detect-cloud               Detect cloud provider from env vars and DMI files
+  --metrics-port <port>        Serve Prometheus metrics on this port while running
+  --metrics-host <host>        Metrics server address (default: 127.0.0.1, 0.0.0.0 for all interfaces)
+
+Report options:
+  --file <files>               Comma-separated CSV/JSON/JSONL files (default: emissions.csv)
+  --project <name>             Only runs of this project
+  --experiment <id>            Only runs of this experiment
+  --from <date>                Only runs at or after this date (e.g. 2025-08-01)
+  --to <date>                  Only runs up to this date (inclusive)
+  --country <code>             Only runs in this country (any ISO code or name)
+  --group-by <key>             day, week, project, experiment, country or task (default: day)
+  --json                       Print the report as JSON
+
+Import options:
+  --file <csv>                 owid-energy-data.csv or Ember yearly data (long format)
+  --format <format>            owid or ember (default: detected from the header)
+  --output <file>              Dataset to create or update (default: global_energy_mix.json)
+
+Tracker options can also be set in .greencarbon.json (project directory or home)
+and with GREENCARBON_* environment variables, e.g. GREENCARBON_COUNTRY_CODE=FR.
+`;
+
+/**
+ * Convert a --kebab-case flag name to camelCase
+ */
+function toCamelCase(flag) {
+    return flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments after the node executable and script
+ * @returns {Object} { command, options, flags, commandArgs }
+ */
+function parseArgs(argv) {
+    const separator = argv.indexOf('--');
+    const ownArgs = separator >= 0 ? argv.slice(0, separator) : argv;
+    const commandArgs = separator >= 0 ? argv.slice(separator + 1) : [];
+
+    const result = { command: null, options: {}, flags: {}, commandArgs: commandArgs };
+
+    for (let i = 0; i < ownArgs.length; i++) {
+        const arg = ownArgs[i];
+
+        if (!arg.startsWith('--')) {
+            if (!result.command) {
+                result.command = arg;
+                continue;
+            }
+            throw new Error(`Unexpected argument "${arg}" (put the command to run after --)`);
+        }
+
+        let name = arg.slice(2);
+        let value = null;
+        const equals = name.indexOf('=');
+        if (equals >= 0) {
+            value = name.slice(equals + 1);
+            name = name.slice(0, equals);
+        }
+
+        const negated = name.startsWith('no-');
+        const key = toCamelCase(negated ? name.slice(3) : name);
+
+        // Tracker flags become tracker options, the others are kept for the subcommands
+        const isTrackerFlag = Boolean(TRACKER_FLAGS[key]);
+        const type = TRACKER_FLAGS[key] || COMMAND_FLAGS[key];
+        const target = isTrackerFlag ? result.options : result.flags;
+
+        if (!type) {
+            throw new Error(`Unknown option --${name}`);
+        }
+
+        if (type === 'boolean') {
+            target[key] = negated ? false : (value === null ? true : value !== 'false');
+            continue;
+        }
+
+        if (value === null) {
+            value = ownArgs[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for --${name}`);
+            }
+        }
+
+        if (type === 'number') {
+            const number = Number(value);
+            if (!Number.isFinite(number)) {
+                throw new Error(`--${name} expects a number, got "${value}"`);
+            }
+            target[key] = number;
+        } else {
+            target[key] = value;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Run a command under an emissions tracker and propagate its exit status
+ * @returns {Promise<number>} Exit code
+ */
+async function runCommand(parsed) {
+    const [command, ...args] = parsed.commandArgs;
+    if (!command) {
+        throw new Error('No command given. Usage: green-carbon run [options] -- <command> [args...]');
+    }
+
+    // The command name is the default project name, unless one is configured
+    const options = { ...parsed.options };
+    if (!resolveConfig(options).options.projectName) {
+        options.projectName = command;
+    }
+    if (parsed.flags.metricsPort !== undefined) {
+        options.metrics = { port: parsed.flags.metricsPort, host: parsed.flags.metricsHost };
+    }
+    if (options.trackingMode === 'process' && options.trackChildProcesses === undefined) {
+        options.trackChildProcesses = true;
+    }
+
+    const tracker = new EmissionsTracker(options);
+    await tracker.start();
+
+    const child = spawn(command, args, { stdio: 'inherit', shell: process.platform === 'win32' });
+    if (tracker.processMonitor && child.pid) {
+        tracker.processMonitor.addChildPid(child.pid);
+    }
+
+    // Forward termination signals to the child; the tracker stops once it exits
+    const signals = ['SIGINT', 'SIGTERM', 'SIGHUP'];
+    const forward = signal => {
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill(signal);
+        }
+    };
+    signals.forEach(signal => process.on(signal, forward));
+
+    const { code, signal, error } = await new Promise(resolve => {
+        child.on('error', err => resolve({ code: null, signal: null, error: err }));
+        child.on('exit', (exitCode, exitSignal) => resolve({ code: exitCode, signal: exitSignal }));
+    });
+
+    signals.forEach(s => process.removeListener(s, forward));
+    await tracker.stop();
+
+    if (error) {
+        console.error(`❌ Failed to run "${command}": ${error.message}`);
+        return error.code === 'ENOENT' ? 127 : 1;
+    }
+
+    if (signal) {
+        // Re-raise the child's signal so callers see the same termination
+        process.kill(process.pid, signal);
+        return 128 + (os.constants.signals[signal] || 0);
+    }
+
+    return code;
+}
+
+/**
+ * Print a report of the emissions history
+ * @returns {Promise<number>} Exit code
+ */
+async function reportCommand(parsed) {
+    const { flags } = parsed;
+
+    let files = flags.file
+        ? flags.file.split(',').map(file => file.trim()).filter(Boolean)
+        : [resolveConfig(parsed.options).options.outputFile || 'emissions.csv'];
+
+    // Fall back to emissions.json when no CSV history exists
+    if (!flags.file && !fs.existsSync(files[0]) && fs.existsSync('emissions.json')) {
+        files = ['emissions.json'];
+    }
+
+    const missing = files.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+        throw new Error(`Emissions file not found: ${missing.join(', ')}`);
+    }
+
+    const groupBy = flags.groupBy || 'day';
+    if (!EmissionsReport.GROUP_BY.includes(groupBy)) {
+        throw new Error(`--group-by must be one of: ${EmissionsReport.GROUP_BY.join(', ')}`);
+    }
+
+    const report = new EmissionsReport();
+    const records = await report.load(files);
+    if (report.skipped.length > 0) {
+        const rows = report.skipped.map(({ file, row }) => `${file} row ${row}`).join(', ');
+        console.error(`⚠️  Skipped ${report.skipped.length} row(s) with an invalid timestamp: ${rows}`);
+    }
+    const summary = report.summarize(records, {
+        project: flags.project,
+        experiment: flags.experiment,
+        from: flags.from,
+        to: flags.to,
+        country: flags.country,
+        groupBy: groupBy
+    });
+
+    console.log(flags.json ? JSON.stringify(summary, null, 2) : report.formatTable(summary));
+    return 0;
+}
+
+/**
+ * Print detected system information (and the effective configuration) as JSON
+ * @returns {Promise<number>} Exit code
+ */
+async function infoCommand(parsed) {
+    const { utils } = require('../index');
+    // Messages go to stderr so stdout is only the JSON (e.g. for `green-carbon info | jq`)
+    const logger = new Logger({
+        level: parsed.options.logLevel,
+        format: parsed.options.logFormat,
+        console: new Console({ stdout: process.stderr, stderr: process.stderr })
+    });
+    const systemInfo = await utils.getSystemInfo({ includeConfig: parsed.flags.showConfig === true, logger: logger });
+    console.log(JSON.stringify(systemInfo, null, 2));
+    return 0;
+}
+
+/**
+ * Import an Our World in Data / Ember CSV export into an energy mix dataset file
+ * Years already in the output file are replaced, other years and countries are kept
+ * @returns {Promise<number>} Exit code
+ */
+async function importEnergyMixCommand(parsed) {
+    const { flags } = parsed;
+    if (!flags.file) {
+        throw new Error('Missing --file <csv>');
+    }
+    if (!fs.existsSync(flags.file)) {
+        throw new Error(`CSV file not found: ${flags.file}`);
+    }
+
+    const output = flags.output || 'global_energy_mix.json';
+    const imported = await new EnergyMixImporter().import(flags.file, { format: flags.format });
+    const dataset = fs.existsSync(output) ? EnergyMixDataset.load(output).merge(imported) : imported;
+    dataset.save(output);
+
+    const years = Object.keys(imported.countries).flatMap(code => imported.getYears(code));
+    const range = years.length > 0 ? ` (${Math.min(...years)}-${Math.max(...years)})` : '';
+    console.log(`✅ Imported ${Object.keys(imported.countries).length} countries${range} into ${output}`);
+    console.log(`   Use it with --energy-mix-path ${output} or the energyMixPath option`);
+    return 0;
+}
+
+/**
+ * CLI entry point
+ * @param {string[]} argv - Arguments after the node executable and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    if (!parsed.command || parsed.flags.help || parsed.command === 'help') {
+        console.log(USAGE);
+        return parsed.command || parsed.flags.help ? 0 : 2;
+    }
+
+    const commands = {
+        run: runCommand,
+        report: reportCommand,
+        info: infoCommand,
+        'import-energy-mix': importEnergyMixCommand
+    };
+
+    const handler = commands[parsed.command];
+    if (!handler) {
+        console.error(`❌ Unknown command "${parsed.command}"`);
+        console.error(USAGE);
+        return 2;
+    }
+
+    try {
+        return await handler(parsed);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 1;
+    }
+}
+
+module.exports = {
+    main,
+    parseArgs,
+    TRACKER_FLAGS,
+    COMMAND_FLAGS
+};
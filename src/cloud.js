@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const cloudRegions = require('../data/cloud_regions.json');
+
+/**
+ * Cloud provider and region support - equivalent to codecarbon's cloud mode
+ * Uses a bundled table of per-region grid carbon intensity and default PUE.
+ * Detection only looks at environment variables and local DMI files (no network)
+ */
+const PROVIDER_ALIASES = {
+    aws: 'aws',
+    amazon: 'aws',
+    gcp: 'gcp',
+    google: 'gcp',
+    gce: 'gcp',
+    azure: 'azure',
+    microsoft: 'azure'
+};
+
+// Variables set by the provider's own runtimes, enough to know where the process runs
+const RUNTIME_VARIABLES = {
+    aws: ['AWS_EXECUTION_ENV', 'AWS_LAMBDA_FUNCTION_NAME', 'ECS_CONTAINER_METADATA_URI', 'ECS_CONTAINER_METADATA_URI_V4'],
+    gcp: ['GAE_APPLICATION', 'GAE_ENV', 'CLOUD_RUN_JOB'],
+    azure: ['WEBSITE_INSTANCE_ID', 'CONTAINER_APP_NAME']
+};
+
+// Variables only used for the region once the provider is confirmed
+const REGION_VARIABLES = {
+    aws: ['AWS_REGION', 'AWS_DEFAULT_REGION'],
+    gcp: ['GOOGLE_CLOUD_REGION', 'FUNCTION_REGION', 'CLOUDSDK_COMPUTE_REGION'],
+    azure: ['AZURE_REGION', 'REGION_NAME']
+};
+
+class CloudRegions {
+    constructor(options = {}) {
+        this.data = options.data || cloudRegions;
+        this.env = options.env || process.env;
+        this.dmiPath = options.dmiPath || '/sys/class/dmi/id';
+    }
+
+    /**
+     * Normalize a provider name ('AWS', 'google', 'Azure') to 'aws', 'gcp' or 'azure'
+     * @returns {string|null} Provider key or null when unsupported
+     */
+    normalizeProvider(provider) {
+        if (!provider) return null;
+        return PROVIDER_ALIASES[String(provider).trim().toLowerCase()] || null;
+    }
+
+    /**
+     * Look up a cloud region
+     * @param {string} provider - 'aws', 'gcp' or 'azure'
+     * @param {string} [region] - Provider region name (e.g. 'us-east-1', 'europe-west1', 'westeurope')
+     * @returns {Object|null} Provider (and region, when known) information
+     */
+    resolve(provider, region = null) {
+        const key = this.normalizeProvider(provider);
+        if (!key || !this.data[key]) return null;
+
+        const providerData = this.data[key];
+        const result = {
+            provider: key,
+            providerName: providerData.name,
+            pue: providerData.pue,
+            region: null,
+            location: null,
+            countryCode: null,
+            subregion: null,
+            carbonIntensity: null
+        };
+
+        if (!region) return result;
+
+        // GCP zones ('europe-west1-b') and AWS availability zones ('us-east-1a') map to their region
+        const regionKey = this.findRegionKey(providerData.regions, String(region).trim().toLowerCase());
+        if (!regionKey) return { ...result, region: region };
+
+        const regionData = providerData.regions[regionKey];
+        return {
+            ...result,
+            region: regionKey,
+            location: regionData.location,
+            countryCode: regionData.country_iso_code,
+            subregion: regionData.region,
+            carbonIntensity: regionData.carbon_intensity
+        };
+    }
+
+    /**
+     * Find a region key, accepting availability zone names
+     */
+    findRegionKey(regions, region) {
+        if (regions[region]) return region;
+
+        const zoneMatch = region.match(/^(.+?)(-[a-z]|[a-z])$/);
+        if (zoneMatch && regions[zoneMatch[1]]) return zoneMatch[1];
+
+        return null;
+    }
+
+    /**
+     * List supported regions for a provider
+     */
+    getRegions(provider) {
+        const key = this.normalizeProvider(provider);
+        return key && this.data[key] ? Object.keys(this.data[key].regions) : [];
+    }
+
+    /**
+     * Detect the provider from runtime environment variables, then DMI metadata.
+     * The region comes from the provider's region variables once the provider is known
+     * @returns {Object|null} { provider, region, source } or null when not on a known cloud
+     */
+    detect() {
+        const detected = this.detectFromEnv() || this.detectFromDMI();
+        if (!detected) return null;
+        return { ...detected, region: this.getRegionFromEnv(detected.provider) };
+    }
+
+    /**
+     * Detect the cloud provider from variables only its runtimes set (Lambda, ECS, App Engine, App Service...)
+     * Region variables alone are not enough: AWS_REGION or REGION_NAME are often set on developer machines
+     */
+    detectFromEnv() {
+        const provider = Object.keys(RUNTIME_VARIABLES).find(key => RUNTIME_VARIABLES[key].some(name => this.env[name]));
+        return provider ? { provider, region: this.getRegionFromEnv(provider), source: 'env' } : null;
+    }
+
+    /**
+     * Read the region of a provider from its environment variables
+     * @param {string} provider - 'aws', 'gcp' or 'azure'
+     * @returns {string|null} Region name (Azure display names like 'West Europe' become 'westeurope')
+     */
+    getRegionFromEnv(provider) {
+        const name = (REGION_VARIABLES[provider] || []).find(key => this.env[key]);
+        if (!name) return null;
+
+        const region = this.env[name];
+        return provider === 'azure' ? region.replace(/\s+/g, '').toLowerCase() : region;
+    }
+
+    /**
+     * Read a DMI attribute, returning an empty string when unavailable
+     */
+    readDMI(name) {
+        try {
+            return fs.readFileSync(path.join(this.dmiPath, name), 'utf8').trim();
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Detect the cloud provider from local DMI files (Linux VMs)
+     * DMI cannot tell the region, detect() fills it from the region variables when set
+     */
+    detectFromDMI() {
+        const sysVendor = this.readDMI('sys_vendor').toLowerCase();
+        const productName = this.readDMI('product_name').toLowerCase();
+        const biosVendor = this.readDMI('bios_vendor').toLowerCase();
+        const productVersion = this.readDMI('product_version').toLowerCase();
+        const assetTag = this.readDMI('chassis_asset_tag');
+
+        if (sysVendor.includes('amazon') || biosVendor.includes('amazon') || productVersion.includes('amazon')) {
+            return { provider: 'aws', region: null, source: 'dmi' };
+        }
+
+        if (sysVendor.includes('google') || productName.includes('google compute engine')) {
+            return { provider: 'gcp', region: null, source: 'dmi' };
+        }
+
+        // Azure VMs report Microsoft as vendor and a fixed chassis asset tag
+        if (sysVendor.includes('microsoft') && assetTag === '7783-7084-3265-9085-8269-3286-77') {
+            return { provider: 'azure', region: null, source: 'dmi' };
+        }
+
+        return null;
+    }
+}
+
+CloudRegions.PROVIDER_ALIASES = PROVIDER_ALIASES;
+
+module.exports = CloudRegions;
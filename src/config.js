@@ -0,0 +1,309 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CloudRegions = require('./cloud');
+const { ConfigError } = require('./errors');
+
+/**
+ * Layered configuration - equivalent to codecarbon's .codecarbon.config
+ *
+ * Precedence (highest first):
+ * 1. Options passed to the EmissionsTracker constructor
+ * 2. GREENCARBON_* environment variables (e.g. GREENCARBON_MEASURE_POWER_SECS=5)
+ * 3. Project config: .greencarbon.json, discovered upward from the working directory
+ * 4. User config: ~/.greencarbon.json
+ */
+const CONFIG_FILE = '.greencarbon.json';
+const ENV_PREFIX = 'GREENCARBON_';
+
+/**
+ * Tracker options with their accepted types and constraints
+ * codeOnly options hold functions or instances, so they can only be passed in code
+ */
+const SCHEMA = {
+    projectName: { type: 'string' },
+    measurePowerSecs: { type: 'number', min: 0, exclusiveMin: true },
+    countryCode: { type: 'string' },
+    region: { type: 'string' },
+    offline: { type: 'boolean' },
+    energyMixYear: { type: 'number', min: 1900 },
+    energyMixPath: { type: 'string' },
+    saveToFile: { type: 'boolean' },
+    outputFile: { type: 'string' },
+    outputs: { type: ['array', 'string', 'object', 'function'] },
+    logLevel: { type: 'string', enum: ['silent', 'error', 'warn', 'info', 'debug'], ignoreCase: true },
+    logFormat: { type: 'string', enum: ['pretty', 'text', 'json'] },
+    logger: { type: 'object', codeOnly: true },
+    pue: { type: 'number', min: 1 },
+    forceCpuPower: { type: 'number', min: 0 },
+    forceRamPower: { type: 'number', min: 0 },
+    forceGpuPower: { type: 'number', min: 0 },
+    useRapl: { type: 'boolean' },
+    raplPath: { type: 'string' },
+    gpuIds: { type: ['string', 'array'] },
+    trackingMode: { type: 'string', enum: ['machine', 'process'] },
+    trackChildProcesses: { type: 'boolean' },
+    childPids: { type: 'array' },
+    cloudProvider: { type: 'string', enum: Object.keys(CloudRegions.PROVIDER_ALIASES), ignoreCase: true },
+    cloudRegion: { type: 'string' },
+    detectCloud: { type: 'boolean' },
+    metrics: { type: ['boolean', 'object'] },
+    openTelemetry: { type: 'object', codeOnly: true },
+    checkpoint: { type: ['boolean', 'object'] },
+    handleSignals: { type: 'boolean' },
+    budget: { type: 'object' },
+    strict: { type: 'boolean' },
+    powerProviders: { type: 'object', codeOnly: true },
+    intensityProviders: { type: ['array', 'function', 'object'], codeOnly: true }
+};
+
+/**
+ * GREENCARBON_* variable name of an option (measurePowerSecs -> GREENCARBON_MEASURE_POWER_SECS)
+ */
+function toEnvName(key) {
+    return ENV_PREFIX + key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
+
+/**
+ * Type of a value as used in the schema
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Value as shown in error messages: primitives with their value, functions and objects by type
+ */
+function describeValue(value) {
+    const type = typeOf(value);
+    return ['string', 'number', 'boolean'].includes(type) ? `${type} ${JSON.stringify(value)}` : type;
+}
+
+/**
+ * Check option values against the schema
+ * @param {Object} values - Options to check
+ * @param {Object} [options] - { inCode: codeOnly options are allowed (constructor options),
+ *   allowUnknown: keep options that aren't in the schema }
+ * @returns {Object[]} Problems found: { key, message }
+ */
+function findProblems(values, options = {}) {
+    const problems = [];
+    const add = (key, message) => problems.push({ key, message });
+
+    for (const [key, value] of Object.entries(values)) {
+        if (value === undefined || value === null) continue;
+
+        const rule = SCHEMA[key];
+        if (!rule) {
+            if (!options.allowUnknown) add(key, `unknown option "${key}"`);
+            continue;
+        }
+        if (rule.codeOnly && !options.inCode) {
+            add(key, `"${key}" can only be set in code`);
+            continue;
+        }
+
+        const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+        const type = typeOf(value);
+        if (!types.includes(type) || (type === 'number' && !Number.isFinite(value))) {
+            add(key, `"${key}" must be ${types.join(' or ')}, got ${describeValue(value)}`);
+            continue;
+        }
+
+        const comparable = rule.ignoreCase ? value.toLowerCase() : value;
+        if (rule.enum && !rule.enum.includes(comparable)) {
+            add(key, `"${key}" must be one of ${rule.enum.join(', ')}, got ${JSON.stringify(value)}`);
+        } else if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+            add(key, `"${key}" must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Validate option values against the schema
+ * @param {Object} values - Options to check
+ * @param {string} source - Where they come from, for error messages
+ * @param {Object} [options] - Same as findProblems()
+ * @throws {ConfigError} Listing every invalid option
+ */
+function validate(values, source, options = {}) {
+    const problems = findProblems(values, options);
+    if (problems.length > 0) {
+        throw new ConfigError(`Invalid configuration in ${source}:\n  - ${problems.map(problem => problem.message).join('\n  - ')}`);
+    }
+}
+
+/**
+ * Convert an environment variable string to the option's type
+ */
+function parseEnvValue(key, raw) {
+    const types = Array.isArray(SCHEMA[key].type) ? SCHEMA[key].type : [SCHEMA[key].type];
+    const value = raw.trim();
+
+    if (types.includes('boolean') && /^(true|false|1|0|yes|no)$/i.test(value)) {
+        return /^(true|1|yes)$/i.test(value);
+    }
+    if (types.includes('number') && value !== '' && Number.isFinite(Number(value))) {
+        return Number(value);
+    }
+    if ((types.includes('object') || types.includes('array')) && /^[[{]/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            throw new ConfigError(`Invalid configuration in ${toEnvName(key)}: ${error.message}`);
+        }
+    }
+    if (types.includes('array') && !types.includes('string')) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return value;
+}
+
+/**
+ * Options set through GREENCARBON_* environment variables
+ * @returns {Object} { values, sources }
+ */
+function readEnv(env = process.env) {
+    const values = {};
+    const sources = {};
+
+    for (const [key, rule] of Object.entries(SCHEMA)) {
+        const name = toEnvName(key);
+        if (rule.codeOnly || env[name] === undefined || env[name] === '') continue;
+
+        values[key] = parseEnvValue(key, env[name]);
+        sources[key] = `env:${name}`;
+    }
+
+    validate(values, 'environment variables');
+    return { values, sources };
+}
+
+/**
+ * Read and validate a JSON config file
+ */
+function readConfigFile(filePath) {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(`Invalid configuration in ${filePath}: ${error.message}`);
+    }
+
+    if (typeOf(values) !== 'object') {
+        throw new ConfigError(`Invalid configuration in ${filePath}: expected a JSON object`);
+    }
+
+    validate(values, filePath);
+    return values;
+}
+
+/**
+ * Find the project config file in a directory or its parents
+ * @returns {string|null} Path of the nearest .greencarbon.json
+ */
+function findProjectConfig(cwd = process.cwd()) {
+    let dir = path.resolve(cwd);
+
+    while (true) {
+        const candidate = path.join(dir, CONFIG_FILE);
+        if (fs.existsSync(candidate)) return candidate;
+
+        const parent = path.dirname(dir);
+        if (parent === dir) return null;
+        dir = parent;
+    }
+}
+
+/**
+ * Load the configuration layers below the constructor options
+ * @param {Object} [options] - { cwd, env, homeDir, configFile (replaces project discovery) }
+ * @returns {Object} { options, sources (option -> where it was set), files }
+ */
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const homeDir = options.homeDir !== undefined ? options.homeDir : os.homedir();
+
+    const layers = [];
+    const userFile = homeDir ? path.join(homeDir, CONFIG_FILE) : null;
+    const projectFile = options.configFile
+        ? path.resolve(options.cwd || process.cwd(), options.configFile)
+        : findProjectConfig(options.cwd);
+
+    if (userFile && fs.existsSync(userFile) && userFile !== projectFile) {
+        layers.push({ file: userFile, values: readConfigFile(userFile) });
+    }
+    if (projectFile) {
+        if (!fs.existsSync(projectFile)) {
+            throw new ConfigError(`Config file not found: ${projectFile}`);
+        }
+        layers.push({ file: projectFile, values: readConfigFile(projectFile) });
+    }
+
+    const config = { options: {}, sources: {}, files: layers.map(layer => layer.file) };
+    for (const layer of layers) {
+        for (const [key, value] of Object.entries(layer.values)) {
+            config.options[key] = value;
+            config.sources[key] = layer.file;
+        }
+    }
+
+    const envConfig = readEnv(env);
+    Object.assign(config.options, envConfig.values);
+    Object.assign(config.sources, envConfig.sources);
+
+    return config;
+}
+
+/**
+ * Merge constructor options over the loaded configuration
+ * `config: false` skips config files and environment variables; `configFile` picks the project file.
+ * In strict mode invalid constructor options throw, and so do unknown ones (misspelled options).
+ * Otherwise unknown options are ignored, and invalid values are left out (so the configured value or
+ * the default applies) and returned as `errors`.
+ * @param {Object} [explicit] - EmissionsTracker constructor options
+ * @returns {Object} { options, sources, files, errors (ConfigErrors of the invalid constructor options) }
+ */
+function resolveConfig(explicit = {}) {
+    const { config, configFile, ...rest } = explicit;
+
+    const loaded = config === false
+        ? { options: {}, sources: {}, files: [] }
+        : loadConfig({ configFile: configFile });
+    loaded.errors = [];
+
+    const strict = rest.strict !== undefined && rest.strict !== null ? rest.strict === true : loaded.options.strict === true;
+    if (strict) {
+        validate(rest, 'tracker options', { inCode: true });
+    } else {
+        for (const problem of findProblems(rest, { inCode: true, allowUnknown: true })) {
+            loaded.errors.push(new ConfigError(`Ignoring invalid tracker option: ${problem.message}`));
+            delete rest[problem.key];
+        }
+    }
+
+    // Unset (undefined/null) constructor options don't hide configured values
+    for (const [key, value] of Object.entries(rest)) {
+        if (value === undefined || value === null) continue;
+        loaded.options[key] = value;
+        loaded.sources[key] = 'options';
+    }
+
+    return loaded;
+}
+
+module.exports = {
+    SCHEMA,
+    CONFIG_FILE,
+    toEnvName,
+    findProblems,
+    validate,
+    readEnv,
+    findProjectConfig,
+    loadConfig,
+    resolveConfig
+};
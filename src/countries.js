@@ -0,0 +1,134 @@
+const isoCountries = require('../data/iso_3166.json');
+
+/**
+ * ISO 3166 country resolver
+ * Resolves alpha-2 ('IN'), alpha-3 ('IND'), numeric ('356' or 356) codes and
+ * country names ('India') to a single country record keyed by alpha-3
+ */
+class CountryResolver {
+    constructor(options = {}) {
+        // Optional energy mix dataset, whose country names take precedence
+        this.dataset = options.dataset || {};
+        this.byAlpha2 = {};
+        this.byAlpha3 = {};
+        this.byNumeric = {};
+        this.byName = {};
+        this.buildIndexes();
+    }
+
+    /**
+     * Build lookup indexes for all code types and names
+     */
+    buildIndexes() {
+        const aliases = [];
+
+        for (const country of Object.values(isoCountries)) {
+            this.byAlpha2[country.alpha2] = country;
+            this.byAlpha3[country.alpha3] = country;
+            this.byNumeric[country.numeric] = country;
+            this.byName[this.normalizeName(country.name)] = country;
+            (country.aliases || []).forEach(alias => aliases.push([alias, country]));
+        }
+
+        // Aliases never override a primary name (e.g. "Congo")
+        for (const [alias, country] of aliases) {
+            const key = this.normalizeName(alias);
+            if (!this.byName[key]) this.byName[key] = country;
+        }
+
+        // Names used by the dataset (e.g. "Democratic Republic of Congo")
+        for (const [code, record] of Object.entries(this.dataset)) {
+            if (record && record.country_name && this.byAlpha3[code]) {
+                const key = this.normalizeName(record.country_name);
+                if (!this.byName[key]) this.byName[key] = this.byAlpha3[code];
+            }
+        }
+    }
+
+    /**
+     * Normalize a country name for lookup (case, accents and punctuation insensitive)
+     */
+    normalizeName(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve any supported country identifier
+     * @param {string|number} input - Alpha-2, alpha-3, numeric code or country name
+     * @returns {Object|null} { alpha2, alpha3, numeric, name } or null when unknown
+     */
+    resolve(input) {
+        if (input === undefined || input === null || input === '') return null;
+
+        if (typeof input === 'number') {
+            input = String(input);
+        }
+
+        const value = String(input).trim();
+        const upper = value.toUpperCase();
+        let country = null;
+
+        if (/^\d{1,3}$/.test(value)) {
+            country = this.byNumeric[value.padStart(3, '0')];
+        } else if (/^[A-Z]{2}$/i.test(value)) {
+            country = this.byAlpha2[upper];
+        } else if (/^[A-Z]{3}$/i.test(value)) {
+            country = this.byAlpha3[upper];
+        }
+
+        if (!country) {
+            country = this.byName[this.normalizeName(value)];
+        }
+
+        if (!country) return null;
+
+        return {
+            alpha2: country.alpha2,
+            alpha3: country.alpha3,
+            numeric: country.numeric,
+            name: this.getDatasetName(country.alpha3) || country.name
+        };
+    }
+
+    /**
+     * Get the country name used by the dataset, if any
+     */
+    getDatasetName(alpha3) {
+        const record = this.dataset[alpha3];
+        return record && record.country_name ? record.country_name : null;
+    }
+
+    /**
+     * Convert any country identifier to ISO alpha-3
+     * @returns {string|null} Alpha-3 code or null when unknown
+     */
+    toAlpha3(input) {
+        const country = this.resolve(input);
+        return country ? country.alpha3 : null;
+    }
+
+    /**
+     * Convert any country identifier to ISO alpha-2
+     * @returns {string|null} Alpha-2 code or null when unknown
+     */
+    toAlpha2(input) {
+        const country = this.resolve(input);
+        return country ? country.alpha2 : null;
+    }
+
+    /**
+     * Get the country name for any country identifier
+     * @returns {string} Country name, or 'Unknown'
+     */
+    getName(input) {
+        const country = this.resolve(input);
+        return country ? country.name : 'Unknown';
+    }
+}
+
+module.exports = CountryResolver;
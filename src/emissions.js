@@ -1,65 +1,149 @@
-const fs = require('fs');
-const path = require('path');
+const CountryResolver = require('./countries');
+const RegionResolver = require('./regions');
+const EnergyMixDataset = require('./energymix');
+const Logger = require('./logger');
+const { ConfigError } = require('./errors');
 
 /**
  * Core emissions calculation class - equivalent to codecarbon.core.emissions.Emissions
  */
 class Emissions {
-    constructor() {
-        this.dataPath = path.join(__dirname, 'data');
-        this.carbonIntensityData = this.loadCarbonIntensityData();
+    /**
+     * @param {Object} [options] - { logger, dataset (EnergyMixDataset), energyMixPath (dataset file instead
+     *   of the bundled one), energyMixYear (only use energy mix data of this year) }
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.energyMixYear = options.energyMixYear || null;
+        this.dataset = options.dataset || this.loadDataset(options.energyMixPath);
         this.worldAverageCarbonIntensity = 475; // gCO2/kWh
+        this.countryResolver = new CountryResolver({ dataset: this.dataset.countries });
+        this.regionResolver = new RegionResolver();
     }
 
     /**
-     * Load carbon intensity data from JSON file
+     * Load the energy mix dataset
+     * A dataset path that can't be read throws; a missing bundled file falls back to the world average
      */
-    loadCarbonIntensityData() {
+    loadDataset(energyMixPath) {
+        if (energyMixPath) {
+            return EnergyMixDataset.load(energyMixPath);
+        }
+
         try {
-            const dataFile = path.join(this.dataPath, 'global_energy_mix.json');
-            const data = fs.readFileSync(dataFile, 'utf8');
-            return JSON.parse(data);
+            return EnergyMixDataset.load();
         } catch (error) {
-            console.warn('Could not load carbon intensity data, using defaults');
-            return {};
+            this.logger.warn('Could not load carbon intensity data, using defaults', { error });
+            return new EnergyMixDataset();
+        }
+    }
+
+    /**
+     * Energy mix of a country: the pinned year, or the latest year up to the given one
+     * @param {string} countryCode - ISO alpha-3 code
+     * @param {number} [year] - Year of the run (default: latest data)
+     * @returns {Object|null} Dataset values, or null when the country has no data
+     * @throws {ConfigError} When the country has data, but not for the pinned year
+     */
+    getEnergyMix(countryCode, year = null) {
+        if (this.energyMixYear) {
+            const energyMix = this.dataset.get(countryCode, { year: this.energyMixYear, exact: true });
+            if (!energyMix && this.dataset.has(countryCode)) {
+                throw new ConfigError(`Energy mix data for ${countryCode} covers ${this.dataset.getYears(countryCode).join(', ')}, not the pinned energyMixYear ${this.energyMixYear}`);
+            }
+            return energyMix;
         }
+        return this.dataset.get(countryCode, { year: year });
     }
 
     /**
      * Get carbon intensity for a country (g CO2/kWh)
-     * @param {string} countryCode - ISO country code (e.g., 'IND', 'USA')
+     * @param {string} countryCode - ISO alpha-2, alpha-3 or numeric code, or country name (e.g., 'IN', 'IND')
+     * @param {number} [year] - Year of the run (default: latest data)
      * @returns {number} Carbon intensity in g CO2/kWh
      */
-    getCarbonIntensity(countryCode) {
-        if (this.carbonIntensityData[countryCode]) {
-            return this.carbonIntensityData[countryCode].carbon_intensity;
+    getCarbonIntensity(countryCode, year = null) {
+        const energyMix = this.getEnergyMix(this.countryResolver.toAlpha3(countryCode), year);
+        if (energyMix) {
+            return energyMix.carbon_intensity;
         }
-        console.warn(`No carbon intensity data for ${countryCode}, using world average`);
+        this.logger.warn(`No carbon intensity data for ${countryCode}, using world average`);
         return this.worldAverageCarbonIntensity;
     }
 
+    /**
+     * Get carbon intensity and the level it was resolved at
+     * Prefers regional data when a region is given, then country data, then the world average
+     * @param {string} countryCode - ISO alpha-2, alpha-3 or numeric code
+     * @param {string} [region] - Region code or name (e.g. 'CA', 'US-CA', 'CAMX', 'Karnataka')
+     * @param {number} [year] - Year of the run, selects the energy mix year (default: latest data)
+     * @returns {Object} { carbonIntensity, level: 'region'|'country'|'world', countryCode, region, source,
+     *   version (dataset year, null for the world average) }
+     */
+    getCarbonIntensityDetails(countryCode, region = null, year = null) {
+        const country = this.countryResolver.resolve(countryCode);
+        const alpha3 = country ? country.alpha3 : null;
+        
+        if (alpha3 && region) {
+            const regional = this.regionResolver.resolve(alpha3, region, country.alpha2);
+            if (regional) {
+                return {
+                    carbonIntensity: regional.carbonIntensity,
+                    level: 'region',
+                    countryCode: alpha3,
+                    region: regional.code,
+                    regionName: regional.name,
+                    source: regional.source,
+                    version: regional.year ? String(regional.year) : null
+                };
+            }
+            this.logger.warn(`No regional carbon intensity data for ${region} (${alpha3}), using country data`);
+        }
+        
+        const energyMix = alpha3 ? this.getEnergyMix(alpha3, year) : null;
+        if (energyMix) {
+            return {
+                carbonIntensity: energyMix.carbon_intensity,
+                level: 'country',
+                countryCode: alpha3,
+                region: region,
+                source: this.dataset.name,
+                version: String(energyMix.year)
+            };
+        }
+        
+        this.logger.warn(`No carbon intensity data for ${countryCode}, using world average`);
+        return {
+            carbonIntensity: this.worldAverageCarbonIntensity,
+            level: 'world',
+            countryCode: alpha3 || countryCode,
+            region: region,
+            source: 'world_average',
+            version: null
+        };
+    }
+
     /**
      * Calculate emissions from energy consumption
      * @param {number} energyKWh - Energy consumed in kWh
-     * @param {string} countryCode - ISO country code
+     * @param {string} countryCode - ISO alpha-2, alpha-3 or numeric code
+     * @param {string} [region] - Region code or name, preferred over country data when set
+     * @param {number} [year] - Year of the run (default: latest data)
      * @returns {number} CO2 emissions in kg
      */
-    calculateEmissions(energyKWh, countryCode) {
-        const carbonIntensity = this.getCarbonIntensity(countryCode);
+    calculateEmissions(energyKWh, countryCode, region = null, year = null) {
+        const { carbonIntensity } = this.getCarbonIntensityDetails(countryCode, region, year);
         // Convert g CO2/kWh to kg CO2/kWh and multiply by energy
         return (carbonIntensity / 1000) * energyKWh;
     }
 
     /**
      * Get country name from country code
-     * @param {string} countryCode - ISO country code
+     * @param {string} countryCode - ISO alpha-2, alpha-3 or numeric code
      * @returns {string} Country name
      */
     getCountryName(countryCode) {
-        if (this.carbonIntensityData[countryCode]) {
-            return this.carbonIntensityData[countryCode].country_name;
-        }
-        return 'Unknown';
+        return this.countryResolver.getName(countryCode);
     }
 }
 
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const EnergyMixDataset = require('./energymix');
+const { ConfigError } = require('./errors');
+
+/**
+ * Builds energy mix datasets from Our World in Data and Ember CSV exports
+ *
+ * - 'owid': owid-energy-data.csv (https://github.com/owid/energy-data), one row per country and year
+ * - 'ember': Ember yearly electricity data in long format, one row per country, year and variable
+ * Aggregates (continents, income groups, 'OWID_*' codes) are skipped; only ISO alpha-3 countries are kept.
+ */
+const OWID_COLUMNS = {
+    biofuel_TWh: 'biofuel_electricity',
+    carbon_intensity: 'carbon_intensity_elec',
+    coal_TWh: 'coal_electricity',
+    fossil_TWh: 'fossil_electricity',
+    gas_TWh: 'gas_electricity',
+    hydroelectricity_TWh: 'hydro_electricity',
+    low_carbon_TWh: 'low_carbon_electricity',
+    nuclear_TWh: 'nuclear_electricity',
+    oil_TWh: 'oil_electricity',
+    other_renewable_TWh: 'other_renewable_electricity',
+    other_renewable_exc_biofuel_TWh: 'other_renewable_exc_biofuel_electricity',
+    per_capita_Wh: 'per_capita_electricity', // kWh, under CodeCarbon's field name
+    renewables_TWh: 'renewables_electricity',
+    solar_TWh: 'solar_electricity',
+    total_TWh: 'electricity_generation',
+    wind_TWh: 'wind_electricity'
+};
+
+// Ember 'Electricity generation' variables (TWh)
+const EMBER_GENERATION = {
+    'Bioenergy': 'biofuel_TWh',
+    'Coal': 'coal_TWh',
+    'Gas': 'gas_TWh',
+    'Hydro': 'hydroelectricity_TWh',
+    'Nuclear': 'nuclear_TWh',
+    'Other Fossil': 'oil_TWh',
+    'Other Renewables': 'other_renewable_exc_biofuel_TWh',
+    'Solar': 'solar_TWh',
+    'Wind': 'wind_TWh',
+    'Fossil': 'fossil_TWh',
+    'Renewables': 'renewables_TWh',
+    'Clean': 'low_carbon_TWh',
+    'Total Generation': 'total_TWh'
+};
+
+const SOURCES = {
+    owid: { name: 'Our World in Data - Energy', url: 'https://github.com/owid/energy-data', license: 'CC BY 4.0' },
+    ember: { name: 'Ember - Yearly Electricity Data', url: 'https://ember-energy.org/data/yearly-electricity-data/', license: 'CC BY 4.0' }
+};
+
+const ISO_ALPHA3 = /^[A-Z]{3}$/;
+
+class EnergyMixImporter {
+    /**
+     * Import a CSV export
+     * @param {string} file - CSV file path
+     * @param {Object} [options] - { format: 'owid' | 'ember' (default: detected from the header) }
+     * @returns {Promise<EnergyMixDataset>} Dataset with the imported countries and years
+     */
+    async import(file, options = {}) {
+        const rows = await this.readCSV(file);
+        const format = options.format || this.detectFormat(rows.length > 0 ? Object.keys(rows[0]) : []);
+        if (!SOURCES[format]) {
+            throw new ConfigError(`Unknown energy mix format "${format}", expected one of: ${Object.keys(SOURCES).join(', ')}`);
+        }
+
+        const dataset = format === 'owid' ? this.fromOWID(rows) : this.fromEmber(rows);
+        dataset.addSource({ ...SOURCES[format], imported: new Date().toISOString().slice(0, 10) });
+        return dataset;
+    }
+
+    /**
+     * Read rows from a CSV file
+     */
+    readCSV(file) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            fs.createReadStream(file)
+                .on('error', reject)
+                .pipe(csv())
+                .on('data', row => rows.push(row))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Tell the export format from its columns
+     * @throws {ConfigError} When the columns match neither format
+     */
+    detectFormat(columns) {
+        if (columns.includes('carbon_intensity_elec')) return 'owid';
+        if (columns.includes('Variable') && columns.includes('Value')) return 'ember';
+        throw new ConfigError('Unrecognized energy mix CSV, expected an Our World in Data or Ember export');
+    }
+
+    /**
+     * Dataset from owid-energy-data.csv rows (years without carbon intensity are skipped)
+     */
+    fromOWID(rows) {
+        const dataset = new EnergyMixDataset();
+
+        for (const row of rows) {
+            const intensity = parseNumber(row.carbon_intensity_elec);
+            if (!ISO_ALPHA3.test(row.iso_code) || intensity === null) continue;
+
+            const values = {};
+            for (const [field, column] of Object.entries(OWID_COLUMNS)) {
+                const value = parseNumber(row[column]);
+                if (value !== null) values[field] = value;
+            }
+            dataset.set(row.iso_code, Number(row.year), values, row.country);
+        }
+
+        return dataset;
+    }
+
+    /**
+     * Dataset from Ember long-format rows (years without CO2 intensity are skipped)
+     */
+    fromEmber(rows) {
+        const countries = new Map(); // 'code|year' -> { code, name, year, values }
+
+        for (const row of rows) {
+            const code = row['ISO 3 code'] || row['Country code'];
+            const value = parseNumber(row.Value);
+            if (!ISO_ALPHA3.test(code) || value === null) continue;
+
+            const field = emberField(row);
+            if (!field) continue;
+
+            const key = `${code}|${row.Year}`;
+            if (!countries.has(key)) {
+                countries.set(key, { code: code, name: row.Area || row.Country, year: Number(row.Year), values: {} });
+            }
+            countries.get(key).values[field] = field === 'per_capita_Wh' ? value * 1000 : value;
+        }
+
+        const dataset = new EnergyMixDataset();
+        for (const { code, name, year, values } of countries.values()) {
+            if (values.carbon_intensity === undefined) continue;
+
+            // OWID's other renewables include bioenergy
+            if (values.other_renewable_exc_biofuel_TWh !== undefined || values.biofuel_TWh !== undefined) {
+                values.other_renewable_TWh = (values.other_renewable_exc_biofuel_TWh || 0) + (values.biofuel_TWh || 0);
+            }
+            dataset.set(code, year, values, name);
+        }
+
+        return dataset;
+    }
+}
+
+/**
+ * Dataset field of an Ember row, or null for rows that aren't imported
+ */
+function emberField(row) {
+    if (row.Category === 'Electricity generation' && row.Unit === 'TWh') {
+        return EMBER_GENERATION[row.Variable] || null;
+    }
+    if (row.Category === 'Power sector emissions' && row.Variable === 'CO2 intensity') {
+        return 'carbon_intensity';
+    }
+    if (row.Category === 'Electricity demand' && row.Variable === 'Demand per capita' && row.Unit === 'MWh') {
+        return 'per_capita_Wh'; // MWh, converted to kWh like OWID
+    }
+    return null;
+}
+
+/**
+ * Number from a CSV cell, or null when empty
+ */
+function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+EnergyMixImporter.SOURCES = SOURCES;
+
+module.exports = EnergyMixImporter;
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+
+/**
+ * Energy mix dataset (country electricity mix and carbon intensity per year)
+ *
+ * File format:
+ * {
+ *   "metadata": { "name", "sources": [{ name, url, license, imported? }] },
+ *   "countries": { "FRA": { "country_name", "iso_code", "years": { "2023": { carbon_intensity, coal_TWh, ... } } } }
+ * }
+ * Files in the older flat format ({ "FRA": { country_name, carbon_intensity, year, ... } }) are read as one year.
+ */
+const BUNDLED_PATH = path.join(__dirname, '..', 'data', 'global_energy_mix.json');
+
+class EnergyMixDataset {
+    /**
+     * @param {Object} [data] - Dataset content, in either format
+     */
+    constructor(data = {}) {
+        this.metadata = { name: 'global_energy_mix', sources: [], ...(data.metadata || {}) };
+        this.countries = {};
+
+        const countries = data.countries || data;
+        for (const [code, record] of Object.entries(countries)) {
+            if (code === 'metadata' || !record || typeof record !== 'object') continue;
+
+            if (record.years) {
+                for (const [year, values] of Object.entries(record.years)) {
+                    this.set(code, Number(year), values, record.country_name);
+                }
+            } else if (record.year !== undefined) {
+                const { country_name, iso_code, year, ...values } = record;
+                this.set(code, Number(year), values, country_name);
+            }
+        }
+    }
+
+    /**
+     * Read a dataset file
+     * @throws {ConfigError} When the file is missing or isn't valid JSON
+     */
+    static load(filePath = BUNDLED_PATH) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(`Could not load energy mix data from ${filePath}: ${error.message}`, { cause: error });
+        }
+
+        const dataset = new EnergyMixDataset(data);
+        dataset.filePath = filePath;
+        return dataset;
+    }
+
+    /**
+     * Dataset name, used as the carbon intensity source of results
+     */
+    get name() {
+        return this.metadata.name;
+    }
+
+    /**
+     * Set a country's values for a year (replacing existing values of that year)
+     */
+    set(countryCode, year, values, countryName = null) {
+        if (!Number.isInteger(year)) {
+            throw new ConfigError(`Invalid energy mix year "${year}" for ${countryCode}`);
+        }
+
+        const country = this.countries[countryCode] || { country_name: countryName || countryCode, iso_code: countryCode, years: {} };
+        if (countryName) country.country_name = countryName;
+        country.years[year] = { ...values };
+        this.countries[countryCode] = country;
+    }
+
+    has(countryCode) {
+        return Boolean(this.countries[countryCode]);
+    }
+
+    /**
+     * Years with data for a country, oldest first
+     */
+    getYears(countryCode) {
+        const country = this.countries[countryCode];
+        return country ? Object.keys(country.years).map(Number).sort((a, b) => a - b) : [];
+    }
+
+    /**
+     * Values of a country for a year
+     * Without `exact`, the latest year up to the requested one is used (the oldest when all are later)
+     * @param {string} countryCode - ISO alpha-3 code
+     * @param {Object} [options] - { year (default: latest), exact }
+     * @returns {Object|null} { country_name, iso_code, year, carbon_intensity, ... } or null
+     */
+    get(countryCode, options = {}) {
+        const years = this.getYears(countryCode);
+        if (years.length === 0) return null;
+
+        let year;
+        if (!options.year) {
+            year = years[years.length - 1];
+        } else if (options.exact) {
+            year = years.includes(options.year) ? options.year : null;
+        } else {
+            const earlier = years.filter(candidate => candidate <= options.year);
+            year = earlier.length > 0 ? earlier[earlier.length - 1] : years[0];
+        }
+        if (year === null) return null;
+
+        const country = this.countries[countryCode];
+        return { country_name: country.country_name, iso_code: country.iso_code, year: year, ...country.years[year] };
+    }
+
+    /**
+     * Add another dataset's values and sources; its values win for years both have
+     */
+    merge(other) {
+        for (const [code, country] of Object.entries(other.countries)) {
+            for (const [year, values] of Object.entries(country.years)) {
+                this.set(code, Number(year), values, country.country_name);
+            }
+        }
+        for (const source of other.metadata.sources) {
+            this.addSource(source);
+        }
+        return this;
+    }
+
+    /**
+     * Record where data came from (sources with the same name are replaced)
+     * @param {Object} source - { name, url, license, imported }
+     */
+    addSource(source) {
+        this.metadata.sources = this.metadata.sources.filter(existing => existing.name !== source.name).concat(source);
+    }
+
+    toJSON() {
+        const countries = {};
+        for (const code of Object.keys(this.countries).sort()) {
+            const country = this.countries[code];
+            const years = {};
+            for (const year of this.getYears(code)) {
+                years[year] = country.years[year];
+            }
+            countries[code] = { country_name: country.country_name, iso_code: country.iso_code, years: years };
+        }
+        return { metadata: this.metadata, countries: countries };
+    }
+
+    /**
+     * Write the dataset as JSON
+     */
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this, null, 4) + '\n');
+        this.filePath = filePath;
+    }
+}
+
+EnergyMixDataset.BUNDLED_PATH = BUNDLED_PATH;
+
+module.exports = EnergyMixDataset;
@@ -0,0 +1,96 @@
+/**
+ * Error classes
+ * Every error raised by the tracker is a GreenCarbonError with a stable `code`;
+ * the underlying failure, if any, is kept as `cause`.
+ */
+class GreenCarbonError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options] - { cause }
+     */
+    constructor(message, options = {}) {
+        super(message, options.cause ? { cause: options.cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = 'GREENCARBON_ERROR';
+    }
+
+    /**
+     * Serializable summary (for results and outputs)
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message };
+    }
+}
+
+/**
+ * Invalid options, config files or environment variables
+ */
+class ConfigError extends GreenCarbonError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'GREENCARBON_CONFIG';
+    }
+}
+
+/**
+ * Hardware could not be detected or measured
+ */
+class HardwareDetectionError extends GreenCarbonError {
+    constructor(message, options) {
+        super(message, options);
+        this.code = 'GREENCARBON_HARDWARE';
+    }
+}
+
+/**
+ * Results could not be written to an output sink
+ */
+class OutputError extends GreenCarbonError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options] - { cause, sink (name), target (description) }
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'GREENCARBON_OUTPUT';
+        this.sink = options.sink || null;
+        this.target = options.target || null;
+    }
+}
+
+/**
+ * A carbon intensity provider failed
+ */
+class IntensityLookupError extends GreenCarbonError {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options] - { cause, provider (name) }
+     */
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'GREENCARBON_INTENSITY';
+        this.provider = options.provider || null;
+    }
+}
+
+/**
+ * A carbon budget limit was exceeded (the reason of the tracker's aborted signal)
+ */
+class BudgetExceededError extends GreenCarbonError {
+    constructor(limit, value, budget) {
+        super(`Carbon budget exceeded: ${limit} ${value.toPrecision(4)} > ${budget}`);
+        this.code = 'GREENCARBON_BUDGET_EXCEEDED';
+        this.limit = limit;
+        this.value = value;
+        this.budget = budget;
+    }
+}
+
+module.exports = {
+    GreenCarbonError,
+    ConfigError,
+    HardwareDetectionError,
+    OutputError,
+    IntensityLookupError,
+    BudgetExceededError
+};
@@ -1,13 +1,19 @@
 const fs = require('fs');
 const path = require('path');
+const CountryResolver = require('./countries');
+const RegionResolver = require('./regions');
+const Logger = require('./logger');
 
 /**
  * Geography utilities for location detection and carbon intensity mapping
  */
 class Geography {
-    constructor() {
+    constructor(options = {}) {
         this.defaultCountry = 'USA'; // Default fallback
         this.defaultRegion = null;
+        this.countryResolver = options.countryResolver || new CountryResolver();
+        this.regionResolver = options.regionResolver || new RegionResolver();
+        this.logger = options.logger || new Logger();
     }
 
     /**
@@ -30,13 +36,13 @@ class Geography {
                 };
             }
         } catch (error) {
-            console.warn('Could not detect location from locale:', error);
+            this.logger.warn('Could not detect location from locale:', { error });
         }
         
         // Fallback to default
         return {
             countryCode: this.defaultCountry,
-            countryName: 'United States',
+            countryName: this.getCountryName(this.defaultCountry),
             region: null,
             latitude: null,
             longitude: null
@@ -44,12 +50,16 @@ class Geography {
     }
 
     /**
-     * Extract country code from locale string
+     * Extract ISO alpha-3 country code from locale string (e.g. 'en-IN' -> 'IND')
      */
     extractCountryFromLocale(locale) {
         const parts = locale.split('-');
-        if (parts.length >= 2) {
-            return parts[1].toUpperCase();
+        
+        // Region subtag is an alpha-2 or UN M49 numeric code (script subtags like 'Hant' are skipped)
+        const regionTag = parts.slice(1).find(part => /^([A-Za-z]{2}|\d{3})$/.test(part));
+        const countryCode = regionTag ? this.countryResolver.toAlpha3(regionTag) : null;
+        if (countryCode) {
+            return countryCode;
         }
         
         // Map some common locales
@@ -71,76 +81,39 @@ class Geography {
     }
 
     /**
-     * Get country name from country code
+     * Get country name from any ISO country code
      */
     getCountryName(countryCode) {
-        const countryNames = {
-            'USA': 'United States',
-            'CAN': 'Canada',
-            'GBR': 'United Kingdom',
-            'DEU': 'Germany',
-            'FRA': 'France',
-            'ESP': 'Spain',
-            'ITA': 'Italy',
-            'JPN': 'Japan',
-            'KOR': 'South Korea',
-            'CHN': 'China',
-            'IND': 'India',
-            'BRA': 'Brazil',
-            'RUS': 'Russia',
-            'AUS': 'Australia',
-            'NLD': 'Netherlands',
-            'SWE': 'Sweden',
-            'NOR': 'Norway',
-            'DNK': 'Denmark',
-            'FIN': 'Finland'
-        };
-        
-        return countryNames[countryCode] || 'Unknown';
+        return this.countryResolver.getName(countryCode);
+    }
+
+    /**
+     * Normalize any country identifier (alpha-2, alpha-3, numeric, name) to ISO alpha-3
+     * @returns {string|null} Alpha-3 code or null when unknown
+     */
+    normalizeCountryCode(countryCode) {
+        return this.countryResolver.toAlpha3(countryCode);
     }
 
     /**
      * Set manual location override
      */
     setLocation(countryCode, region = null) {
-        this.defaultCountry = countryCode;
+        this.defaultCountry = this.normalizeCountryCode(countryCode) || countryCode;
         this.defaultRegion = region;
     }
 
     /**
-     * Get region-specific carbon intensity for US/Canada
-     * Simplified implementation - in production, use detailed regional data
+     * Get region-specific carbon intensity (US states and eGRID subregions, Canadian provinces,
+     * Indian states, Australian states)
+     * @returns {number|null} Carbon intensity in g CO2/kWh, or null to use country-level data
      */
     getRegionalCarbonIntensity(countryCode, region) {
-        // US state-specific data (simplified)
-        const usStates = {
-            'CA': 300,  // California (lots of renewables)
-            'WA': 250,  // Washington (hydro)
-            'NY': 350,  // New York
-            'TX': 450,  // Texas (mix of renewables and fossil)
-            'WV': 850,  // West Virginia (coal heavy)
-            'WY': 900,  // Wyoming (coal heavy)
-            'FL': 500,  // Florida
-        };
-        
-        // Canadian provinces (simplified)
-        const canadianProvinces = {
-            'QC': 50,   // Quebec (hydro)
-            'ON': 150,  // Ontario (nuclear + hydro)
-            'BC': 100,  // British Columbia (hydro)
-            'AB': 600,  // Alberta (oil sands)
-            'SK': 700,  // Saskatchewan (coal)
-        };
-        
-        if (countryCode === 'USA' && region && usStates[region]) {
-            return usStates[region];
-        }
-        
-        if (countryCode === 'CAN' && region && canadianProvinces[region]) {
-            return canadianProvinces[region];
-        }
+        const country = this.countryResolver.resolve(countryCode);
+        if (!country) return null;
         
-        return null; // Use country-level data
+        const regional = this.regionResolver.resolve(country.alpha3, region, country.alpha2);
+        return regional ? regional.carbonIntensity : null;
     }
 }
 
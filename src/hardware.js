@@ -1,15 +1,19 @@
 const si = require('systeminformation');
 const os = require('os');
+const { HardwareDetectionError } = require('./errors');
+const Logger = require('./logger');
 
 /**
  * Hardware tracking class - equivalent to codecarbon.external.hardware
  */
 class HardwareTracker {
-    constructor() {
+    constructor(options = {}) {
         this.cpuInfo = null;
         this.memInfo = null;
         this.gpuInfo = null;
         this.isInitialized = false;
+        this.initError = null;
+        this.logger = options.logger || new Logger();
     }
 
     /**
@@ -21,9 +25,11 @@ class HardwareTracker {
             this.memInfo = await si.mem();
             this.gpuInfo = await si.graphics();
             this.isInitialized = true;
+            this.initError = null;
         } catch (error) {
-            console.error('Failed to initialize hardware detection:', error);
+            this.logger.error('Failed to initialize hardware detection:', { error });
             this.isInitialized = false;
+            this.initError = new HardwareDetectionError(`Failed to initialize hardware detection: ${error.message}`, { cause: error });
         }
     }
 
@@ -52,7 +58,7 @@ class HardwareTracker {
             const load = await si.currentLoad();
             return load.currentLoad;
         } catch (error) {
-            console.warn('Could not get CPU usage:', error);
+            this.logger.warn('Could not get CPU usage:', { error });
             return 50; // Default fallback
         }
     }
@@ -60,10 +66,11 @@ class HardwareTracker {
     /**
      * Estimate CPU power consumption
      * Uses TDP estimation similar to CodeCarbon's fallback mode
+     * @param {number} [usage] - Current CPU usage (%), measured when omitted
      */
-    async estimateCPUPower() {
+    async estimateCPUPowerFromTDP(usage) {
         const cpuInfo = await this.getCPUInfo();
-        const cpuUsage = await this.getCPUUsage();
+        const cpuUsage = typeof usage === 'number' ? usage : await this.getCPUUsage();
         
         // CPU TDP estimation based on model
         let tdp = this.estimateTDPFromModel(cpuInfo.model);
@@ -75,6 +82,7 @@ class HardwareTracker {
         
         return {
             power: actualPower, // Watts
+            method: 'tdp',
             tdp: tdp,
             usage: cpuUsage,
             model: cpuInfo.model,
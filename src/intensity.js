@@ -0,0 +1,322 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { IntensityLookupError } = require('./errors');
+const Logger = require('./logger');
+
+/**
+ * Carbon intensity providers
+ *
+ * A provider returns the grid carbon intensity (g CO2/kWh) for a location at a point in time.
+ * `getIntensity(location)` receives `{ countryCode, countryAlpha2, region, cloudProvider,
+ * cloudRegion, timestamp }` and resolves to a number, to `{ carbonIntensity, level?, source?, version? }`,
+ * or to null when it has no value (the next provider is then used).
+ */
+class IntensityProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'intensity-provider';
+    }
+
+    /**
+     * Get carbon intensity for a location and time
+     * @param {Object} location - Location and timestamp (ms since epoch)
+     * @returns {Promise<number|Object|null>} Carbon intensity in g CO2/kWh
+     */
+    async getIntensity(location) {
+        throw new Error(`Intensity provider "${this.name}" does not implement getIntensity()`);
+    }
+}
+
+/**
+ * Annual average intensity (cloud region, sub-national region, country or world average)
+ * This is the default behavior of the tracker; a fixed value can also be given.
+ * Country data is taken from the energy mix year matching the timestamp.
+ */
+class StaticIntensityProvider extends IntensityProvider {
+    constructor(options = {}) {
+        super({ name: 'static', ...options });
+        this.carbonIntensity = options.carbonIntensity;
+        this.emissions = options.emissions || null;
+        this.cloudRegions = options.cloudRegions || null;
+        this.cache = new Map();
+    }
+
+    async getIntensity(location) {
+        // Annual averages only depend on the year, so look each location up once per year
+        const year = location.timestamp ? new Date(location.timestamp).getUTCFullYear() : null;
+        const cacheKey = [location.countryCode, location.region, location.cloudProvider, location.cloudRegion, year].join('|');
+        if (!this.cache.has(cacheKey)) {
+            this.cache.set(cacheKey, this.lookup(location, year));
+        }
+        return this.cache.get(cacheKey);
+    }
+
+    /**
+     * Look up the annual average for a location
+     */
+    lookup(location, year = null) {
+        if (typeof this.carbonIntensity === 'number') {
+            return { carbonIntensity: this.carbonIntensity, level: 'static', source: 'static' };
+        }
+
+        if (this.cloudRegions && location.cloudProvider) {
+            const cloud = this.cloudRegions.resolve(location.cloudProvider, location.cloudRegion);
+            if (cloud && cloud.carbonIntensity !== null) {
+                return {
+                    carbonIntensity: cloud.carbonIntensity,
+                    level: 'cloud_region',
+                    source: `cloud_regions:${cloud.provider}`,
+                    version: null
+                };
+            }
+        }
+
+        if (!this.emissions) return null;
+
+        const details = this.emissions.getCarbonIntensityDetails(location.countryCode, location.region, year);
+        return {
+            carbonIntensity: details.carbonIntensity,
+            level: details.level,
+            source: details.source,
+            version: details.version
+        };
+    }
+}
+
+/**
+ * Intensity time series from a local CSV or JSON file
+ *
+ * CSV: `timestamp,carbon_intensity[,zone]`
+ * JSON: `[{ "timestamp": "...", "carbon_intensity": 123, "zone": "FR" }]` (or `{ "data": [...] }`)
+ * Each value applies from its timestamp until the next one (step function).
+ */
+class TimeSeriesIntensityProvider extends IntensityProvider {
+    constructor(options = {}) {
+        super({ name: 'time-series', ...options });
+        this.file = options.file;
+        this.zone = options.zone || null;
+        this.maxGapSecs = options.maxGapSecs !== undefined ? options.maxGapSecs : 3600;
+        this.series = null;
+
+        if (!this.file) {
+            throw new Error('Time series intensity provider needs a file path');
+        }
+    }
+
+    /**
+     * Load and sort the time series (cached after the first call)
+     */
+    async load() {
+        if (this.series) return this.series;
+
+        const rows = path.extname(this.file).toLowerCase() === '.json'
+            ? this.readJSON()
+            : await this.readCSV();
+
+        this.series = rows
+            .map(row => ({
+                time: new Date(row.timestamp || row.datetime).getTime(),
+                carbonIntensity: Number(row.carbon_intensity !== undefined ? row.carbon_intensity : row.carbonIntensity),
+                zone: row.zone || row.country_iso_code || null
+            }))
+            .filter(row => Number.isFinite(row.time) && Number.isFinite(row.carbonIntensity))
+            .sort((a, b) => a.time - b.time);
+
+        return this.series;
+    }
+
+    /**
+     * Read rows from a JSON file
+     */
+    readJSON() {
+        const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        return Array.isArray(content) ? content : (content.data || []);
+    }
+
+    /**
+     * Read rows from a CSV file
+     */
+    readCSV() {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            fs.createReadStream(this.file)
+                .on('error', reject)
+                .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+                .on('data', row => rows.push(row))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    async getIntensity(location) {
+        const series = await this.load();
+        const zones = [this.zone, location.countryCode, location.countryAlpha2].filter(Boolean);
+        const rows = series.filter(row => !row.zone || zones.includes(row.zone));
+
+        // Latest value at or before the timestamp
+        let match = null;
+        for (const row of rows) {
+            if (row.time > location.timestamp) break;
+            match = row;
+        }
+
+        if (!match || (location.timestamp - match.time) / 1000 > this.maxGapSecs) return null;
+
+        return { carbonIntensity: match.carbonIntensity, level: 'time_series', source: path.basename(this.file) };
+    }
+}
+
+/**
+ * Live or historical intensity from an HTTP API (Electricity Maps / WattTime style)
+ *
+ * `url` may contain `{zone}` and `{datetime}` placeholders. The response is parsed with
+ * the `format` preset ('electricitymaps' or 'watttime') or a custom `parse(body)` function.
+ */
+class HTTPIntensityProvider extends IntensityProvider {
+    constructor(options = {}) {
+        super({ name: 'http', ...options });
+        this.url = options.url;
+        this.zone = options.zone || null;
+        this.headers = options.headers || {};
+        this.format = options.format || 'electricitymaps';
+        this.parse = options.parse || null;
+        this.timeout = options.timeout || 10000;
+        this.cacheSecs = options.cacheSecs !== undefined ? options.cacheSecs : 300;
+        this.cache = new Map();
+
+        if (!this.url) {
+            throw new Error('HTTP intensity provider needs a url');
+        }
+
+        if (options.apiKey) {
+            if (this.format === 'watttime') {
+                this.headers = { Authorization: `Bearer ${options.apiKey}`, ...this.headers };
+            } else {
+                this.headers = { 'auth-token': options.apiKey, ...this.headers };
+            }
+        }
+    }
+
+    /**
+     * Fill `{zone}` and `{datetime}` placeholders
+     */
+    buildUrl(zone, timestamp) {
+        return this.url
+            .replace(/\{zone\}/g, encodeURIComponent(zone || ''))
+            .replace(/\{datetime\}/g, encodeURIComponent(new Date(timestamp).toISOString()));
+    }
+
+    /**
+     * Extract g CO2/kWh from a response body
+     */
+    parseBody(body) {
+        if (this.parse) return this.parse(body);
+
+        if (this.format === 'watttime') {
+            // WattTime reports MOER in lbs CO2/MWh
+            const point = Array.isArray(body.data) ? body.data[0] : body;
+            const value = point ? Number(point.value) : NaN;
+            const units = body.meta && body.meta.units ? body.meta.units : 'lbs_co2_per_mwh';
+            return units.startsWith('lbs') ? value * 0.45359237 : value;
+        }
+
+        return Number(body.carbonIntensity);
+    }
+
+    /**
+     * Fetch JSON with a timeout (global fetch, or node-fetch on older Node.js versions)
+     */
+    async fetchJSON(url) {
+        const fetchFn = typeof fetch === 'function'
+            ? fetch
+            : (...args) => import('node-fetch').then(({ default: nodeFetch }) => nodeFetch(...args));
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetchFn(url, { headers: this.headers, signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} from ${url}`);
+            }
+            return await response.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async getIntensity(location) {
+        const zone = this.zone || location.countryAlpha2 || location.countryCode;
+        const url = this.buildUrl(zone, location.timestamp);
+
+        // Cache per zone and time bucket to avoid calling the API on every measurement
+        const bucket = this.cacheSecs > 0 ? Math.floor(location.timestamp / (this.cacheSecs * 1000)) : location.timestamp;
+        const cacheKey = `${zone}:${bucket}`;
+        if (this.cache.has(cacheKey)) return this.cache.get(cacheKey);
+
+        const carbonIntensity = this.parseBody(await this.fetchJSON(url));
+        if (!Number.isFinite(carbonIntensity)) {
+            throw new Error(`No carbon intensity in response from ${url}`);
+        }
+
+        const result = { carbonIntensity, level: 'zone', source: this.name };
+        this.cache.set(cacheKey, result);
+        return result;
+    }
+}
+
+/**
+ * Ordered intensity providers; the first one returning a value wins
+ */
+class IntensityProviderChain {
+    /**
+     * @param {Object[]} providers - Providers, tried in order
+     * @param {Object} [options] - { onError: called with an IntensityLookupError when a provider fails, logger }
+     */
+    constructor(providers = [], options = {}) {
+        this.providers = providers;
+        this.onError = options.onError || null;
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Get carbon intensity from the first provider that returns a value
+     * @returns {Promise<Object|null>} { carbonIntensity, level, source, provider } or null
+     */
+    async getIntensity(location) {
+        for (const provider of this.providers) {
+            try {
+                const result = await provider.getIntensity(location);
+                if (result === null || result === undefined) continue;
+
+                const details = typeof result === 'number' ? { carbonIntensity: result } : result;
+                if (!Number.isFinite(details.carbonIntensity)) continue;
+
+                return {
+                    level: 'custom',
+                    source: provider.name,
+                    ...details,
+                    provider: provider.name
+                };
+            } catch (error) {
+                this.logger.warn(`⚠️  Intensity provider "${provider.name}" failed, trying next:`, { provider: provider.name, error });
+                if (this.onError) {
+                    this.onError(new IntensityLookupError(`Intensity provider "${provider.name}" failed: ${error.message}`, {
+                        cause: error,
+                        provider: provider.name
+                    }));
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+module.exports = {
+    IntensityProvider,
+    StaticIntensityProvider,
+    TimeSeriesIntensityProvider,
+    HTTPIntensityProvider,
+    IntensityProviderChain
+};
@@ -0,0 +1,62 @@
+const SuiteEmissions = require('./testing');
+
+/**
+ * Jest reporter measuring the emissions of a test run
+ *
+ *   // jest.config.js
+ *   reporters: ['default', ['green-carbon/src/jest-reporter', { topN: 10, projectName: 'my-tests' }]]
+ *
+ * Reporter options other than `topN` are passed to the EmissionsTracker
+ */
+class GreenCarbonJestReporter {
+    constructor(globalConfig = {}, reporterOptions = {}) {
+        const { topN, ...trackerOptions } = reporterOptions;
+        this.suite = new SuiteEmissions({
+            topN: topN,
+            rootDir: globalConfig.rootDir,
+            trackerOptions: trackerOptions
+        });
+        this.error = null;
+    }
+
+    async onRunStart() {
+        try {
+            await this.suite.start();
+        } catch (error) {
+            this.error = error;
+        }
+    }
+
+    onTestFileStart(test) {
+        this.suite.beginFile(test.path);
+    }
+
+    // Jest < 28 only calls onTestStart
+    onTestStart(test) {
+        this.suite.beginFile(test.path);
+    }
+
+    onTestFileResult(test, testResult) {
+        this.suite.endFile(test.path, (testResult.testResults || []).map(result => ({
+            name: result.fullName || result.title,
+            duration: result.duration || 0,
+            status: result.status
+        })));
+    }
+
+    // Jest < 28 only calls onTestResult
+    onTestResult(test, testResult) {
+        this.onTestFileResult(test, testResult);
+    }
+
+    async onRunComplete() {
+        if (this.error) return;
+        await this.suite.stop();
+    }
+
+    getLastError() {
+        return this.error || undefined;
+    }
+}
+
+module.exports = GreenCarbonJestReporter;
@@ -0,0 +1,171 @@
+const { ConfigError } = require('./errors');
+
+/**
+ * Logger used by the tracker and its components
+ *
+ * Levels: silent, error, warn, info, debug. Formats:
+ * - 'pretty' (default): the console messages, emoji included
+ * - 'text': timestamped plain-text lines without emoji, e.g. for log files
+ * - 'json': one JSON object per line ({ time, level, msg, ...fields })
+ * A pino/winston-compatible logger can be injected with `logger`; messages (without emoji)
+ * and fields are then passed to its level methods, and its own level filtering still applies.
+ */
+const LEVELS = { silent: 0, error: 1, warn: 2, info: 3, debug: 4 };
+const FORMATS = ['pretty', 'text', 'json'];
+const LEADING_EMOJI = /^\s*(?:[\p{Extended_Pictographic}═─]️?\s*)+/u;
+
+class Logger {
+    /**
+     * @param {Object} [options] - { level = 'info', format = 'pretty', logger (pino/winston-compatible), console, fields }
+     */
+    constructor(options = {}) {
+        this.level = String(options.level || 'info').toLowerCase();
+        if (LEVELS[this.level] === undefined) {
+            throw new ConfigError(`Invalid log level "${options.level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+        }
+
+        this.format = options.format || 'pretty';
+        if (!FORMATS.includes(this.format)) {
+            throw new ConfigError(`Invalid log format "${this.format}", expected one of: ${FORMATS.join(', ')}`);
+        }
+
+        this.logger = options.logger || null;
+        this.console = options.console || console;
+        this.fields = options.fields || {};
+    }
+
+    /**
+     * Whether messages of a level are written
+     */
+    isLevelEnabled(level) {
+        return LEVELS[level] > 0 && LEVELS[level] <= LEVELS[this.level];
+    }
+
+    /**
+     * Logger with extra fields on every message (e.g. { runId })
+     */
+    child(fields) {
+        return new Logger({
+            level: this.level,
+            format: this.format,
+            logger: this.logger,
+            console: this.console,
+            fields: { ...this.fields, ...fields }
+        });
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    /**
+     * Multi-line report (system information, results)
+     * Pretty output prints the lines, text output logs each line; JSON and injected loggers
+     * get one message with the fields
+     */
+    block(title, lines, fields) {
+        if (!this.isLevelEnabled('info')) return;
+
+        if (this.logger || this.format === 'json') {
+            this.info(title, fields);
+        } else if (this.format === 'text') {
+            lines.map(stripEmoji)
+                .filter(line => line && !/^[═─]+$/.test(line))
+                .forEach(line => this.info(line));
+        } else {
+            this.console.log(lines.join('\n'));
+        }
+    }
+
+    /**
+     * Write a message
+     * @param {string} level - error, warn, info or debug
+     * @param {string} message - Message
+     * @param {Object} [fields] - Structured data; `error` is serialized with its name, code and stack
+     */
+    log(level, message, fields = {}) {
+        if (!this.isLevelEnabled(level)) return;
+
+        const data = { ...this.fields, ...fields };
+        if (this.logger) return this.writeExternal(level, message, data);
+
+        const method = level === 'error' ? 'error' : (level === 'warn' ? 'warn' : 'log');
+        const error = data.error instanceof Error ? data.error : null;
+
+        if (this.format === 'pretty') {
+            if (error) {
+                this.console[method](message, error.message);
+            } else {
+                this.console[method](message);
+            }
+            return;
+        }
+
+        const msg = stripEmoji(message);
+        if (this.format === 'text') {
+            const text = error ? `${msg} ${error.message}` : msg;
+            this.console[method](`${new Date().toISOString()} ${level.toUpperCase().padEnd(5)} ${text}`);
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level: level, msg: msg, ...data };
+        if (error) entry.error = serializeError(error);
+        this.console[method](JSON.stringify(entry));
+    }
+
+    /**
+     * Forward to an injected logger
+     * pino takes the fields first; winston and console-like loggers take them second
+     */
+    writeExternal(level, message, data) {
+        const logger = this.logger;
+        const method = typeof logger[level] === 'function' ? level : 'info';
+        const msg = stripEmoji(message);
+        const hasFields = Object.keys(data).length > 0;
+
+        if (!hasFields) {
+            logger[method](msg);
+        } else if (typeof logger.bindings === 'function') {
+            const { error, ...rest } = data;
+            logger[method](error ? { ...rest, err: error } : rest, msg);
+        } else {
+            logger[method](msg, data);
+        }
+    }
+}
+
+/**
+ * Remove the leading emoji (and box-drawing rules) of a console message
+ */
+function stripEmoji(message) {
+    return String(message).replace(LEADING_EMOJI, '').trim();
+}
+
+/**
+ * JSON-friendly error
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        code: error.code,
+        message: error.message,
+        stack: error.stack
+    };
+}
+
+Logger.LEVELS = LEVELS;
+Logger.FORMATS = FORMATS;
+
+module.exports = Logger;
@@ -0,0 +1,187 @@
+const http = require('http');
+const Logger = require('./logger');
+
+/**
+ * Prometheus / OpenMetrics exporter for live emissions and power metrics
+ * Updated by the tracker on every measurement; served by a built-in HTTP server
+ * or through `handler()` mounted in an existing server (http, Express, ...)
+ */
+const METRICS = [
+    { key: 'cpuEnergy', name: 'cpu_energy_kwh', type: 'counter', help: 'Cumulative CPU energy consumed (kWh, PUE applied)' },
+    { key: 'ramEnergy', name: 'ram_energy_kwh', type: 'counter', help: 'Cumulative RAM energy consumed (kWh, PUE applied)' },
+    { key: 'gpuEnergy', name: 'gpu_energy_kwh', type: 'counter', help: 'Cumulative GPU energy consumed (kWh, PUE applied)' },
+    { key: 'energy', name: 'energy_kwh', type: 'counter', help: 'Cumulative total energy consumed (kWh, PUE applied)' },
+    { key: 'emissions', name: 'emissions_kg', type: 'counter', help: 'Cumulative CO2 emissions (kg)' },
+    { key: 'cpuPower', name: 'cpu_power_watts', type: 'gauge', help: 'Current CPU power (W)' },
+    { key: 'ramPower', name: 'ram_power_watts', type: 'gauge', help: 'Current RAM power (W)' },
+    { key: 'gpuPower', name: 'gpu_power_watts', type: 'gauge', help: 'Current GPU power (W)' },
+    { key: 'cpuUsage', name: 'cpu_usage_percent', type: 'gauge', help: 'Current machine CPU usage (%)' },
+    { key: 'carbonIntensity', name: 'carbon_intensity_grams_per_kwh', type: 'gauge', help: 'Current grid carbon intensity (g CO2/kWh)' }
+];
+
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+class PrometheusExporter {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'greencarbon';
+        this.port = options.port !== undefined ? options.port : null;
+        this.host = options.host || '127.0.0.1'; // Loopback only; '0.0.0.0' exposes the endpoint on all interfaces
+        this.path = options.path || '/metrics';
+        this.maxRuns = options.maxRuns || 20; // Runs kept before the oldest series are dropped (trackers remove theirs on stop)
+        this.series = new Map(); // run id -> { labels, values }
+        this.server = null;
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Update the series of a tracker run from its latest measurement
+     * @param {EmissionsTracker} tracker - Tracker being measured
+     * @param {Object} measurement - Latest measurement
+     */
+    update(tracker, measurement) {
+        const labels = {
+            project: tracker.projectName,
+            country: tracker.locationInfo ? tracker.locationInfo.countryCode : '',
+            run_id: tracker.runId
+        };
+
+        // Re-insert so the most recently updated runs are kept when pruning
+        this.series.delete(tracker.runId);
+        this.series.set(tracker.runId, {
+            labels: labels,
+            values: {
+                cpuEnergy: tracker.totalCpuEnergy,
+                ramEnergy: tracker.totalRamEnergy,
+                gpuEnergy: tracker.totalGpuEnergy,
+                energy: tracker.totalEnergy,
+                emissions: tracker.totalEmissions,
+                cpuPower: measurement.cpuPower,
+                ramPower: measurement.ramPower,
+                gpuPower: measurement.gpuPower,
+                cpuUsage: measurement.cpuUsage,
+                carbonIntensity: measurement.carbonIntensity
+            }
+        });
+
+        while (this.series.size > this.maxRuns) {
+            this.series.delete(this.series.keys().next().value);
+        }
+    }
+
+    /**
+     * Remove the series of a run
+     */
+    removeRun(runId) {
+        this.series.delete(runId);
+    }
+
+    /**
+     * Escape a label value for the exposition format
+     */
+    escapeLabel(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Format a sample value
+     */
+    formatValue(value) {
+        if (typeof value !== 'number' || Number.isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return String(value);
+    }
+
+    /**
+     * Render all metrics
+     * @param {boolean} [openMetrics=false] - Use the OpenMetrics format instead of Prometheus text 0.0.4
+     * @returns {string} Exposition text
+     */
+    render(openMetrics = false) {
+        const lines = [];
+
+        for (const metric of METRICS) {
+            const name = `${this.prefix}_${metric.name}`;
+            const sampleName = metric.type === 'counter' ? `${name}_total` : name;
+            // OpenMetrics names the counter family without the _total suffix
+            const familyName = openMetrics ? name : sampleName;
+
+            lines.push(`# HELP ${familyName} ${metric.help}`);
+            lines.push(`# TYPE ${familyName} ${metric.type}`);
+
+            for (const { labels, values } of this.series.values()) {
+                const labelText = Object.entries(labels)
+                    .map(([key, value]) => `${key}="${this.escapeLabel(value)}"`)
+                    .join(',');
+                lines.push(`${sampleName}{${labelText}} ${this.formatValue(values[metric.key])}`);
+            }
+        }
+
+        if (openMetrics) lines.push('# EOF');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Request handler serving the metrics; OpenMetrics is used when the client accepts it
+     * Usable with http.createServer or mounted as an Express route: app.get('/metrics', exporter.handler())
+     */
+    handler() {
+        return (req, res) => {
+            const accept = (req.headers && req.headers.accept) || '';
+            const openMetrics = accept.includes('application/openmetrics-text');
+
+            res.statusCode = 200;
+            res.setHeader('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+            res.end(this.render(openMetrics));
+        };
+    }
+
+    /**
+     * Start the built-in HTTP server
+     * @param {number} [port] - Port (defaults to the `port` option, 0 picks a free port)
+     * @returns {Promise<number>} Port the server listens on
+     */
+    listen(port = this.port) {
+        if (this.server) return Promise.resolve(this.server.address().port);
+
+        const handle = this.handler();
+        const server = http.createServer((req, res) => {
+            const pathname = (req.url || '').split('?')[0];
+            if (req.method === 'GET' && pathname === this.path) {
+                handle(req, res);
+            } else {
+                res.statusCode = 404;
+                res.end('Not Found\n');
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port || 0, this.host, () => {
+                server.removeListener('error', reject);
+                this.server = server;
+                this.logger.info(`📈 Metrics available at http://${this.host}:${server.address().port}${this.path}`);
+                resolve(server.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stop the built-in HTTP server
+     */
+    close() {
+        if (!this.server) return Promise.resolve();
+
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+PrometheusExporter.METRICS = METRICS;
+
+module.exports = PrometheusExporter;
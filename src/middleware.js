@@ -0,0 +1,340 @@
+const os = require('os');
+const EmissionsTracker = require('./tracker');
+
+/**
+ * Per-route request emissions for Express, Koa and Fastify
+ *
+ * One long-lived tracker measures the process; each request gets:
+ * - a share of the process CPU time while it is in flight, converted to CPU energy
+ *   with the machine's current watts per CPU-second
+ * - a wall-time share of the remaining energy (RAM, GPU, other), split evenly
+ *   between the requests in flight
+ * Requests are aggregated per method and route.
+ */
+class RequestEmissions {
+    constructor(options = {}) {
+        this.tracker = options.tracker || new EmissionsTracker({
+            projectName: 'http-requests',
+            saveToFile: false,
+            ...options.trackerOptions
+        });
+        this.header = options.header === true ? 'Server-Timing' : (options.header || null);
+        this.statsPath = options.statsPath || null;
+        this.routeKey = options.routeKey || null;
+
+        this.inFlight = 0;
+        this.last = null;
+        this.shared = { cpuTime: 0, cpuEnergy: 0, otherEnergy: 0, emissions: 0 };
+        this.routes = new Map();
+        this.starting = null;
+    }
+
+    /**
+     * Start the shared tracker if it isn't running yet
+     */
+    async start() {
+        if (this.tracker.isTracking) return;
+        if (!this.starting) {
+            this.starting = this.tracker.start().finally(() => { this.starting = null; });
+        }
+        await this.starting;
+    }
+
+    /**
+     * Stop the shared tracker (writes the run to its outputs)
+     */
+    async stop() {
+        return this.tracker.isTracking ? this.tracker.stop() : null;
+    }
+
+    /**
+     * Process CPU time in seconds
+     */
+    getProcessCpuTime() {
+        const usage = process.cpuUsage();
+        return (usage.user + usage.system) / 1e6;
+    }
+
+    /**
+     * CPU energy (kWh) of one CPU-second at the machine's current load, PUE applied
+     */
+    getCpuEnergyPerSecond() {
+        const latest = this.tracker.measurements[this.tracker.measurements.length - 1];
+        if (!latest || !latest.cpuUsage) return 0;
+
+        // In process mode the CPU reading is already scaled down to the process share
+        const share = latest.processShare ? latest.processShare.cpuShare : null;
+        const machinePower = share ? latest.cpuPower / share : latest.cpuPower;
+        const threads = this.tracker.systemInfo ? this.tracker.systemInfo.cpu.threads : os.cpus().length;
+        const busyCpuSeconds = Math.max(0.01, (latest.cpuUsage / 100) * threads); // CPU-seconds per second
+
+        return (machinePower / busyCpuSeconds / (1000 * 3600)) * this.tracker.pue;
+    }
+
+    /**
+     * Advance the shared per-request totals to now
+     * Between two request events, each in-flight request gets 1/n of the process CPU time
+     * and of the non-CPU energy
+     */
+    advance(now = Date.now()) {
+        const snapshot = this.tracker.getEnergySnapshot(now);
+        const current = {
+            cpuTime: this.getProcessCpuTime(),
+            otherEnergy: snapshot.ram + snapshot.gpu + snapshot.other
+        };
+
+        if (this.last && this.inFlight > 0) {
+            const latest = this.tracker.measurements[this.tracker.measurements.length - 1];
+            const intensity = latest ? latest.carbonIntensity : 0;
+            const cpuTime = Math.max(0, current.cpuTime - this.last.cpuTime) / this.inFlight;
+            const cpuEnergy = cpuTime * this.getCpuEnergyPerSecond();
+            // Totals can step back slightly when a new measurement replaces the estimate
+            const otherEnergy = Math.max(0, current.otherEnergy - this.last.otherEnergy) / this.inFlight;
+
+            this.shared.cpuTime += cpuTime;
+            this.shared.cpuEnergy += cpuEnergy;
+            this.shared.otherEnergy += otherEnergy;
+            this.shared.emissions += ((cpuEnergy + otherEnergy) * intensity) / 1000;
+        }
+
+        this.last = current;
+    }
+
+    /**
+     * Begin tracking a request
+     * @returns {Object} Request handle for end()
+     */
+    begin(method) {
+        const now = Date.now();
+        this.advance(now);
+        this.inFlight++;
+        return { method: method, startTime: now, base: { ...this.shared }, ended: false };
+    }
+
+    /**
+     * Energy and emissions of a request so far
+     */
+    measure(handle, now = Date.now()) {
+        this.advance(now);
+        const cpuEnergy = this.shared.cpuEnergy - handle.base.cpuEnergy;
+        const otherEnergy = this.shared.otherEnergy - handle.base.otherEnergy;
+
+        return {
+            wallTime: (now - handle.startTime) / 1000,
+            cpuTime: this.shared.cpuTime - handle.base.cpuTime,
+            energy: cpuEnergy + otherEnergy,
+            cpuEnergy: cpuEnergy,
+            emissions: this.shared.emissions - handle.base.emissions
+        };
+    }
+
+    /**
+     * Finish a request and add it to its route's statistics
+     * @param {Object} handle - Handle from begin()
+     * @param {string} route - Route pattern (e.g. '/users/:id')
+     * @param {number} [statusCode] - Response status
+     * @returns {Object|null} Request energy and emissions
+     */
+    end(handle, route, statusCode = 200) {
+        if (handle.ended) return null;
+        handle.ended = true;
+
+        const result = this.measure(handle);
+        this.inFlight--;
+
+        const key = `${handle.method} ${route}`;
+        if (!this.routes.has(key)) {
+            this.routes.set(key, {
+                method: handle.method, route: route, count: 0, errors: 0,
+                wallTime: 0, cpuTime: 0, energy: 0, emissions: 0
+            });
+        }
+
+        const stats = this.routes.get(key);
+        stats.count++;
+        if (statusCode >= 500) stats.errors++;
+        stats.wallTime += result.wallTime;
+        stats.cpuTime += result.cpuTime;
+        stats.energy += result.energy;
+        stats.emissions += result.emissions;
+
+        return result;
+    }
+
+    /**
+     * Per-route statistics, most emitting routes first
+     * @returns {Object[]} { method, route, count, errors, energy, emissions, wallTime, cpuTime, average* }
+     */
+    getStats() {
+        return [...this.routes.values()]
+            .map(stats => ({
+                ...stats,
+                averageEnergy: stats.energy / stats.count,
+                averageEmissions: stats.emissions / stats.count,
+                averageWallTime: stats.wallTime / stats.count,
+                averageCpuTime: stats.cpuTime / stats.count
+            }))
+            .sort((a, b) => b.emissions - a.emissions);
+    }
+
+    /**
+     * Clear the per-route statistics
+     */
+    reset() {
+        this.routes.clear();
+    }
+
+    /**
+     * Stats endpoint body
+     */
+    getStatsBody() {
+        return {
+            projectName: this.tracker.projectName,
+            runId: this.tracker.runId,
+            inFlight: this.inFlight,
+            totalEnergy: this.tracker.totalEnergy,
+            totalEmissions: this.tracker.totalEmissions,
+            routes: this.getStats()
+        };
+    }
+
+    /**
+     * Server-Timing entries for a request so far (energy in Wh, CO2 in mg)
+     * The values go in desc: dur is a duration in milliseconds and tools display it as one
+     */
+    formatHeader(result) {
+        return [
+            `energy;desc="${(result.energy * 1000).toPrecision(4)} Wh"`,
+            `co2;desc="${(result.emissions * 1e6).toPrecision(4)} mg"`
+        ].join(', ');
+    }
+
+    /**
+     * Append the Server-Timing entries to a response header value
+     */
+    appendHeader(existing, handle) {
+        const value = this.formatHeader(this.measure(handle));
+        return existing ? `${existing}, ${value}` : value;
+    }
+
+    /**
+     * Resolve the route of a request, falling back to '<unmatched>' to keep route cardinality bounded
+     */
+    resolveRoute(request, fallback) {
+        if (this.routeKey) return this.routeKey(request) || '<unmatched>';
+        return fallback || '<unmatched>';
+    }
+
+    /**
+     * Express (and Connect-style) middleware
+     */
+    express() {
+        return (req, res, next) => {
+            const pathname = (req.originalUrl || req.url || '').split('?')[0];
+            if (this.statsPath && req.method === 'GET' && pathname === this.statsPath) {
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(this.getStatsBody()));
+                return;
+            }
+
+            this.start().catch(error => this.tracker.logger.warn('⚠️  Failed to start request emissions tracker:', { error }));
+            const handle = this.begin(req.method);
+
+            if (this.header) {
+                // The header has to be set before the response headers go out
+                const writeHead = res.writeHead;
+                res.writeHead = (...args) => {
+                    if (!res.headersSent) {
+                        res.setHeader(this.header, this.appendHeader(res.getHeader(this.header), handle));
+                    }
+                    return writeHead.apply(res, args);
+                };
+            }
+
+            const finish = () => {
+                const route = req.route ? `${req.baseUrl || ''}${req.route.path}` : null;
+                this.end(handle, this.resolveRoute(req, route), res.statusCode);
+            };
+            res.once('finish', finish);
+            res.once('close', finish);
+
+            next();
+        };
+    }
+
+    /**
+     * Koa middleware
+     */
+    koa() {
+        return async (ctx, next) => {
+            if (this.statsPath && ctx.method === 'GET' && ctx.path === this.statsPath) {
+                ctx.body = this.getStatsBody();
+                return;
+            }
+
+            this.start().catch(error => this.tracker.logger.warn('⚠️  Failed to start request emissions tracker:', { error }));
+            const handle = this.begin(ctx.method);
+
+            const finish = () => {
+                const route = ctx._matchedRoute || ctx.routerPath || null; // @koa/router
+                this.end(handle, this.resolveRoute(ctx, route), ctx.status);
+            };
+            ctx.res.once('finish', finish);
+            ctx.res.once('close', finish);
+
+            await next();
+
+            if (this.header) {
+                ctx.set(this.header, this.appendHeader(ctx.response.get(this.header), handle));
+            }
+        };
+    }
+
+    /**
+     * Fastify plugin: fastify.register(requestEmissions.fastify())
+     */
+    fastify() {
+        const plugin = (fastify, opts, done) => {
+            const handles = new WeakMap();
+
+            if (this.statsPath) {
+                fastify.get(this.statsPath, async () => this.getStatsBody());
+            }
+
+            fastify.addHook('onRequest', (request, reply, hookDone) => {
+                if (this.statsPath && request.url.split('?')[0] === this.statsPath) return hookDone();
+
+                this.start().catch(error => this.tracker.logger.warn('⚠️  Failed to start request emissions tracker:', { error }));
+                handles.set(request, this.begin(request.method));
+                hookDone();
+            });
+
+            if (this.header) {
+                fastify.addHook('onSend', (request, reply, payload, hookDone) => {
+                    const handle = handles.get(request);
+                    if (handle) {
+                        reply.header(this.header, this.appendHeader(reply.getHeader(this.header), handle));
+                    }
+                    hookDone(null, payload);
+                });
+            }
+
+            fastify.addHook('onResponse', (request, reply, hookDone) => {
+                const handle = handles.get(request);
+                if (handle) {
+                    const route = (request.routeOptions && request.routeOptions.url) || request.routerPath || null;
+                    this.end(handle, this.resolveRoute(request, route), reply.statusCode);
+                }
+                hookDone();
+            });
+
+            done();
+        };
+
+        // Apply the hooks to the whole instance instead of an encapsulated context (like fastify-plugin)
+        plugin[Symbol.for('skip-override')] = true;
+        return plugin;
+    }
+}
+
+module.exports = RequestEmissions;
@@ -0,0 +1,60 @@
+const SuiteEmissions = require('./testing');
+
+/**
+ * node:test reporter measuring the emissions of a test run
+ *
+ *   node --test --test-reporter=spec --test-reporter-destination=stdout \
+ *        --test-reporter=green-carbon/src/node-test-reporter --test-reporter-destination=stdout
+ *
+ * Use createReporter(options) in your own reporter module to set tracker options or topN
+ */
+function createReporter(options = {}) {
+    const { topN, ...trackerOptions } = options;
+
+    return async function* greenCarbonReporter(source) {
+        const lines = [];
+        const suite = new SuiteEmissions({ topN: topN, trackerOptions: trackerOptions, log: message => lines.push(message) });
+        const files = new Map(); // file -> { names: [], tests: [] }
+
+        await suite.start();
+
+        for await (const event of source) {
+            const data = event.data || {};
+            if (!data.file) continue;
+
+            // Each test file runs as a top-level test named after the file
+            const isFile = data.name === data.file && data.nesting === 0;
+
+            if (event.type === 'test:dequeue' && isFile) {
+                suite.beginFile(data.file);
+                files.set(data.file, { names: [], tests: [] });
+            } else if (event.type === 'test:start' && !isFile) {
+                const file = files.get(data.file);
+                if (file) file.names[data.nesting] = data.name;
+            } else if ((event.type === 'test:pass' || event.type === 'test:fail') && !isFile) {
+                const file = files.get(data.file);
+                const details = data.details || {};
+                // Only leaf tests; suites (describe) add up their tests
+                if (file && details.type !== 'suite') {
+                    file.tests.push({
+                        name: [...file.names.slice(0, data.nesting), data.name].join(' › '),
+                        duration: details.duration_ms || 0,
+                        status: event.type === 'test:pass' ? 'passed' : 'failed'
+                    });
+                }
+            } else if ((event.type === 'test:complete' || event.type === 'test:pass' || event.type === 'test:fail') && isFile) {
+                const file = files.get(data.file);
+                if (file) {
+                    suite.endFile(data.file, file.tests);
+                    files.delete(data.file);
+                }
+            }
+        }
+
+        await suite.stop();
+        yield lines.join('\n') + '\n';
+    };
+}
+
+module.exports = createReporter();
+module.exports.createReporter = createReporter;
@@ -0,0 +1,145 @@
+const { execFile } = require('child_process');
+
+/**
+ * NVIDIA GPU monitoring through nvidia-smi - equivalent to codecarbon.core.gpu (pynvml)
+ */
+const QUERY_FIELDS = [
+    'index',
+    'uuid',
+    'name',
+    'power.draw',
+    'power.limit',
+    'power.max_limit',
+    'utilization.gpu',
+    'utilization.memory',
+    'memory.used',
+    'memory.total',
+    'temperature.gpu'
+];
+
+class NvidiaSMI {
+    constructor(options = {}) {
+        this.command = options.command || 'nvidia-smi';
+        this.timeout = options.timeout || 5000;
+        this.gpuIds = this.parseGpuIds(options.gpuIds !== undefined ? options.gpuIds : process.env.CUDA_VISIBLE_DEVICES);
+    }
+
+    /**
+     * Parse GPU selection from an array or a CUDA_VISIBLE_DEVICES-style string ("0,2" or "GPU-8a1b...")
+     * @returns {string[]|null} Selected indices/UUIDs, or null to track all GPUs
+     */
+    parseGpuIds(gpuIds) {
+        if (gpuIds === undefined || gpuIds === null) return null;
+
+        const list = Array.isArray(gpuIds) ? gpuIds : String(gpuIds).split(',');
+        return list.map(id => String(id).trim()).filter(id => id.length > 0);
+    }
+
+    /**
+     * Run nvidia-smi with the query fields
+     * @returns {Promise<string>} Raw CSV output
+     */
+    query() {
+        const args = [`--query-gpu=${QUERY_FIELDS.join(',')}`, '--format=csv'];
+
+        return new Promise((resolve, reject) => {
+            execFile(this.command, args, { timeout: this.timeout }, (error, stdout) => {
+                if (error) return reject(error);
+                resolve(stdout);
+            });
+        });
+    }
+
+    /**
+     * Check whether nvidia-smi is installed and reports at least one GPU
+     */
+    async isAvailable() {
+        try {
+            const gpus = this.parseQueryOutput(await this.query());
+            return gpus.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parse `nvidia-smi --query-gpu=... --format=csv` output
+     * Handles the header row, units ("45.12 W", "1024 MiB", "35 %") and "[N/A]" values
+     * @param {string} output - Raw nvidia-smi CSV output
+     * @returns {Object[]} Per-GPU readings
+     */
+    parseQueryOutput(output) {
+        const lines = output.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        if (lines.length === 0) return [];
+
+        let fields = QUERY_FIELDS;
+        let rows = lines;
+
+        // With --format=csv the first line is a header such as "index, uuid, power.draw [W], ..."
+        if (lines[0].startsWith('index')) {
+            fields = lines[0].split(',').map(field => field.trim().replace(/\s*\[.*\]$/, ''));
+            rows = lines.slice(1);
+        }
+
+        return rows.map(line => {
+            const values = line.split(',').map(value => value.trim());
+            const raw = {};
+            fields.forEach((field, i) => { raw[field] = values[i]; });
+
+            return {
+                index: this.parseNumber(raw['index']),
+                uuid: raw['uuid'] || null,
+                name: raw['name'] || 'Unknown GPU',
+                power: this.parseNumber(raw['power.draw']) || 0, // Watts
+                powerLimit: this.parseNumber(raw['power.limit']),
+                maxPowerLimit: this.parseNumber(raw['power.max_limit']),
+                utilization: this.parseNumber(raw['utilization.gpu']),
+                memoryUtilization: this.parseNumber(raw['utilization.memory']),
+                memoryUsed: this.parseNumber(raw['memory.used']), // MiB
+                memoryTotal: this.parseNumber(raw['memory.total']), // MiB
+                temperature: this.parseNumber(raw['temperature.gpu'])
+            };
+        });
+    }
+
+    /**
+     * Parse a numeric nvidia-smi value, stripping units
+     * @returns {number|null} Parsed value, or null for "[N/A]" / "[Not Supported]"
+     */
+    parseNumber(value) {
+        if (value === undefined || value === null) return null;
+
+        const number = parseFloat(String(value).replace(/[^0-9.+-]/g, ''));
+        return Number.isFinite(number) ? number : null;
+    }
+
+    /**
+     * Keep only the selected GPUs (matched by index or UUID prefix)
+     */
+    filterGpus(gpus) {
+        if (!this.gpuIds) return gpus;
+
+        return gpus.filter(gpu => this.gpuIds.some(id =>
+            id === String(gpu.index) || (gpu.uuid && gpu.uuid.startsWith(id))
+        ));
+    }
+
+    /**
+     * Read current per-GPU power, utilization and memory
+     * @returns {Promise<Object>} Total power and per-GPU readings
+     */
+    async getGPUReadings() {
+        const gpus = this.filterGpus(this.parseQueryOutput(await this.query()));
+
+        return {
+            count: gpus.length,
+            power: gpus.reduce((total, gpu) => total + gpu.power, 0), // Watts
+            models: gpus.map(gpu => gpu.name),
+            gpus: gpus
+        };
+    }
+}
+
+NvidiaSMI.QUERY_FIELDS = QUERY_FIELDS;
+
+module.exports = NvidiaSMI;
@@ -0,0 +1,157 @@
+/**
+ * OpenTelemetry integration
+ *
+ * Publishes tracker totals through a user-provided Meter (observable counters and gauges)
+ * and adds energy/emissions attributes to spans. Only the @opentelemetry/api objects passed
+ * in are used, so this module has no OpenTelemetry dependency of its own.
+ */
+const METRICS = [
+    { key: 'cpuEnergy', name: 'cpu.energy', kind: 'counter', unit: 'kWh', description: 'Cumulative CPU energy consumed (PUE applied)' },
+    { key: 'ramEnergy', name: 'ram.energy', kind: 'counter', unit: 'kWh', description: 'Cumulative RAM energy consumed (PUE applied)' },
+    { key: 'gpuEnergy', name: 'gpu.energy', kind: 'counter', unit: 'kWh', description: 'Cumulative GPU energy consumed (PUE applied)' },
+    { key: 'energy', name: 'energy', kind: 'counter', unit: 'kWh', description: 'Cumulative total energy consumed (PUE applied)' },
+    { key: 'emissions', name: 'emissions', kind: 'counter', unit: 'kg', description: 'Cumulative CO2 emissions' },
+    { key: 'cpuPower', name: 'cpu.power', kind: 'gauge', unit: 'W', description: 'Current CPU power' },
+    { key: 'ramPower', name: 'ram.power', kind: 'gauge', unit: 'W', description: 'Current RAM power' },
+    { key: 'gpuPower', name: 'gpu.power', kind: 'gauge', unit: 'W', description: 'Current GPU power' },
+    { key: 'carbonIntensity', name: 'carbon_intensity', kind: 'gauge', unit: 'g/kWh', description: 'Current grid carbon intensity' }
+];
+
+// SpanStatusCode.ERROR in @opentelemetry/api
+const SPAN_STATUS_ERROR = 2;
+
+class OpenTelemetryIntegration {
+    constructor(options = {}) {
+        this.meter = options.meter || null;
+        this.tracer = options.tracer || null;
+        this.prefix = options.prefix || 'greencarbon';
+        this.maxRuns = options.maxRuns || 20; // Finished runs kept before the oldest are no longer reported
+        this.snapshots = new Map(); // run id -> { attributes, values }
+        this.instruments = [];
+
+        if (this.meter) {
+            this.createInstruments();
+        }
+    }
+
+    /**
+     * Create observable instruments reporting the latest snapshot of each run
+     */
+    createInstruments() {
+        for (const metric of METRICS) {
+            const name = `${this.prefix}.${metric.name}`;
+            const options = { description: metric.description, unit: metric.unit };
+            const instrument = metric.kind === 'counter'
+                ? this.meter.createObservableCounter(name, options)
+                : this.meter.createObservableGauge(name, options);
+
+            instrument.addCallback(result => {
+                for (const { attributes, values } of this.snapshots.values()) {
+                    if (typeof values[metric.key] === 'number') {
+                        result.observe(values[metric.key], attributes);
+                    }
+                }
+            });
+
+            this.instruments.push(instrument);
+        }
+    }
+
+    /**
+     * Record the latest totals of a tracker run
+     * @param {EmissionsTracker} tracker - Tracker being measured
+     * @param {Object} measurement - Latest measurement
+     */
+    update(tracker, measurement) {
+        this.snapshots.delete(tracker.runId);
+        this.snapshots.set(tracker.runId, {
+            attributes: {
+                [`${this.prefix}.project`]: tracker.projectName,
+                [`${this.prefix}.country`]: tracker.locationInfo ? tracker.locationInfo.countryCode : '',
+                [`${this.prefix}.run_id`]: tracker.runId
+            },
+            values: {
+                cpuEnergy: tracker.totalCpuEnergy,
+                ramEnergy: tracker.totalRamEnergy,
+                gpuEnergy: tracker.totalGpuEnergy,
+                energy: tracker.totalEnergy,
+                emissions: tracker.totalEmissions,
+                cpuPower: measurement.cpuPower,
+                ramPower: measurement.ramPower,
+                gpuPower: measurement.gpuPower,
+                carbonIntensity: measurement.carbonIntensity
+            }
+        });
+
+        while (this.snapshots.size > this.maxRuns) {
+            this.snapshots.delete(this.snapshots.keys().next().value);
+        }
+    }
+
+    /**
+     * Span attributes for tracker results
+     * @param {Object} results - Results of EmissionsTracker.stop()
+     * @returns {Object} Attributes
+     */
+    getSpanAttributes(results) {
+        if (!results) return {};
+
+        const attributes = {
+            [`${this.prefix}.project`]: results.projectName,
+            [`${this.prefix}.run_id`]: results.runId,
+            [`${this.prefix}.energy_kwh`]: results.energyConsumed,
+            [`${this.prefix}.cpu_energy_kwh`]: results.cpuEnergy,
+            [`${this.prefix}.ram_energy_kwh`]: results.ramEnergy,
+            [`${this.prefix}.gpu_energy_kwh`]: results.gpuEnergy,
+            [`${this.prefix}.emissions_kg`]: results.emissions,
+            [`${this.prefix}.duration_s`]: results.duration,
+            [`${this.prefix}.country`]: results.countryCode,
+            [`${this.prefix}.carbon_intensity`]: results.carbonIntensity
+        };
+
+        // Attribute values can't be null or undefined
+        for (const key of Object.keys(attributes)) {
+            if (attributes[key] === null || attributes[key] === undefined) delete attributes[key];
+        }
+        return attributes;
+    }
+
+    /**
+     * Add the estimated energy and emissions of a run to a span
+     */
+    setSpanAttributes(span, results) {
+        span.setAttributes(this.getSpanAttributes(results));
+    }
+
+    /**
+     * Run a tracked operation inside a span and annotate it with the run's results
+     * @param {string} name - Span name, used when a new span is started
+     * @param {EmissionsTracker} tracker - Tracker measuring the operation
+     * @param {Function} operation - Async function starting and stopping the tracker
+     * @param {Object} [span] - Existing span to annotate instead of starting one
+     */
+    async withSpan(name, tracker, operation, span = null) {
+        const annotate = async activeSpan => {
+            try {
+                const result = await operation();
+                this.setSpanAttributes(activeSpan, tracker.results);
+                return result;
+            } catch (error) {
+                this.setSpanAttributes(activeSpan, tracker.results);
+                activeSpan.recordException(error);
+                activeSpan.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+                throw error;
+            } finally {
+                if (!span) activeSpan.end();
+            }
+        };
+
+        if (span) return annotate(span);
+        if (this.tracer) return this.tracer.startActiveSpan(name, annotate);
+        return operation();
+    }
+}
+
+OpenTelemetryIntegration.METRICS = METRICS;
+
+module.exports = OpenTelemetryIntegration;
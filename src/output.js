@@ -1,78 +1,132 @@
-const fs = require('fs');
-const path = require('path');
-const { createObjectCsvWriter } = require('csv-writer');
+const { CSVSink, createSink } = require('./sinks');
+const { OutputError } = require('./errors');
+const Logger = require('./logger');
 
 /**
  * Output handler for emissions data - equivalent to codecarbon.output
+ * Fans each result out to the configured sinks (CSV by default)
  */
 class OutputHandler {
     constructor(options = {}) {
         this.saveToFile = options.saveToFile !== false;
         this.filePath = options.filePath || 'emissions.csv';
         this.projectName = options.projectName || 'green-carbon';
-        this.csvWriter = null;
-        this.initializeCSVWriter();
+        this.logger = options.logger || new Logger();
+        this.sinks = [];
+        this.initializeSinks(options.outputs);
     }
 
     /**
-     * Initialize CSV writer with headers matching CodeCarbon format
+     * Create the output sinks
+     * Without `outputs`, results go to the CSV file unless saveToFile is false
+     * @param {Array} [outputs] - Sink specs (see createSink)
      */
-    initializeCSVWriter() {
-        if (!this.saveToFile) return;
-
-        this.csvWriter = createObjectCsvWriter({
-            path: this.filePath,
-            header: [
-                { id: 'timestamp', title: 'timestamp' },
-                { id: 'project_name', title: 'project_name' },
-                { id: 'run_id', title: 'run_id' },
-                { id: 'experiment_id', title: 'experiment_id' },
-                { id: 'duration', title: 'duration' },
-                { id: 'emissions', title: 'emissions' },
-                { id: 'emissions_rate', title: 'emissions_rate' },
-                { id: 'cpu_power', title: 'cpu_power' },
-                { id: 'gpu_power', title: 'gpu_power' },
-                { id: 'ram_power', title: 'ram_power' },
-                { id: 'cpu_energy', title: 'cpu_energy' },
-                { id: 'gpu_energy', title: 'gpu_energy' },
-                { id: 'ram_energy', title: 'ram_energy' },
-                { id: 'energy_consumed', title: 'energy_consumed' },
-                { id: 'country_name', title: 'country_name' },
-                { id: 'country_iso_code', title: 'country_iso_code' },
-                { id: 'region', title: 'region' },
-                { id: 'cloud_provider', title: 'cloud_provider' },
-                { id: 'cloud_region', title: 'cloud_region' },
-                { id: 'os', title: 'os' },
-                { id: 'python_version', title: 'python_version' },
-                { id: 'codecarbon_version', title: 'codecarbon_version' },
-                { id: 'cpu_count', title: 'cpu_count' },
-                { id: 'cpu_model', title: 'cpu_model' },
-                { id: 'gpu_count', title: 'gpu_count' },
-                { id: 'gpu_model', title: 'gpu_model' },
-                { id: 'longitude', title: 'longitude' },
-                { id: 'latitude', title: 'latitude' },
-                { id: 'ram_total_size', title: 'ram_total_size' },
-                { id: 'tracking_mode', title: 'tracking_mode' },
-                { id: 'on_cloud', title: 'on_cloud' },
-                { id: 'pue', title: 'pue' }
-            ],
-            append: fs.existsSync(this.filePath)
-        });
+    initializeSinks(outputs) {
+        if (outputs) {
+            this.sinks = (Array.isArray(outputs) ? outputs : [outputs]).map(spec => createSink(spec, { logger: this.logger }));
+        } else if (this.saveToFile) {
+            this.sinks = [new CSVSink({ path: this.filePath, logger: this.logger })];
+        }
     }
 
     /**
-     * Save emissions data to CSV file
+     * Save emissions data to every sink
+     * A failing sink doesn't prevent the others from being written
      * @param {Object} data - Emissions data object
+     * @returns {Promise<Object[]>} Per-sink results: { sink, target, success, error? (OutputError) }
      */
     async saveData(data) {
-        if (!this.saveToFile || !this.csvWriter) return;
-
-        try {
-            const record = this.formatDataForCSV(data);
-            await this.csvWriter.writeRecords([record]);
-            console.log(`📄 Emissions data saved to ${this.filePath}`);
-        } catch (error) {
-            console.error('Failed to save emissions data:', error);
+        if (this.sinks.length === 0) return [];
+
+        // The run record, followed by the per-task breakdown
+        const records = [
+            this.formatDataForCSV(data),
+            ...(data.tasks || []).map(task => this.formatDataForCSV({ ...data, ...task }))
+        ];
+        const results = [];
+
+        for (const sink of this.sinks) {
+            try {
+                if (typeof sink.writeRecords === 'function') {
+                    await sink.writeRecords(records, data);
+                } else {
+                    for (const record of records) await sink.write(record, data);
+                }
+                results.push({ sink: sink.name, target: sink.describe(), success: true });
+                if (sink.filePath) {
+                    this.logger.info(`📄 Emissions data saved to ${sink.describe()}`, { output: sink.describe() });
+                }
+            } catch (error) {
+                results.push({
+                    sink: sink.name,
+                    target: sink.describe(),
+                    success: false,
+                    error: this.toOutputError(`Failed to save emissions data to ${sink.describe()}`, sink, error)
+                });
+                this.logger.error(`❌ Failed to save emissions data to ${sink.describe()}:`, { output: sink.describe(), error });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Whether any sink wants snapshots while tracking
+     */
+    hasLiveSinks() {
+        return this.sinks.some(sink => typeof sink.writeLive === 'function');
+    }
+
+    /**
+     * Send an in-progress snapshot to the sinks that support it
+     * @param {Object} data - Emissions data so far
+     * @returns {Promise<Object[]>} Per-sink results: { sink, target, success, error? }
+     */
+    async saveLive(data) {
+        const liveSinks = this.sinks.filter(sink => typeof sink.writeLive === 'function');
+        if (liveSinks.length === 0) return [];
+
+        const record = this.formatDataForCSV(data);
+        const results = [];
+        for (const sink of liveSinks) {
+            try {
+                await sink.writeLive(record, data);
+                results.push({ sink: sink.name, target: sink.describe(), success: true });
+            } catch (error) {
+                results.push({
+                    sink: sink.name,
+                    target: sink.describe(),
+                    success: false,
+                    error: this.toOutputError(`Failed to send live emissions data to ${sink.describe()}`, sink, error)
+                });
+                this.logger.warn(`⚠️  Failed to send live emissions data to ${sink.describe()}:`, { output: sink.describe(), error });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Wrap a sink failure in an OutputError
+     */
+    toOutputError(message, sink, error) {
+        return new OutputError(`${message}: ${error.message}`, {
+            cause: error,
+            sink: sink.name,
+            target: sink.describe()
+        });
+    }
+
+    /**
+     * Close sinks that hold resources (database handles)
+     */
+    async close() {
+        for (const sink of this.sinks) {
+            try {
+                if (typeof sink.close === 'function') await sink.close();
+            } catch (error) {
+                this.logger.warn(`⚠️  Failed to close output ${sink.describe()}:`, { output: sink.describe(), error });
+            }
         }
     }
 
@@ -81,7 +135,7 @@ class OutputHandler {
      */
     formatDataForCSV(data) {
         return {
-            timestamp: new Date().toISOString(),
+            timestamp: data.timestamp || new Date().toISOString(),
             project_name: data.projectName || this.projectName,
             run_id: data.runId || this.generateUUID(),
             experiment_id: data.experimentId || this.generateUUID(),
@@ -112,7 +166,11 @@ class OutputHandler {
             ram_total_size: data.ramTotalSize || 0,
             tracking_mode: data.trackingMode || 'machine',
             on_cloud: data.onCloud || 'N',
-            pue: data.pue || 1.0
+            pue: data.pue || 1.0,
+            status: data.status || 'completed',
+            task_name: data.taskName || '',
+            carbon_intensity_source: data.carbonIntensitySource || '',
+            carbon_intensity_version: data.carbonIntensityVersion || ''
         };
     }
 
@@ -131,26 +189,44 @@ class OutputHandler {
      * Log emissions data to console
      */
     logData(data) {
-        console.log('\n🌱 Emissions Tracking Results:');
-        console.log('═'.repeat(50));
-        console.log(`💚 CO₂ Emissions: ${data.emissions.toFixed(6)} kg`);
-        console.log(`⚡ Energy Consumed: ${data.energyConsumed.toFixed(6)} kWh`);
-        console.log(`⏱️  Duration: ${data.duration.toFixed(2)} seconds`);
-        console.log(`🔥 Average Power: ${((data.energyConsumed * 1000) / (data.duration / 3600)).toFixed(1)} W`);
-        console.log(`🖥️  CPU Power: ${data.cpuPower.toFixed(1)} W`);
-        console.log(`💾 RAM Power: ${data.ramPower.toFixed(1)} W`);
-        console.log(`🎮 GPU Power: ${data.gpuPower.toFixed(1)} W`);
-        console.log(`🌍 Location: ${data.countryName} (${data.countryCode})`);
-        console.log(`🏭 Carbon Intensity: ${((data.emissions / data.energyConsumed) * 1000).toFixed(0)} g CO₂/kWh`);
+        const averagePower = (data.energyConsumed * 1000) / (data.duration / 3600);
+        const carbonIntensity = (data.emissions / data.energyConsumed) * 1000;
         
         // Real-world equivalents
         const carKm = (data.emissions / 0.00012) / 1000; // Convert to km
         const tvMinutes = (data.emissions / 0.000084) * 60; // Convert to minutes
         
-        console.log('\n🌎 Real-world equivalents:');
-        console.log(`🚗 Car driving: ${carKm.toFixed(1)} meters`);
-        console.log(`📺 TV watching: ${tvMinutes.toFixed(1)} minutes`);
-        console.log('═'.repeat(50));
+        this.logger.block('Emissions tracking results', [
+            '\n🌱 Emissions Tracking Results:',
+            '═'.repeat(50),
+            `💚 CO₂ Emissions: ${data.emissions.toFixed(6)} kg`,
+            `⚡ Energy Consumed: ${data.energyConsumed.toFixed(6)} kWh`,
+            `⏱️  Duration: ${data.duration.toFixed(2)} seconds`,
+            `🔥 Average Power: ${averagePower.toFixed(1)} W`,
+            `🖥️  CPU Power: ${data.cpuPower.toFixed(1)} W`,
+            `💾 RAM Power: ${data.ramPower.toFixed(1)} W`,
+            `🎮 GPU Power: ${data.gpuPower.toFixed(1)} W`,
+            `🌍 Location: ${data.countryName} (${data.countryCode})`,
+            `🏭 Carbon Intensity: ${carbonIntensity.toFixed(0)} g CO₂/kWh`,
+            '\n🌎 Real-world equivalents:',
+            `🚗 Car driving: ${carKm.toFixed(1)} meters`,
+            `📺 TV watching: ${tvMinutes.toFixed(1)} minutes`,
+            '═'.repeat(50)
+        ], {
+            runId: data.runId,
+            projectName: data.projectName,
+            emissions: data.emissions,
+            energyConsumed: data.energyConsumed,
+            duration: data.duration,
+            averagePower: averagePower,
+            cpuPower: data.cpuPower,
+            ramPower: data.ramPower,
+            gpuPower: data.gpuPower,
+            countryName: data.countryName,
+            countryCode: data.countryCode,
+            carbonIntensity: carbonIntensity,
+            status: data.status
+        });
     }
 
     /**
@@ -161,14 +237,24 @@ class OutputHandler {
         const totalEnergy = allData.reduce((sum, d) => sum + d.energyConsumed, 0);
         const totalDuration = allData.reduce((sum, d) => sum + d.duration, 0);
         
-        console.log('\n📊 Session Summary Report:');
-        console.log('═'.repeat(50));
-        console.log(`Total runs: ${allData.length}`);
-        console.log(`Total emissions: ${totalEmissions.toFixed(6)} kg CO₂`);
-        console.log(`Total energy: ${totalEnergy.toFixed(6)} kWh`);
-        console.log(`Total duration: ${totalDuration.toFixed(1)} seconds`);
-        console.log(`Average emissions rate: ${(totalEmissions / totalDuration).toFixed(8)} kg CO₂/s`);
-        console.log('═'.repeat(50));
+        const emissionsRate = totalEmissions / totalDuration;
+        
+        this.logger.block('Session summary report', [
+            '\n📊 Session Summary Report:',
+            '═'.repeat(50),
+            `Total runs: ${allData.length}`,
+            `Total emissions: ${totalEmissions.toFixed(6)} kg CO₂`,
+            `Total energy: ${totalEnergy.toFixed(6)} kWh`,
+            `Total duration: ${totalDuration.toFixed(1)} seconds`,
+            `Average emissions rate: ${emissionsRate.toFixed(8)} kg CO₂/s`,
+            '═'.repeat(50)
+        ], {
+            runs: allData.length,
+            totalEmissions: totalEmissions,
+            totalEnergy: totalEnergy,
+            totalDuration: totalDuration,
+            emissionsRate: emissionsRate
+        });
     }
 }
 
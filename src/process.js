@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Process-level resource monitor - equivalent to codecarbon's tracking_mode="process"
+ * Measures the CPU time and RSS of the current process (and optionally its children)
+ * relative to the whole machine, so power can be apportioned to the process
+ */
+class ProcessMonitor {
+    constructor(options = {}) {
+        this.pid = options.pid || process.pid;
+        this.includeChildren = options.includeChildren === true;
+        this.childPids = (options.childPids || []).map(Number);
+        this.procPath = options.procPath || '/proc';
+        this.clockTicks = options.clockTicks || 100; // USER_HZ, 100 on virtually all Linux systems
+        this.lastSample = null;
+    }
+
+    /**
+     * Add a PID to track alongside the current process (e.g. a spawned command)
+     */
+    addChildPid(pid) {
+        if (!this.childPids.includes(Number(pid))) {
+            this.childPids.push(Number(pid));
+        }
+    }
+
+    /**
+     * Whether per-PID statistics can be read from /proc
+     */
+    hasProcfs() {
+        return fs.existsSync(path.join(this.procPath, 'self', 'stat'));
+    }
+
+    /**
+     * Record the baseline sample
+     */
+    start() {
+        this.lastSample = this.sample();
+    }
+
+    /**
+     * Busy CPU time of the whole machine in seconds, summed over all cores
+     */
+    getMachineCpuTime() {
+        return os.cpus().reduce((total, cpu) => {
+            const t = cpu.times;
+            return total + (t.user + t.nice + t.sys + t.irq) / 1000;
+        }, 0);
+    }
+
+    /**
+     * Read CPU time (s) and RSS (bytes) of a PID from /proc
+     * @returns {Object|null} Usage, or null when the process no longer exists
+     */
+    readProcStat(pid) {
+        try {
+            const stat = fs.readFileSync(path.join(this.procPath, String(pid), 'stat'), 'utf8');
+            // The command name may contain spaces, so split after the closing parenthesis
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const utime = Number(fields[11]);
+            const stime = Number(fields[12]);
+
+            const status = fs.readFileSync(path.join(this.procPath, String(pid), 'status'), 'utf8');
+            const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+
+            return {
+                cpuTime: (utime + stime) / this.clockTicks,
+                rss: rssMatch ? Number(rssMatch[1]) * 1024 : 0
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * List direct children of a PID from /proc/<pid>/task/<tid>/children
+     */
+    readChildren(pid) {
+        const taskPath = path.join(this.procPath, String(pid), 'task');
+        const children = [];
+
+        try {
+            for (const tid of fs.readdirSync(taskPath)) {
+                const content = fs.readFileSync(path.join(taskPath, tid, 'children'), 'utf8').trim();
+                if (content) {
+                    children.push(...content.split(/\s+/).map(Number));
+                }
+            }
+        } catch (error) {
+            // Process exited or children file unsupported
+        }
+
+        return children;
+    }
+
+    /**
+     * Collect tracked PIDs other than the current process
+     */
+    getTrackedPids() {
+        const pids = new Set();
+        const queue = [...this.childPids];
+
+        if (this.includeChildren) {
+            queue.push(...this.readChildren(this.pid));
+        }
+
+        while (queue.length > 0) {
+            const pid = queue.shift();
+            if (pids.has(pid) || pid === this.pid) continue;
+            pids.add(pid);
+
+            if (this.includeChildren) {
+                queue.push(...this.readChildren(pid));
+            }
+        }
+
+        return [...pids];
+    }
+
+    /**
+     * Take a usage sample of the tracked processes and the machine
+     */
+    sample() {
+        const usage = process.cpuUsage();
+        const children = {};
+
+        if (this.hasProcfs()) {
+            for (const pid of this.getTrackedPids()) {
+                const stat = this.readProcStat(pid);
+                if (stat) children[pid] = stat;
+            }
+        }
+
+        return {
+            cpuTime: (usage.user + usage.system) / 1e6, // µs to s
+            rss: process.memoryUsage().rss,
+            children: children,
+            machineCpuTime: this.getMachineCpuTime(),
+            machineMemoryUsed: os.totalmem() - os.freemem()
+        };
+    }
+
+    /**
+     * Measure the share of machine CPU and RAM used by the tracked processes since the previous call
+     * Children first seen after the baseline are charged for their whole CPU time
+     * @returns {Object} cpuShare and ramShare between 0 and 1, plus raw usage
+     */
+    measureShare() {
+        if (!this.lastSample) this.start();
+
+        const previous = this.lastSample;
+        const current = this.sample();
+        this.lastSample = current;
+
+        let cpuTime = Math.max(0, current.cpuTime - previous.cpuTime);
+        let rss = current.rss;
+
+        for (const [pid, child] of Object.entries(current.children)) {
+            const before = previous.children[pid];
+            cpuTime += Math.max(0, child.cpuTime - (before ? before.cpuTime : 0));
+            rss += child.rss;
+        }
+
+        const machineCpuTime = current.machineCpuTime - previous.machineCpuTime;
+
+        return {
+            cpuShare: this.clampShare(machineCpuTime > 0 ? cpuTime / machineCpuTime : 0),
+            ramShare: this.clampShare(current.machineMemoryUsed > 0 ? rss / current.machineMemoryUsed : 0),
+            cpuTime: cpuTime,
+            rss: rss,
+            pids: [this.pid, ...Object.keys(current.children).map(Number)]
+        };
+    }
+
+    /**
+     * Clamp a share to [0, 1]
+     */
+    clampShare(share) {
+        return Math.min(1, Math.max(0, share));
+    }
+}
+
+module.exports = ProcessMonitor;
@@ -0,0 +1,342 @@
+const RAPLReader = require('./rapl');
+const NvidiaSMI = require('./nvidia');
+const Logger = require('./logger');
+
+/**
+ * Power source providers - equivalent to codecarbon's per-component hardware sources
+ *
+ * A provider measures the power of one component (cpu, ram, gpu or other).
+ * `measure(context)` resolves to `{ power, energy?, ...details }` where power is in
+ * Watts and the optional energy (kWh) is a measured delta since the previous call.
+ */
+const COMPONENTS = ['cpu', 'ram', 'gpu', 'other'];
+
+/**
+ * Base class for power providers
+ */
+class PowerProvider {
+    constructor(options = {}) {
+        this.name = options.name || 'provider';
+        this.confidence = options.confidence || 'low'; // 'high', 'medium' or 'low'
+    }
+
+    /**
+     * Whether this provider can measure on the current machine
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Measure power consumption
+     * @param {Object} context - Shared measurement context (cpuUsage, duration, hardwareTracker)
+     * @returns {Promise<Object>} Measurement with power in Watts
+     */
+    async measure(context) {
+        throw new Error(`Power provider "${this.name}" does not implement measure()`);
+    }
+}
+
+/**
+ * CPU/DRAM power from Intel RAPL energy counters
+ */
+class RAPLProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'rapl', confidence: 'high', ...options });
+        this.domain = options.domain || 'cpu'; // 'cpu' (package) or 'dram'
+        this.reader = options.reader || new RAPLReader({ basePath: options.basePath });
+    }
+
+    async isAvailable() {
+        if (!this.reader.isAvailable()) return false;
+        // Most client CPUs don't expose a DRAM domain
+        return this.domain !== 'dram' || this.reader.domains.some(domain => domain.type === 'dram');
+    }
+
+    async measure(context = {}) {
+        const reading = this.reader.readEnergy();
+        const energyJoules = this.domain === 'dram' ? reading.dramEnergy : reading.cpuEnergy;
+
+        return {
+            power: reading.elapsed > 0 ? energyJoules / reading.elapsed : 0, // Watts
+            energy: energyJoules / (1000 * 3600), // J to kWh
+            domains: reading.domains,
+            usage: context.cpuUsage
+        };
+    }
+}
+
+/**
+ * CPU power from TDP and load (CodeCarbon fallback mode)
+ */
+class TDPProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'tdp', confidence: 'low', ...options });
+        this.hardwareTracker = options.hardwareTracker;
+    }
+
+    async measure(context = {}) {
+        return this.hardwareTracker.estimateCPUPowerFromTDP(context.cpuUsage);
+    }
+}
+
+/**
+ * RAM power from the estimated number of memory slots
+ */
+class RAMSlotProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'ram-slots', confidence: 'low', ...options });
+        this.hardwareTracker = options.hardwareTracker;
+    }
+
+    async measure() {
+        return this.hardwareTracker.getRAMInfo();
+    }
+}
+
+/**
+ * NVIDIA GPU power draw from nvidia-smi, reported per GPU
+ */
+class NvidiaSMIProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'nvidia-smi', confidence: 'high', ...options });
+        this.nvidia = options.nvidia || new NvidiaSMI({ gpuIds: options.gpuIds, command: options.command });
+    }
+
+    async isAvailable() {
+        return this.nvidia.isAvailable();
+    }
+
+    async measure() {
+        return this.nvidia.getGPUReadings();
+    }
+}
+
+/**
+ * GPU power from model-name based estimates
+ */
+class GPUModelProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'gpu-model', confidence: 'low', ...options });
+        this.hardwareTracker = options.hardwareTracker;
+    }
+
+    async measure() {
+        return this.hardwareTracker.getGPUInfo();
+    }
+}
+
+/**
+ * Constant power (manual overrides, known device ratings)
+ */
+class ConstantProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'constant', confidence: 'medium', ...options });
+        this.power = options.power;
+
+        if (typeof this.power !== 'number' || !Number.isFinite(this.power) || this.power < 0) {
+            throw new Error(`Constant power provider "${this.name}" needs a non-negative power in Watts`);
+        }
+    }
+
+    async measure() {
+        return { power: this.power };
+    }
+}
+
+/**
+ * User callback returning the current power in Watts (or a measurement object)
+ */
+class CallbackProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'callback', confidence: 'medium', ...options });
+        this.callback = options.callback;
+        this.availableCallback = options.isAvailable || null;
+
+        if (typeof this.callback !== 'function') {
+            throw new Error(`Callback power provider "${this.name}" needs a callback function`);
+        }
+    }
+
+    async isAvailable() {
+        return this.availableCallback ? Boolean(await this.availableCallback()) : true;
+    }
+
+    async measure(context) {
+        const result = await this.callback(context);
+        return typeof result === 'number' ? { power: result } : result;
+    }
+}
+
+/**
+ * External energy meter (smart plug, PDU, ...) exposing a cumulative energy counter
+ * `read()` resolves to the meter's total energy in Wh (or `{ energyWh }`)
+ */
+class ExternalMeterProvider extends PowerProvider {
+    constructor(options = {}) {
+        super({ name: 'external-meter', confidence: 'high', ...options });
+        this.read = options.read;
+        this.availableCallback = options.isAvailable || null;
+        this.lastReading = null;
+
+        if (typeof this.read !== 'function') {
+            throw new Error(`External meter provider "${this.name}" needs a read function`);
+        }
+    }
+
+    async isAvailable() {
+        return this.availableCallback ? Boolean(await this.availableCallback()) : true;
+    }
+
+    async measure() {
+        const value = await this.read();
+        const energyWh = typeof value === 'number' ? value : value.energyWh;
+        const time = Date.now();
+
+        const previous = this.lastReading;
+        this.lastReading = { time, energyWh };
+
+        if (!previous) return { power: 0, energy: 0 };
+
+        const deltaWh = Math.max(0, energyWh - previous.energyWh);
+        const elapsed = (time - previous.time) / 1000;
+
+        return {
+            power: elapsed > 0 ? (deltaWh * 3600) / elapsed : 0, // Wh over seconds to Watts
+            energy: deltaWh / 1000 // Wh to kWh
+        };
+    }
+}
+
+/**
+ * Ordered power providers per component
+ * The first available provider is used; providers that fail are skipped afterwards
+ */
+class PowerProviderRegistry {
+    /**
+     * @param {Object} [options] - { logger }
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || new Logger();
+        this.providers = {};
+        this.availability = new Map();
+        COMPONENTS.forEach(component => { this.providers[component] = []; });
+    }
+
+    /**
+     * Register a provider for a component
+     * @param {string} component - 'cpu', 'ram', 'gpu' or 'other'
+     * @param {PowerProvider|Object|Function} provider - Provider, provider-like object or callback
+     * @param {Object} options - { prepend: true } to take precedence over existing providers
+     */
+    register(component, provider, options = {}) {
+        if (!COMPONENTS.includes(component)) {
+            throw new Error(`Unknown power component "${component}", expected one of: ${COMPONENTS.join(', ')}`);
+        }
+
+        const normalized = this.normalizeProvider(provider);
+
+        if (options.prepend) {
+            this.providers[component].unshift(normalized);
+        } else {
+            this.providers[component].push(normalized);
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Accept provider instances, provider-like objects and plain callbacks
+     */
+    normalizeProvider(provider) {
+        if (typeof provider === 'function') {
+            return new CallbackProvider({ callback: provider });
+        }
+
+        if (!provider || typeof provider.measure !== 'function') {
+            throw new Error('Power providers must implement measure()');
+        }
+
+        if (!(provider instanceof PowerProvider)) {
+            provider.name = provider.name || 'custom';
+            provider.confidence = provider.confidence || 'medium';
+            if (typeof provider.isAvailable !== 'function') {
+                provider.isAvailable = async () => true;
+            }
+        }
+
+        return provider;
+    }
+
+    /**
+     * Get the ordered providers for a component
+     */
+    getProviders(component) {
+        return this.providers[component] || [];
+    }
+
+    /**
+     * Check (and cache) whether a provider is available
+     */
+    async checkAvailable(provider) {
+        if (!this.availability.has(provider)) {
+            let available = false;
+            try {
+                available = Boolean(await provider.isAvailable());
+            } catch (error) {
+                available = false;
+            }
+            this.availability.set(provider, available);
+        }
+        return this.availability.get(provider);
+    }
+
+    /**
+     * Get the first available provider for a component
+     */
+    async select(component) {
+        for (const provider of this.getProviders(component)) {
+            if (await this.checkAvailable(provider)) return provider;
+        }
+        return null;
+    }
+
+    /**
+     * Measure a component with the first available provider
+     * @returns {Promise<Object>} Measurement tagged with provider name and confidence
+     */
+    async measure(component, context = {}) {
+        for (const provider of this.getProviders(component)) {
+            if (!(await this.checkAvailable(provider))) continue;
+
+            try {
+                const result = await provider.measure(context);
+                return {
+                    ...result,
+                    power: result && typeof result.power === 'number' ? result.power : 0,
+                    provider: provider.name,
+                    confidence: provider.confidence
+                };
+            } catch (error) {
+                this.logger.warn(`⚠️  Power provider "${provider.name}" failed for ${component}, trying next:`, { provider: provider.name, component, error });
+                this.availability.set(provider, false);
+            }
+        }
+
+        return { power: 0, provider: 'none', confidence: 'none' };
+    }
+}
+
+module.exports = {
+    COMPONENTS,
+    PowerProvider,
+    RAPLProvider,
+    TDPProvider,
+    RAMSlotProvider,
+    NvidiaSMIProvider,
+    GPUModelProvider,
+    ConstantProvider,
+    CallbackProvider,
+    ExternalMeterProvider,
+    PowerProviderRegistry
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Intel RAPL energy counter reader - equivalent to codecarbon.core.cpu.IntelRAPL
+ * Reads cumulative energy counters exposed by the Linux powercap framework
+ */
+class RAPLReader {
+    constructor(options = {}) {
+        this.basePath = options.basePath || '/sys/class/powercap';
+        this.domains = [];
+        this.lastReading = null;
+        this.isInitialized = false;
+    }
+
+    /**
+     * Discover RAPL domains (package, core, uncore, dram) under the powercap directory
+     */
+    initialize() {
+        this.domains = [];
+        this.lastReading = null;
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(this.basePath)
+                .filter(entry => entry.startsWith('intel-rapl'))
+                .sort();
+        } catch (error) {
+            entries = [];
+        }
+
+        for (const entry of entries) {
+            const domainPath = path.join(this.basePath, entry);
+            const energyFile = path.join(domainPath, 'energy_uj');
+
+            if (!fs.existsSync(energyFile)) continue;
+
+            try {
+                // Make sure the counter is actually readable (often root-only)
+                this.readCounter(energyFile);
+            } catch (error) {
+                continue;
+            }
+
+            const name = this.readText(path.join(domainPath, 'name')) || entry;
+            const maxRange = Number(this.readText(path.join(domainPath, 'max_energy_range_uj')));
+
+            this.domains.push({
+                id: entry,
+                name: name,
+                type: this.getDomainType(name),
+                energyFile: energyFile,
+                maxEnergyRange: Number.isFinite(maxRange) && maxRange > 0 ? maxRange : null
+            });
+        }
+
+        this.isInitialized = true;
+        return this.domains;
+    }
+
+    /**
+     * Check whether at least one readable RAPL domain exists
+     */
+    isAvailable() {
+        if (!this.isInitialized) this.initialize();
+        return this.domains.length > 0;
+    }
+
+    /**
+     * Map a RAPL domain name to its type
+     */
+    getDomainType(name) {
+        const nameLower = name.toLowerCase();
+
+        if (nameLower.startsWith('package')) return 'package';
+        if (nameLower === 'core') return 'core';
+        if (nameLower === 'uncore') return 'uncore';
+        if (nameLower === 'dram') return 'dram';
+        if (nameLower === 'psys') return 'psys';
+
+        return 'other';
+    }
+
+    /**
+     * Read a text file, returning null when it is missing or unreadable
+     */
+    readText(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf8').trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Read a cumulative energy counter in microjoules
+     */
+    readCounter(filePath) {
+        const value = Number(fs.readFileSync(filePath, 'utf8').trim());
+        if (!Number.isFinite(value)) {
+            throw new Error(`Invalid RAPL energy counter in ${filePath}`);
+        }
+        return value;
+    }
+
+    /**
+     * Compute the energy delta between two counter values, handling wraparound
+     * @param {number} previous - Previous counter value (µJ)
+     * @param {number} current - Current counter value (µJ)
+     * @param {number|null} maxEnergyRange - Counter range from max_energy_range_uj (µJ)
+     * @returns {number} Energy delta in µJ
+     */
+    computeDelta(previous, current, maxEnergyRange) {
+        if (current >= previous) return current - previous;
+
+        // Counter wrapped around since the previous reading
+        if (maxEnergyRange) return (maxEnergyRange - previous) + current;
+
+        return 0;
+    }
+
+    /**
+     * Read all domains and return energy consumed since the previous call
+     * The first call only records a baseline and reports zero energy
+     * @returns {Object} Per-domain and aggregated energy (J) and power (W)
+     */
+    readEnergy() {
+        if (!this.isAvailable()) {
+            throw new Error(`No readable RAPL domains found in ${this.basePath}`);
+        }
+
+        const time = process.hrtime.bigint();
+        const counters = {};
+        for (const domain of this.domains) {
+            counters[domain.id] = this.readCounter(domain.energyFile);
+        }
+
+        const previous = this.lastReading;
+        this.lastReading = { time, counters };
+
+        const elapsed = previous ? Number(time - previous.time) / 1e9 : 0;
+
+        const domains = this.domains.map(domain => {
+            const energyUJ = previous
+                ? this.computeDelta(previous.counters[domain.id], counters[domain.id], domain.maxEnergyRange)
+                : 0;
+            const energy = energyUJ / 1e6; // µJ to J
+
+            return {
+                id: domain.id,
+                name: domain.name,
+                type: domain.type,
+                energy: energy,
+                power: elapsed > 0 ? energy / elapsed : 0
+            };
+        });
+
+        return {
+            elapsed: elapsed,
+            isBaseline: !previous,
+            domains: domains,
+            cpuEnergy: this.sumCpuEnergy(domains),
+            dramEnergy: this.sumByType(domains, 'dram')
+        };
+    }
+
+    /**
+     * Sum CPU energy in joules
+     * Package domains already include core and uncore, so those are only used without a package domain
+     */
+    sumCpuEnergy(domains) {
+        if (domains.some(d => d.type === 'package')) {
+            return this.sumByType(domains, 'package');
+        }
+        return this.sumByType(domains, 'core') + this.sumByType(domains, 'uncore');
+    }
+
+    /**
+     * Sum energy in joules for all domains of a given type
+     */
+    sumByType(domains, type) {
+        return domains
+            .filter(d => d.type === type)
+            .reduce((total, d) => total + d.energy, 0);
+    }
+}
+
+module.exports = RAPLReader;
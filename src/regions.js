@@ -0,0 +1,90 @@
+const regionalData = require('../data/regional_energy_mix.json');
+
+/**
+ * Sub-national region resolver for carbon intensity
+ * Covers US states and eGRID subregions, Canadian provinces, Indian states and Australian states
+ */
+class RegionResolver {
+    constructor(options = {}) {
+        this.data = options.data || regionalData;
+    }
+
+    /**
+     * Normalize a region code or name for lookup
+     */
+    normalize(value) {
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Split an ISO 3166-2 style region ('US-CA') into its country and subdivision parts
+     * @returns {Object} { countryPrefix, subdivision }
+     */
+    splitRegion(region) {
+        const match = String(region).trim().match(/^([A-Za-z]{2})-([A-Za-z0-9]{1,4})$/);
+        if (match) {
+            return { countryPrefix: match[1].toUpperCase(), subdivision: match[2] };
+        }
+        return { countryPrefix: null, subdivision: String(region).trim() };
+    }
+
+    /**
+     * Find a region in one country's data by code, alias or name
+     */
+    findRegion(countryData, subdivision) {
+        const key = this.normalize(subdivision);
+
+        for (const [code, region] of Object.entries(countryData.regions)) {
+            const names = [code, region.name, ...(region.aliases || [])].map(name => this.normalize(name));
+            if (names.includes(key)) {
+                return { code, ...region };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve a region for a country
+     * @param {string} countryCode - ISO alpha-3 country code (e.g. 'USA')
+     * @param {string} region - Region code ('CA', 'US-CA', 'CAMX') or name ('California')
+     * @param {string} [countryAlpha2] - ISO alpha-2 code, used to validate 'US-CA' prefixes
+     * @returns {Object|null} { countryCode, code, name, type, carbonIntensity, source, year }
+     */
+    resolve(countryCode, region, countryAlpha2 = null) {
+        if (!region) return null;
+
+        const countryData = this.data[countryCode];
+        if (!countryData) return null;
+
+        const { countryPrefix, subdivision } = this.splitRegion(region);
+        if (countryPrefix && countryAlpha2 && countryPrefix !== countryAlpha2) return null;
+
+        const found = this.findRegion(countryData, subdivision);
+        if (!found) return null;
+
+        return {
+            countryCode: countryCode,
+            code: found.code,
+            name: found.name,
+            type: found.type,
+            carbonIntensity: found.carbon_intensity,
+            source: countryData.source,
+            year: countryData.year
+        };
+    }
+
+    /**
+     * List countries with regional data
+     */
+    getCountries() {
+        return Object.keys(this.data);
+    }
+}
+
+module.exports = RegionResolver;
@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const CountryResolver = require('./countries');
+
+/**
+ * Emissions history reporting
+ * Loads accumulated emissions.csv / .json / .jsonl files, filters and groups runs,
+ * and computes totals, averages and trends
+ */
+const GROUP_BY = ['day', 'week', 'project', 'experiment', 'country', 'task'];
+
+class EmissionsReport {
+    constructor(options = {}) {
+        this.countryResolver = options.countryResolver || new CountryResolver();
+        this.skipped = []; // { file, row, timestamp } of rows the last load() left out
+    }
+
+    /**
+     * Load and normalize records from one or more CSV/JSON/JSON Lines files
+     * Rows present in several files (same run and timestamp) are only counted once.
+     * Rows with a missing or malformed timestamp are left out and listed in `this.skipped`.
+     * @param {string|string[]} files - File paths
+     * @returns {Promise<Object[]>} Normalized records sorted by timestamp
+     */
+    async load(files) {
+        const records = [];
+        const seen = new Set();
+        this.skipped = [];
+
+        for (const file of Array.isArray(files) ? files : [files]) {
+            const extension = path.extname(file).toLowerCase();
+            const rows = extension === '.json' ? this.readJSON(file)
+                : extension === '.jsonl' || extension === '.ndjson' ? this.readJSONLines(file)
+                : await this.readCSV(file);
+
+            rows.forEach((row, index) => {
+                const record = this.normalizeRecord(row);
+                if (Number.isNaN(record.timestamp.getTime())) {
+                    this.skipped.push({ file: file, row: index + 1, timestamp: row.timestamp });
+                    return;
+                }
+
+                const key = `${record.runId}|${record.taskName}|${record.timestamp.toISOString()}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                records.push(record);
+            });
+        }
+
+        return records.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Read rows from a CSV file
+     */
+    readCSV(file) {
+        return new Promise((resolve, reject) => {
+            const rows = [];
+            fs.createReadStream(file)
+                .on('error', reject)
+                .pipe(csv())
+                .on('data', row => rows.push(row))
+                .on('end', () => resolve(rows))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Read rows from a JSON file (array of CSV-schema objects)
+     */
+    readJSON(file) {
+        const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return Array.isArray(content) ? content : [content];
+    }
+
+    /**
+     * Read rows from a JSON Lines file
+     */
+    readJSONLines(file) {
+        return fs.readFileSync(file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+    }
+
+    /**
+     * Convert a CSV-schema row to a record with typed fields
+     */
+    normalizeRecord(row) {
+        const number = value => {
+            const parsed = Number(value);
+            return Number.isFinite(parsed) ? parsed : 0;
+        };
+        const countryCode = this.countryResolver.toAlpha3(row.country_iso_code) || row.country_iso_code || '';
+
+        return {
+            timestamp: new Date(row.timestamp),
+            projectName: row.project_name || '',
+            runId: row.run_id || '',
+            experimentId: row.experiment_id || '',
+            duration: number(row.duration),
+            emissions: number(row.emissions),
+            emissionsRate: number(row.emissions_rate),
+            energyConsumed: number(row.energy_consumed),
+            cpuEnergy: number(row.cpu_energy),
+            ramEnergy: number(row.ram_energy),
+            gpuEnergy: number(row.gpu_energy),
+            countryCode: countryCode,
+            countryName: this.countryResolver.getName(countryCode) !== 'Unknown'
+                ? this.countryResolver.getName(countryCode)
+                : (row.country_name || 'Unknown'),
+            region: row.region || '',
+            trackingMode: row.tracking_mode || '',
+            status: row.status || 'completed',
+            taskName: row.task_name || ''
+        };
+    }
+
+    /**
+     * Parse a date filter; date-only upper bounds include the whole day
+     */
+    parseDate(value, endOfDay = false) {
+        if (!value) return null;
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid date "${value}"`);
+        }
+
+        if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+            date.setUTCHours(23, 59, 59, 999);
+        }
+
+        return date;
+    }
+
+    /**
+     * Filter records
+     * @param {Object[]} records - Normalized records
+     * @param {Object} filters - { project, experiment, from, to, country }
+     */
+    filter(records, filters = {}) {
+        const from = this.parseDate(filters.from);
+        const to = this.parseDate(filters.to, true);
+        const country = filters.country
+            ? (this.countryResolver.toAlpha3(filters.country) || String(filters.country).toUpperCase())
+            : null;
+
+        return records.filter(record =>
+            (!filters.project || record.projectName === filters.project) &&
+            (!filters.experiment || record.experimentId === filters.experiment) &&
+            (!from || record.timestamp >= from) &&
+            (!to || record.timestamp <= to) &&
+            (!country || record.countryCode === country)
+        );
+    }
+
+    /**
+     * Get the group key of a record
+     */
+    getGroupKey(record, groupBy) {
+        switch (groupBy) {
+            case 'day':
+                return record.timestamp.toISOString().slice(0, 10);
+            case 'week':
+                return this.getISOWeek(record.timestamp);
+            case 'project':
+                return record.projectName;
+            case 'experiment':
+                return record.experimentId;
+            case 'country':
+                return record.countryCode;
+            case 'task':
+                return record.taskName;
+            default:
+                throw new Error(`Invalid groupBy "${groupBy}", expected one of: ${GROUP_BY.join(', ')}`);
+        }
+    }
+
+    /**
+     * ISO 8601 week key, e.g. '2025-W33'
+     */
+    getISOWeek(date) {
+        const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const weekday = day.getUTCDay() || 7;
+        day.setUTCDate(day.getUTCDate() + 4 - weekday); // Thursday of this week
+        const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+        const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+        return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Totals and averages for a set of records
+     */
+    aggregate(records) {
+        const runs = records.length;
+        const emissions = records.reduce((sum, r) => sum + r.emissions, 0);
+        const energy = records.reduce((sum, r) => sum + r.energyConsumed, 0);
+        const duration = records.reduce((sum, r) => sum + r.duration, 0);
+
+        return {
+            runs: runs,
+            emissions: emissions, // kg CO2
+            energy: energy, // kWh
+            duration: duration, // seconds
+            averageEmissions: runs > 0 ? emissions / runs : 0,
+            averageEnergy: runs > 0 ? energy / runs : 0,
+            averageDuration: runs > 0 ? duration / runs : 0,
+            emissionsRate: duration > 0 ? emissions / duration : 0, // kg CO2/s
+            carbonIntensity: energy > 0 ? (emissions / energy) * 1000 : 0 // g CO2/kWh
+        };
+    }
+
+    /**
+     * Trend of emissions across ordered groups (least-squares slope per group)
+     */
+    calculateTrend(groups) {
+        if (groups.length < 2) {
+            return { direction: 'flat', slope: 0, percentChange: 0 };
+        }
+
+        const n = groups.length;
+        const xs = groups.map((g, i) => i);
+        const ys = groups.map(g => g.emissions);
+        const meanX = xs.reduce((a, b) => a + b, 0) / n;
+        const meanY = ys.reduce((a, b) => a + b, 0) / n;
+        const numerator = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+        const denominator = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+        const slope = denominator > 0 ? numerator / denominator : 0;
+
+        const first = ys[0];
+        const last = ys[n - 1];
+        const percentChange = first > 0 ? ((last - first) / first) * 100 : 0;
+
+        // Changes under 1% of the mean per group are considered flat
+        const threshold = Math.abs(meanY) * 0.01;
+        const direction = slope > threshold ? 'increasing' : slope < -threshold ? 'decreasing' : 'flat';
+
+        return { direction, slope, percentChange };
+    }
+
+    /**
+     * Build a report
+     * @param {Object[]} records - Normalized records
+     * @param {Object} options - Filters plus groupBy ('day', 'week', 'project', 'experiment', 'country', 'task')
+     * @returns {Object} { filters, totals, groups, trend }
+     */
+    summarize(records, options = {}) {
+        const groupBy = options.groupBy || 'day';
+
+        // Task rows break runs down, so they are only used when grouping by task
+        const rows = records.filter(record => (groupBy === 'task') === Boolean(record.taskName));
+        const filtered = this.filter(rows, options);
+
+        const buckets = new Map();
+        for (const record of filtered) {
+            const key = this.getGroupKey(record, groupBy);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(record);
+        }
+
+        // Time groups are chronological, so they also get the change from the previous period
+        const isTimeGroup = groupBy === 'day' || groupBy === 'week';
+        const keys = [...buckets.keys()];
+        if (isTimeGroup) keys.sort();
+
+        let previous = null;
+        const groups = keys.map(key => {
+            const group = { key, ...this.aggregate(buckets.get(key)) };
+            group.change = isTimeGroup && previous && previous.emissions > 0
+                ? ((group.emissions - previous.emissions) / previous.emissions) * 100
+                : null;
+            previous = group;
+            return group;
+        });
+
+        return {
+            filters: {
+                project: options.project || null,
+                experiment: options.experiment || null,
+                from: options.from || null,
+                to: options.to || null,
+                country: options.country || null
+            },
+            groupBy: groupBy,
+            totals: this.aggregate(filtered),
+            groups: groups,
+            trend: isTimeGroup ? this.calculateTrend(groups) : null
+        };
+    }
+
+    /**
+     * Format a report as a text table
+     */
+    formatTable(report) {
+        const header = [report.groupBy, 'runs', 'emissions (kg)', 'energy (kWh)', 'duration (s)', 'avg kg/run', 'change'];
+        const rows = report.groups.map(g => [
+            g.key,
+            String(g.runs),
+            g.emissions.toFixed(6),
+            g.energy.toFixed(6),
+            g.duration.toFixed(1),
+            g.averageEmissions.toFixed(6),
+            g.change === null ? '' : `${g.change >= 0 ? '+' : ''}${g.change.toFixed(1)}%`
+        ]);
+
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map(row => row[i].length)));
+        const line = cells => cells.map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i]))).join('  ');
+
+        const t = report.totals;
+        const lines = [
+            '\n📊 Emissions Report:',
+            '═'.repeat(50),
+            line(header),
+            widths.map(w => '─'.repeat(w)).join('  '),
+            ...rows.map(line),
+            '═'.repeat(50),
+            `Total runs: ${t.runs}`,
+            `Total emissions: ${t.emissions.toFixed(6)} kg CO₂`,
+            `Total energy: ${t.energy.toFixed(6)} kWh`,
+            `Total duration: ${t.duration.toFixed(1)} seconds`,
+            `Average per run: ${t.averageEmissions.toFixed(6)} kg CO₂, ${t.averageEnergy.toFixed(6)} kWh`,
+            `Average carbon intensity: ${t.carbonIntensity.toFixed(0)} g CO₂/kWh`
+        ];
+
+        if (report.trend) {
+            lines.push(`Trend: ${report.trend.direction} (${report.trend.percentChange >= 0 ? '+' : ''}${report.trend.percentChange.toFixed(1)}% first to last ${report.groupBy})`);
+        }
+
+        lines.push('═'.repeat(50));
+        return lines.join('\n');
+    }
+}
+
+EmissionsReport.GROUP_BY = GROUP_BY;
+
+module.exports = EmissionsReport;
@@ -0,0 +1,556 @@
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { createObjectCsvWriter } = require('csv-writer');
+const { CodeCarbonAPIClient } = require('./api');
+const { ConfigError } = require('./errors');
+const Logger = require('./logger');
+
+/**
+ * Output sinks for emissions records
+ *
+ * Every sink receives the same record, formatted with `OutputHandler.formatDataForCSV()`
+ * (CodeCarbon's CSV schema), and the raw tracker results. `write(record, data)` may be async
+ * and should throw on failure; `close()` is optional. When tasks were tracked, the run record is
+ * followed by one record per task (with `task_name` set) and sinks receive them together through
+ * `writeRecords(records, data)`. Sinks implementing `writeLive(record, data)` also receive a
+ * snapshot after every measurement while tracking.
+ */
+const CSV_COLUMNS = [
+    'timestamp', 'project_name', 'run_id', 'experiment_id', 'duration', 'emissions', 'emissions_rate',
+    'cpu_power', 'gpu_power', 'ram_power', 'cpu_energy', 'gpu_energy', 'ram_energy', 'energy_consumed',
+    'country_name', 'country_iso_code', 'region', 'cloud_provider', 'cloud_region', 'os', 'python_version',
+    'codecarbon_version', 'cpu_count', 'cpu_model', 'gpu_count', 'gpu_model', 'longitude', 'latitude',
+    'ram_total_size', 'tracking_mode', 'on_cloud', 'pue', 'status', 'task_name',
+    'carbon_intensity_source', 'carbon_intensity_version'
+];
+
+class OutputSink {
+    constructor(options = {}) {
+        this.name = options.name || 'sink';
+        this.filePath = options.path || null;
+        this.logger = options.logger || new Logger();
+    }
+
+    /**
+     * Human-readable target, used in log messages
+     */
+    describe() {
+        return this.filePath || this.name;
+    }
+
+    /**
+     * Write one emissions record
+     * @param {Object} record - Record in the CSV schema
+     * @param {Object} data - Raw tracker results
+     */
+    async write(record, data) {
+        throw new Error(`Output sink "${this.name}" does not implement write()`);
+    }
+
+    /**
+     * Write the run record and its task records
+     * @param {Object[]} records - Records in the CSV schema
+     * @param {Object} data - Raw tracker results
+     */
+    async writeRecords(records, data) {
+        for (const record of records) {
+            await this.write(record, data);
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * CodeCarbon-compatible CSV file (appends to an existing file)
+ */
+class CSVSink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'csv', path: 'emissions.csv', ...options });
+        const existingColumns = this.readExistingColumns();
+        // Files written by older versions get the newer columns on the first write
+        this.missingColumns = existingColumns ? CSV_COLUMNS.filter(column => !existingColumns.includes(column)) : [];
+        this.columns = existingColumns ? [...existingColumns, ...this.missingColumns] : CSV_COLUMNS;
+        this.csvWriter = this.createWriter(this.filePath, existingColumns !== null);
+    }
+
+    createWriter(filePath, append) {
+        return createObjectCsvWriter({
+            path: filePath,
+            header: this.columns.map(id => ({ id, title: id })),
+            append: append
+        });
+    }
+
+    /**
+     * Columns of an existing file, so rows appended to files written by older versions stay aligned
+     * @returns {string[]|null} Header columns, or null when the file doesn't exist or is empty
+     */
+    readExistingColumns() {
+        if (!fs.existsSync(this.filePath)) return null;
+
+        // The header is on the first line; no need to read the whole history
+        const fd = fs.openSync(this.filePath, 'r');
+        const buffer = Buffer.alloc(4096);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        fs.closeSync(fd);
+
+        const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0].trim();
+        return firstLine ? firstLine.split(',').map(column => column.trim()) : null;
+    }
+
+    async write(record) {
+        await this.writeRecords([record]);
+    }
+
+    async writeRecords(records) {
+        if (this.missingColumns.length > 0) {
+            await this.migrate();
+        }
+        await this.csvWriter.writeRecords(records);
+    }
+
+    /**
+     * Rewrite the file with the missing columns added (empty in existing rows)
+     * The new file replaces the old one only once it is complete
+     */
+    async migrate() {
+        const rows = await new Promise((resolve, reject) => {
+            const result = [];
+            fs.createReadStream(this.filePath)
+                .on('error', reject)
+                .pipe(csv())
+                .on('data', row => result.push(row))
+                .on('end', () => resolve(result))
+                .on('error', reject);
+        });
+
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            if (rows.length > 0) {
+                await this.createWriter(tempPath, false).writeRecords(rows);
+            } else {
+                await fs.promises.writeFile(tempPath, this.columns.join(',') + '\n');
+            }
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+
+        this.logger.info(`📄 Added columns ${this.missingColumns.join(', ')} to ${this.filePath}`, { output: this.filePath, columns: this.missingColumns });
+        this.missingColumns = [];
+    }
+}
+
+/**
+ * JSON Lines file, one record per line
+ */
+class JSONLinesSink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'jsonl', path: 'emissions.jsonl', ...options });
+    }
+
+    async write(record) {
+        await this.writeRecords([record]);
+    }
+
+    async writeRecords(records) {
+        await fs.promises.appendFile(this.filePath, records.map(record => JSON.stringify(record) + '\n').join(''));
+    }
+}
+
+/**
+ * Pretty-printed JSON array file (the format of emissions.json)
+ */
+class JSONSink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'json', path: 'emissions.json', ...options });
+        this.indent = options.indent !== undefined ? options.indent : 2;
+    }
+
+    async write(record) {
+        await this.writeRecords([record]);
+    }
+
+    async writeRecords(newRecords) {
+        let records = [];
+        if (fs.existsSync(this.filePath)) {
+            const content = (await fs.promises.readFile(this.filePath, 'utf8')).trim();
+            // Refuse to overwrite a file that isn't a JSON array
+            records = content ? JSON.parse(content) : [];
+            if (!Array.isArray(records)) {
+                throw new Error(`${this.filePath} does not contain a JSON array`);
+            }
+        }
+
+        records.push(...newRecords);
+
+        // Write to a temporary file first so an interrupted write doesn't corrupt the history
+        const tmpPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tmpPath, JSON.stringify(records, null, this.indent) + '\n');
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * User callback, called with (record, data)
+ */
+class CallbackSink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'callback', ...options });
+        this.callback = options.callback;
+
+        if (typeof this.callback !== 'function') {
+            throw new Error('Callback output sink needs a callback function');
+        }
+    }
+
+    async write(record, data) {
+        await this.callback(record, data);
+    }
+}
+
+/**
+ * Embedded SQLite database file with an `emissions` table in the CSV schema
+ * Uses the built-in node:sqlite module (Node.js 22.5+) or the optional better-sqlite3 package;
+ * a compatible `driver` (class taking the file path) can also be given
+ */
+class SQLiteSink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'sqlite', path: 'emissions.db', ...options });
+        this.table = options.table || 'emissions';
+        this.driver = options.driver || null;
+        this.db = null;
+        this.insert = null;
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(this.table)) {
+            throw new Error(`Invalid SQLite table name "${this.table}"`);
+        }
+    }
+
+    /**
+     * Load an SQLite driver exposing exec() and prepare().run()
+     */
+    loadDriver() {
+        if (this.driver) return this.driver;
+
+        try {
+            return require('node:sqlite').DatabaseSync;
+        } catch (error) {
+            // Not available before Node.js 22.5
+        }
+
+        try {
+            return require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite output needs Node.js 22.5+ or the better-sqlite3 package');
+        }
+    }
+
+    /**
+     * Open the database and create the table on first use
+     */
+    open() {
+        if (this.db) return;
+
+        const Database = this.loadDriver();
+        this.db = new Database(this.filePath);
+
+        const numeric = new Set([
+            'duration', 'emissions', 'emissions_rate', 'cpu_power', 'gpu_power', 'ram_power', 'cpu_energy',
+            'gpu_energy', 'ram_energy', 'energy_consumed', 'cpu_count', 'gpu_count', 'ram_total_size', 'pue'
+        ]);
+        const columnType = column => `${column} ${numeric.has(column) ? 'REAL' : 'TEXT'}`;
+        this.db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (${CSV_COLUMNS.map(columnType).join(', ')})`);
+
+        // Add columns introduced after the table was created
+        const existing = new Set(this.db.prepare(`PRAGMA table_info(${this.table})`).all().map(row => row.name));
+        for (const column of CSV_COLUMNS.filter(column => !existing.has(column))) {
+            this.db.exec(`ALTER TABLE ${this.table} ADD COLUMN ${columnType(column)}`);
+        }
+
+        this.insert = this.db.prepare(
+            `INSERT INTO ${this.table} (${CSV_COLUMNS.join(', ')}) VALUES (${CSV_COLUMNS.map(() => '?').join(', ')})`
+        );
+    }
+
+    async write(record) {
+        this.open();
+        this.insert.run(...CSV_COLUMNS.map(column => {
+            const value = record[column];
+            return value === undefined || value === null ? null : value;
+        }));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.insert = null;
+        }
+    }
+}
+
+/**
+ * CodeCarbon dashboard API - equivalent to codecarbon's ApiOutput
+ * Creates an experiment (unless `experimentId` is given) and a run, then posts emission deltas
+ * every `liveInterval` measurements and when tracking stops. Payloads that can't be delivered
+ * are kept in `queueFile` and sent first on the next successful connection.
+ */
+class APISink extends OutputSink {
+    constructor(options = {}) {
+        super({ name: 'api', ...options });
+        this.endpoint = options.endpoint || 'https://api.codecarbon.io';
+        this.client = options.client || new CodeCarbonAPIClient({ ...options, endpoint: this.endpoint });
+        this.experimentId = options.experimentId || null;
+        this.projectId = options.projectId || null;
+        this.experimentName = options.experimentName || null;
+        this.liveInterval = options.liveInterval !== undefined ? options.liveInterval : 8; // measurements
+        this.queueFile = options.queueFile || '.green-carbon-api-queue.jsonl';
+        this.queue = null;
+        this.remoteRunIds = {}; // local run id -> API run id
+        this.lastTotals = {}; // local run id -> totals already queued
+        this.liveCounts = {};
+        this.flushing = null;
+
+        if (!this.experimentId && !this.projectId) {
+            throw new Error('API output needs an experimentId or a projectId');
+        }
+    }
+
+    describe() {
+        return this.endpoint;
+    }
+
+    async writeRecords(records) {
+        // The API has no task breakdown; only the run record is sent
+        const runRecord = records.find(record => !record.task_name);
+        if (runRecord) await this.write(runRecord);
+    }
+
+    async write(record) {
+        this.enqueue(record);
+        try {
+            await this.flush();
+        } catch (error) {
+            throw new Error(`API unavailable, ${this.queue.length} payload(s) queued in ${this.queueFile}: ${error.message}`, { cause: error });
+        }
+    }
+
+    async writeLive(record) {
+        const count = (this.liveCounts[record.run_id] || 0) + 1;
+        this.liveCounts[record.run_id] = count;
+        if (this.liveInterval <= 0 || count % this.liveInterval !== 0) return;
+
+        this.enqueue(record);
+        // Don't hold up measurements while the API is slow or retrying
+        this.flush().catch(error => this.logger.warn('⚠️  Failed to send live emissions to API:', { error }));
+    }
+
+    /**
+     * Load payloads left over from previous runs
+     */
+    loadQueue() {
+        if (this.queue) return;
+
+        this.queue = [];
+        if (!fs.existsSync(this.queueFile)) return;
+
+        for (const line of fs.readFileSync(this.queueFile, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                this.queue.push(JSON.parse(line));
+            } catch (error) {
+                this.logger.warn(`⚠️  Skipping invalid line in ${this.queueFile}`);
+            }
+        }
+    }
+
+    /**
+     * Persist the pending payloads (removes the file once everything was sent)
+     */
+    saveQueue() {
+        if (this.queue.length === 0) {
+            if (fs.existsSync(this.queueFile)) fs.unlinkSync(this.queueFile);
+            return;
+        }
+        fs.writeFileSync(this.queueFile, this.queue.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+
+    /**
+     * Queue the emissions since the last payload of this run
+     */
+    enqueue(record) {
+        this.loadQueue();
+
+        const totals = {
+            duration: Number(record.duration) || 0,
+            emissions: Number(record.emissions) || 0,
+            cpu_energy: Number(record.cpu_energy) || 0,
+            gpu_energy: Number(record.gpu_energy) || 0,
+            ram_energy: Number(record.ram_energy) || 0,
+            energy_consumed: Number(record.energy_consumed) || 0
+        };
+        const previous = this.lastTotals[record.run_id];
+        const delta = key => Math.max(0, totals[key] - (previous ? previous[key] : 0));
+
+        // Nothing new since the last payload of this run (e.g. a live update just before stop)
+        if (previous && delta('duration') === 0 && delta('energy_consumed') === 0) return;
+        this.lastTotals[record.run_id] = totals;
+
+        const duration = delta('duration');
+        const emissions = delta('emissions');
+
+        this.queue.push({
+            runId: record.run_id,
+            experiment: {
+                timestamp: record.timestamp,
+                name: this.experimentName || record.project_name,
+                description: `${record.project_name} (green-carbon)`,
+                on_cloud: record.on_cloud === 'Y',
+                project_id: this.projectId,
+                country_name: record.country_name,
+                country_iso_code: record.country_iso_code,
+                region: record.region,
+                cloud_provider: record.cloud_provider,
+                cloud_region: record.cloud_region
+            },
+            run: {
+                timestamp: record.timestamp,
+                os: record.os,
+                python_version: record.python_version,
+                codecarbon_version: record.codecarbon_version,
+                cpu_count: record.cpu_count,
+                cpu_model: record.cpu_model,
+                gpu_count: record.gpu_count,
+                gpu_model: record.gpu_model,
+                longitude: record.longitude || null,
+                latitude: record.latitude || null,
+                region: record.region,
+                provider: record.cloud_provider,
+                ram_total_size: record.ram_total_size,
+                tracking_mode: record.tracking_mode
+            },
+            emission: {
+                timestamp: record.timestamp,
+                duration: duration,
+                emissions_sum: emissions,
+                emissions_rate: duration > 0 ? emissions / duration : 0,
+                cpu_power: record.cpu_power,
+                gpu_power: record.gpu_power,
+                ram_power: record.ram_power,
+                cpu_energy: delta('cpu_energy'),
+                gpu_energy: delta('gpu_energy'),
+                ram_energy: delta('ram_energy'),
+                energy_consumed: delta('energy_consumed')
+            }
+        });
+        this.saveQueue();
+    }
+
+    /**
+     * Send queued payloads in order, stopping at the first transient failure
+     */
+    async flush() {
+        if (this.flushing) {
+            await this.flushing.catch(() => {});
+        }
+
+        this.flushing = this.sendQueue();
+        try {
+            await this.flushing;
+        } finally {
+            this.flushing = null;
+        }
+    }
+
+    async sendQueue() {
+        this.loadQueue();
+
+        while (this.queue.length > 0) {
+            const entry = this.queue[0];
+            try {
+                await this.sendEntry(entry);
+            } catch (error) {
+                if (error.retryable !== false) {
+                    throw error;
+                }
+                // The API rejected the payload; retrying won't help
+                this.logger.error('❌ API rejected emissions payload, dropping it:', { error });
+            }
+            this.queue.shift();
+            this.saveQueue();
+        }
+    }
+
+    async sendEntry(entry) {
+        if (!this.experimentId) {
+            this.experimentId = await this.client.createExperiment(entry.experiment);
+        }
+
+        if (!this.remoteRunIds[entry.runId]) {
+            this.remoteRunIds[entry.runId] = await this.client.createRun({ ...entry.run, experiment_id: this.experimentId });
+        }
+
+        await this.client.addEmission({ ...entry.emission, run_id: this.remoteRunIds[entry.runId] });
+    }
+}
+
+const SINK_TYPES = {
+    csv: CSVSink,
+    jsonl: JSONLinesSink,
+    json: JSONSink,
+    callback: CallbackSink,
+    sqlite: SQLiteSink,
+    api: APISink
+};
+
+/**
+ * Create a sink from an `outputs` entry
+ * Accepts a type name ('csv', 'jsonl', 'json', 'sqlite', 'api'), a file path with a known extension,
+ * `{ type, path, ... }`, a function (callback sink) or an object implementing write()
+ * @param {Object} [defaults] - Options for the built-in sinks (e.g. { logger })
+ * @returns {OutputSink} Output sink
+ */
+function createSink(spec, defaults = {}) {
+    if (typeof spec === 'function') {
+        return new CallbackSink({ ...defaults, callback: spec });
+    }
+
+    if (typeof spec === 'string') {
+        if (SINK_TYPES[spec]) return new SINK_TYPES[spec](defaults);
+        return createSink({ path: spec }, defaults);
+    }
+
+    if (spec && typeof spec.write === 'function') {
+        if (!spec.name) spec.name = 'custom';
+        if (typeof spec.describe !== 'function') spec.describe = () => spec.name;
+        return spec;
+    }
+
+    if (spec && typeof spec === 'object') {
+        const extensions = { '.csv': 'csv', '.jsonl': 'jsonl', '.ndjson': 'jsonl', '.json': 'json', '.db': 'sqlite', '.sqlite': 'sqlite' };
+        const type = spec.type || (spec.path ? extensions[path.extname(spec.path).toLowerCase()] : null);
+        const SinkClass = SINK_TYPES[type];
+        if (!SinkClass) {
+            throw new ConfigError(`Unknown output type "${spec.type || spec.path}", expected one of: ${Object.keys(SINK_TYPES).join(', ')}`);
+        }
+        return new SinkClass({ ...defaults, ...spec });
+    }
+
+    throw new ConfigError(`Invalid output: ${JSON.stringify(spec)}`);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    OutputSink,
+    CSVSink,
+    JSONLinesSink,
+    JSONSink,
+    CallbackSink,
+    SQLiteSink,
+    APISink,
+    createSink
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+const EmissionsTracker = require('./tracker');
+
+/**
+ * Test suite emissions, shared by the Jest and node:test reporters
+ *
+ * One tracker runs for the whole suite. Each test file gets an even share, with the other
+ * files running at the same time, of the energy consumed while it runs; the file's energy
+ * is then split between its tests by duration. Files and tests are written to the tracker's
+ * outputs as task rows ('file' and 'file › test').
+ */
+const COMPONENTS = ['cpu', 'ram', 'gpu', 'other'];
+
+class SuiteEmissions {
+    constructor(options = {}) {
+        this.tracker = options.tracker || new EmissionsTracker({
+            projectName: 'test-suite',
+            ...options.trackerOptions
+        });
+        this.topN = options.topN !== undefined ? options.topN : 10;
+        this.rootDir = options.rootDir || process.cwd();
+        this.log = options.log || (message => this.tracker.logger.block('Test suite emissions', message.split('\n'), {
+            files: this.files.length,
+            tests: this.tests.length,
+            topTests: this.getTopTests()
+        }));
+
+        this.running = new Map(); // file -> { startTime, base }
+        this.files = [];
+        this.tests = [];
+        this.last = null;
+        this.shared = { cpu: 0, ram: 0, gpu: 0, other: 0, emissions: 0 };
+    }
+
+    async start() {
+        await this.tracker.start();
+    }
+
+    /**
+     * File path relative to the root directory
+     */
+    relativePath(file) {
+        return path.isAbsolute(file) ? path.relative(this.rootDir, file) : file;
+    }
+
+    /**
+     * Advance the per-file energy shares to now
+     */
+    advance(now = Date.now()) {
+        const snapshot = this.tracker.getEnergySnapshot(now);
+
+        if (this.last && this.running.size > 0) {
+            const n = this.running.size;
+            for (const component of COMPONENTS) {
+                // Totals can step back slightly when a new measurement replaces the estimate
+                this.shared[component] += Math.max(0, snapshot[component] - this.last[component]) / n;
+            }
+            this.shared.emissions += Math.max(0, snapshot.emissions - this.last.emissions) / n;
+        }
+
+        this.last = snapshot;
+    }
+
+    /**
+     * A test file started running
+     */
+    beginFile(file, now = Date.now()) {
+        const name = this.relativePath(file);
+        if (this.running.has(name)) return;
+
+        this.advance(now);
+        this.running.set(name, { startTime: now, base: { ...this.shared } });
+    }
+
+    /**
+     * A test file finished
+     * @param {string} file - Test file path
+     * @param {Object[]} tests - { name, duration (ms), status }
+     */
+    endFile(file, tests = [], now = Date.now()) {
+        const name = this.relativePath(file);
+        const running = this.running.get(name);
+        if (!running) return;
+
+        this.advance(now);
+        this.running.delete(name);
+
+        const fileResult = { taskName: name, duration: (now - running.startTime) / 1000, status: 'passed' };
+        for (const component of COMPONENTS) {
+            fileResult[`${component}Energy`] = this.shared[component] - running.base[component];
+        }
+        fileResult.energyConsumed = COMPONENTS.reduce((sum, component) => sum + fileResult[`${component}Energy`], 0);
+        fileResult.emissions = this.shared.emissions - running.base.emissions;
+        if (tests.some(test => test.status === 'failed')) fileResult.status = 'failed';
+        this.files.push(fileResult);
+
+        // Split the file's energy between its tests by duration
+        const totalDuration = tests.reduce((sum, test) => sum + (test.duration || 0), 0);
+        for (const test of tests) {
+            const share = totalDuration > 0 ? (test.duration || 0) / totalDuration : 1 / tests.length;
+            const testResult = {
+                taskName: `${name} › ${test.name}`,
+                file: name,
+                testName: test.name,
+                status: test.status,
+                duration: (test.duration || 0) / 1000
+            };
+            for (const field of ['cpuEnergy', 'ramEnergy', 'gpuEnergy', 'otherEnergy', 'energyConsumed', 'emissions']) {
+                testResult[field] = fileResult[field] * share;
+            }
+            this.tests.push(testResult);
+        }
+    }
+
+    /**
+     * Most emitting tests
+     */
+    getTopTests(n = this.topN) {
+        return [...this.tests].sort((a, b) => b.emissions - a.emissions).slice(0, n);
+    }
+
+    /**
+     * Text summary with the top-N tests
+     */
+    formatSummary() {
+        const results = this.tracker.results || {};
+        const lines = [
+            '',
+            '🌱 Test Suite Emissions:',
+            '═'.repeat(50),
+            `Files: ${this.files.length}, tests: ${this.tests.length}`,
+            `Total: ${((results.emissions || 0) * 1000).toFixed(3)} g CO₂, ${((results.energyConsumed || 0) * 1000).toFixed(3)} Wh`
+        ];
+
+        const top = this.getTopTests();
+        if (top.length > 0) {
+            lines.push('', `🔥 Top ${top.length} most carbon-expensive tests:`);
+            top.forEach((test, i) => {
+                lines.push(`${String(i + 1).padStart(3)}. ${(test.emissions * 1e6).toFixed(3)} mg CO₂  ${(test.energyConsumed * 1000).toFixed(4)} Wh  ${test.duration.toFixed(2)}s  ${test.taskName}`);
+            });
+        }
+
+        lines.push('═'.repeat(50));
+        return lines.join('\n');
+    }
+
+    /**
+     * Stop the tracker, write files and tests to the outputs and print the summary
+     * @returns {Promise<Object>} { results, files, tests }
+     */
+    async stop() {
+        // Files still running (e.g. the run was interrupted) end now
+        for (const file of [...this.running.keys()]) {
+            this.endFile(file);
+        }
+
+        for (const result of [...this.files, ...this.tests]) {
+            this.tracker.recordTask(result);
+        }
+
+        await this.tracker.stop();
+        this.log(this.formatSummary());
+
+        return { results: this.tracker.results, files: this.files, tests: this.tests };
+    }
+}
+
+module.exports = SuiteEmissions;
@@ -1,28 +1,175 @@
+const { EventEmitter } = require('events');
 const HardwareTracker = require('./hardware');
 const Emissions = require('./emissions');
 const Geography = require('./geography');
 const OutputHandler = require('./output');
+const ProcessMonitor = require('./process');
+const CloudRegions = require('./cloud');
+const PrometheusExporter = require('./metrics');
+const OpenTelemetryIntegration = require('./otel');
+const CheckpointManager = require('./checkpoint');
+const { CarbonBudget } = require('./budget');
+const { ConfigError, BudgetExceededError } = require('./errors');
+const { resolveConfig } = require('./config');
+const Logger = require('./logger');
+const {
+    IntensityProviderChain,
+    StaticIntensityProvider
+} = require('./intensity');
+const {
+    COMPONENTS,
+    PowerProviderRegistry,
+    RAPLProvider,
+    TDPProvider,
+    RAMSlotProvider,
+    NvidiaSMIProvider,
+    GPUModelProvider,
+    ConstantProvider
+} = require('./providers');
+
+// Runs currently tracked in this process (their checkpoints are never treated as orphaned)
+const activeRunIds = new Set();
+
+// Trackers saving partial results on SIGINT/SIGTERM and beforeExit, and checkpointing on exit.
+// They share one set of process handlers, so the signal is only re-raised once every tracker has saved.
+const signalTrackers = new Set();
+let processHandlers = null;
+
+// Errors kept per run (a failing provider would otherwise add one per measurement)
+const MAX_RECORDED_ERRORS = 100;
+
+/**
+ * Whether an option was given (0 and false are valid values)
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Save every registered tracker's partial results, then re-raise the signal
+ */
+async function onProcessSignal(signal) {
+    const trackers = [...signalTrackers];
+    signalTrackers.clear();
+    removeProcessHandlers();
+    
+    await Promise.all(trackers.map(tracker => tracker.interrupt(signal).catch(() => {})));
+    
+    // Keep the default behavior (terminate) unless the application handles the signal itself
+    if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+    }
+}
+
+function addSignalTracker(tracker) {
+    signalTrackers.add(tracker);
+    if (processHandlers) return;
+    
+    processHandlers = {
+        SIGINT: onProcessSignal,
+        SIGTERM: onProcessSignal,
+        beforeExit: () => {
+            for (const tracker of signalTrackers) tracker.interrupt('beforeExit').catch(() => {});
+        },
+        // No async work is possible on exit, so leave a checkpoint to recover on the next start
+        exit: () => {
+            for (const tracker of signalTrackers) {
+                if (tracker.isTracking) tracker.saveCheckpoint();
+            }
+        }
+    };
+    for (const [event, handler] of Object.entries(processHandlers)) {
+        process.on(event, handler);
+    }
+}
+
+function removeSignalTracker(tracker) {
+    signalTrackers.delete(tracker);
+    if (signalTrackers.size === 0) removeProcessHandlers();
+}
+
+function removeProcessHandlers() {
+    if (!processHandlers) return;
+    
+    for (const [event, handler] of Object.entries(processHandlers)) {
+        process.removeListener(event, handler);
+    }
+    processHandlers = null;
+}
 
 /**
  * Main GreenCarbon EmissionsTracker class
  * Node.js equivalent of Python's CodeCarbon EmissionsTracker
+ *
+ * Events:
+ * - 'start' ({ runId, projectName, startTime, systemInfo, locationInfo, cloudInfo })
+ * - 'measurement' (measurement object)
+ * - 'flush' ({ results, outputs, live }) after results are written to the outputs
+ * - 'stop' (results object)
+ * - 'error' (error, { phase }) only emitted when there is a listener
+ *
+ * By default failures are logged, recorded in `results.errors` and tracking carries on.
+ * With `strict: true`, start() throws when anything fails while starting and stop() throws
+ * the first error of the run once the results are saved.
+ *
+ * With `offline: true` (like CodeCarbon's OfflineEmissionsTracker) the location must be given
+ * and is never detected; `energyMixYear` pins the energy mix dataset year for reproducible results.
  */
-class EmissionsTracker {
+class EmissionsTracker extends EventEmitter {
     constructor(options = {}) {
+        super();
+        
+        // Constructor options over GREENCARBON_* variables and .greencarbon.json files
+        const config = resolveConfig(options);
+        options = config.options;
+        this.configSources = config.sources;
+        this.configFiles = config.files;
+        
         // Configuration options
         this.projectName = options.projectName || 'green-carbon-project';
         this.measurePowerInterval = (options.measurePowerSecs || 15) * 1000; // Convert to ms
         this.countryCode = options.countryCode || null;
         this.region = options.region || null;
+        this.offline = options.offline === true;
+        this.energyMixYear = options.energyMixYear || null;
+        this.energyMixPath = options.energyMixPath || null;
         this.saveToFile = options.saveToFile !== false;
         this.outputFile = options.outputFile || 'emissions.csv';
-        this.logLevel = options.logLevel || 'INFO';
+        this.logger = options.logger instanceof Logger
+            ? options.logger
+            : new Logger({ level: options.logLevel, format: options.logFormat, logger: options.logger });
         this.pue = options.pue || 1.0; // Power Usage Effectiveness
+        this.pueIsExplicit = options.pue !== undefined;
+        this.strict = options.strict === true;
+        
+        // Invalid constructor options were dropped (strict mode throws instead); keep them for results.errors
+        this.configErrors = config.errors.map(error => ({ phase: 'config', error: error, timestamp: Date.now() }));
+        this.configErrors.forEach(({ error }) => this.logger.warn(`⚠️  ${error.message}`, { code: error.code }));
+        
+        // Cloud mode: per-region grid intensity and provider PUE
+        this.cloudProvider = options.cloudProvider || null;
+        this.cloudRegion = options.cloudRegion || null;
+        this.detectCloud = options.detectCloud === true;
+        
+        // Tracking mode: 'machine' (whole host) or 'process' (current process share)
+        this.trackingMode = options.trackingMode || 'machine';
+        if (!['machine', 'process'].includes(this.trackingMode)) {
+            throw new ConfigError(`Invalid trackingMode "${this.trackingMode}", expected 'machine' or 'process'`);
+        }
+        this.trackChildProcesses = options.trackChildProcesses === true;
+        this.childPids = options.childPids || [];
         
         // Force power overrides (for testing/debugging)
-        this.forceCpuPower = options.forceCpuPower || null;
-        this.forceRamPower = options.forceRamPower || null;
-        this.forceGpuPower = options.forceGpuPower || null;
+        this.forceCpuPower = isSet(options.forceCpuPower) ? options.forceCpuPower : null;
+        this.forceRamPower = isSet(options.forceRamPower) ? options.forceRamPower : null;
+        this.forceGpuPower = isSet(options.forceGpuPower) ? options.forceGpuPower : null;
+        
+        // RAPL energy counters (Linux only, falls back to TDP estimation)
+        this.useRapl = options.useRapl !== false;
+        this.raplPath = options.raplPath || '/sys/class/powercap';
+        
+        // GPU selection (indices or UUIDs), defaults to CUDA_VISIBLE_DEVICES
+        this.gpuIds = options.gpuIds !== undefined ? options.gpuIds : process.env.CUDA_VISIBLE_DEVICES;
         
         // Internal state
         this.isTracking = false;
@@ -36,22 +183,78 @@ class EmissionsTracker {
         this.totalCpuEnergy = 0;
         this.totalRamEnergy = 0;
         this.totalGpuEnergy = 0;
+        this.totalOtherEnergy = 0;
         this.totalEnergy = 0;
+        this.totalEmissions = 0;
         this.measurements = [];
+        this.gpuDevices = {};
+        
+        // Named tasks within the run (startTask/stopTask)
+        this.activeTasks = [];
+        this.completedTasks = [];
         
         // Initialize components
-        this.hardwareTracker = new HardwareTracker();
-        this.emissions = new Emissions();
-        this.geography = new Geography();
+        this.hardwareTracker = new HardwareTracker({ logger: this.logger });
+        this.emissions = new Emissions({
+            energyMixPath: this.energyMixPath,
+            energyMixYear: this.energyMixYear,
+            logger: this.logger
+        });
+        this.geography = new Geography({
+            countryResolver: this.emissions.countryResolver,
+            regionResolver: this.emissions.regionResolver,
+            logger: this.logger
+        });
         this.outputHandler = new OutputHandler({
             saveToFile: this.saveToFile,
             filePath: this.outputFile,
-            projectName: this.projectName
+            projectName: this.projectName,
+            outputs: options.outputs,
+            logger: this.logger
         });
+        this.outputResults = [];
+        this.metricsExporter = this.createMetricsExporter(options.metrics);
+        this.ownsMetricsServer = false;
+        this.telemetry = options.openTelemetry
+            ? (options.openTelemetry instanceof OpenTelemetryIntegration
+                ? options.openTelemetry
+                : new OpenTelemetryIntegration(options.openTelemetry))
+            : null;
+        this.results = null;
+        this.errors = [...this.configErrors];
+        
+        // Crash-safe checkpoints and interruption handling
+        this.checkpoint = options.checkpoint
+            ? new CheckpointManager({ logger: this.logger, ...(options.checkpoint === true ? {} : options.checkpoint) })
+            : null;
+        this.handleSignals = options.handleSignals !== false;
+        this.interrupted = false;
+        
+        // Carbon budget; the signal aborts when a limit is exceeded and budget.abort is set
+        this.budget = options.budget
+            ? (options.budget instanceof CarbonBudget ? options.budget : new CarbonBudget(options.budget))
+            : null;
+        this.abortController = new AbortController();
+        this.signal = this.abortController.signal;
+        this.cloudRegions = new CloudRegions();
+        this.powerProviders = this.createPowerProviders(options.powerProviders || {});
+        this.intensityProviders = this.createIntensityProviders(options.intensityProviders || []);
+        this.processMonitor = this.trackingMode === 'process'
+            ? new ProcessMonitor({ includeChildren: this.trackChildProcesses, childPids: this.childPids })
+            : null;
         
         // System info (will be populated on start)
         this.systemInfo = null;
         this.locationInfo = null;
+        this.cloudInfo = null;
+        
+        if (this.offline) {
+            this.checkOfflineLocation();
+        } else if (this.energyMixYear && this.countryCode) {
+            // Throws when the pinned year is missing (detected locations are checked on start)
+            const alpha3 = this.emissions.countryResolver.toAlpha3(this.countryCode);
+            if (alpha3) this.emissions.getEnergyMix(alpha3);
+        }
     }
 
     /**
@@ -59,15 +262,25 @@ class EmissionsTracker {
      */
     async start() {
         if (this.isTracking) {
-            console.warn('⚠️  Emissions tracking is already running');
+            this.logger.warn('⚠️  Emissions tracking is already running');
             return;
         }
 
+        this.errors = [...this.configErrors];
+        
         try {
-            console.log('🚀 Starting GreenCarbon emissions tracking...');
+            this.logger.info('🚀 Starting GreenCarbon emissions tracking...', { runId: this.runId, projectName: this.projectName });
             
             // Initialize system information
             await this.initializeSystemInfo();
+            if (this.hardwareTracker.initError) {
+                this.recordError(this.hardwareTracker.initError, 'hardware');
+            }
+            
+            // Write out runs interrupted before they could save their results
+            if (this.checkpoint) {
+                await this.recoverCheckpoints();
+            }
             
             // Set tracking state
             this.isTracking = true;
@@ -75,37 +288,109 @@ class EmissionsTracker {
             this.totalCpuEnergy = 0;
             this.totalRamEnergy = 0;
             this.totalGpuEnergy = 0;
+            this.totalOtherEnergy = 0;
             this.totalEnergy = 0;
+            this.totalEmissions = 0;
             this.measurements = [];
+            this.gpuDevices = {};
+            this.activeTasks = [];
+            this.completedTasks = [];
+            this.interrupted = false;
+            
+            if (this.budget) {
+                this.budget.reset();
+            }
+            if (this.signal.aborted) {
+                this.abortController = new AbortController();
+                this.signal = this.abortController.signal;
+            }
+            
+            if (this.checkpoint) {
+                activeRunIds.add(this.runId);
+                this.installSignalHandlers();
+            }
+            
+            if (this.processMonitor) {
+                this.processMonitor.start();
+            }
+            
+            // Serve live metrics when a port is configured
+            if (this.metricsExporter && this.metricsExporter.port !== null && !this.metricsExporter.server) {
+                try {
+                    await this.metricsExporter.listen();
+                    this.ownsMetricsServer = true;
+                } catch (error) {
+                    this.logger.warn('⚠️  Failed to start metrics server:', { error });
+                    this.recordError(error, 'metrics');
+                }
+            }
             
-            // Start periodic measurements
+            this.emit('start', {
+                runId: this.runId,
+                projectName: this.projectName,
+                startTime: this.startTime,
+                systemInfo: this.systemInfo,
+                locationInfo: this.locationInfo,
+                cloudInfo: this.cloudInfo
+            });
+            
+            // Start periodic measurements (failures are recorded, strict mode throws them from stop())
             this.measurementInterval = setInterval(
-                () => this.measurePowerAndEnergy(),
+                () => this.measurePowerAndEnergy().catch(() => {}),
                 this.measurePowerInterval
             );
+            // With the beforeExit handler installed, a run left unstopped is saved when the process is done
+            if (signalTrackers.has(this)) {
+                this.measurementInterval.unref();
+            }
             
             // Take initial measurement
             await this.measurePowerAndEnergy();
             
-            if (this.logLevel === 'INFO') {
-                this.logSystemInfo();
+            this.logSystemInfo();
+            
+            if (this.strict && this.errors.length > 0) {
+                throw this.errors[0].error;
             }
             
-            console.log(`📊 Tracking started. Measuring every ${this.measurePowerInterval/1000}s`);
+            this.logger.info(`📊 Tracking started. Measuring every ${this.measurePowerInterval/1000}s`, { runId: this.runId });
             
         } catch (error) {
-            console.error('❌ Failed to start emissions tracking:', error);
-            this.isTracking = false;
+            this.logger.error('❌ Failed to start emissions tracking:', { runId: this.runId, error });
+            this.recordError(error, 'start');
+            await this.abortStart();
+            if (this.strict) throw error;
+        }
+    }
+
+    /**
+     * Undo a failed start
+     */
+    async abortStart() {
+        if (this.measurementInterval) {
+            clearInterval(this.measurementInterval);
+            this.measurementInterval = null;
+        }
+        this.isTracking = false;
+        this.removeSignalHandlers();
+        activeRunIds.delete(this.runId);
+        this.removeMetricsRun();
+        
+        if (this.ownsMetricsServer) {
+            await this.metricsExporter.close().catch(() => {});
+            this.ownsMetricsServer = false;
         }
     }
 
     /**
      * Stop emissions tracking and return results
+     * @returns {Promise<number|null>} Emissions (kg CO2), or null when tracking wasn't running or stopping failed
+     * @throws {GreenCarbonError} In strict mode, the first error of the run (after the results are saved)
      */
     async stop() {
         if (!this.isTracking) {
-            console.warn('⚠️  Emissions tracking is not running');
-            return 0;
+            this.logger.warn('⚠️  Emissions tracking is not running');
+            return null;
         }
 
         try {
@@ -115,32 +400,410 @@ class EmissionsTracker {
                 this.measurementInterval = null;
             }
             
-            // Take final measurement
-            await this.measurePowerAndEnergy();
+            // Take final measurement (a failure is recorded and the results so far are still saved)
+            await this.measurePowerAndEnergy().catch(() => {});
             
             this.endTime = Date.now();
+            
+            // Tasks still running end with the run
+            while (this.activeTasks.length > 0) {
+                this.stopTask(this.activeTasks[this.activeTasks.length - 1].id, this.endTime);
+            }
+            
             this.isTracking = false;
             
             // Calculate final results
             const results = this.calculateFinalEmissions();
+            results.status = this.interrupted ? 'interrupted' : 'completed';
+            this.results = results;
             
             // Output results
-            if (this.logLevel === 'INFO') {
-                this.outputHandler.logData(results);
-            }
+            this.outputHandler.logData(results);
             
-            // Save to file
-            await this.outputHandler.saveData(results);
+            // Save to the configured outputs
+            this.outputResults = await this.outputHandler.saveData(results);
+            await this.outputHandler.close();
+            this.emitFlush(results, this.outputResults, false);
+            results.errors = this.getErrorResults();
             
-            console.log('🛑 Emissions tracking stopped');
+            // The results are saved, so the checkpoint is no longer needed
+            if (this.checkpoint) {
+                this.removeSignalHandlers();
+                this.checkpoint.remove(this.runId);
+                activeRunIds.delete(this.runId);
+            }
+            
+            // Finished runs would otherwise stay exported as stale gauges
+            this.removeMetricsRun();
+            if (this.ownsMetricsServer) {
+                await this.metricsExporter.close();
+                this.ownsMetricsServer = false;
+            }
             
-            return results.emissions;
+            this.logger.info('🛑 Emissions tracking stopped', { runId: this.runId });
+            this.emit('stop', results);
             
         } catch (error) {
-            console.error('❌ Failed to stop emissions tracking:', error);
+            this.logger.error('❌ Failed to stop emissions tracking:', { runId: this.runId, error });
             this.isTracking = false;
-            return 0;
+            this.removeMetricsRun();
+            this.recordError(error, 'stop');
+            if (this.strict) throw error;
+            return null;
         }
+        
+        if (this.strict && this.errors.length > 0) {
+            throw this.errors[0].error;
+        }
+        return this.results.emissions;
+    }
+
+    /**
+     * Start a named task within the running tracker - equivalent to codecarbon's start_task
+     * Tasks may nest and overlap; each gets the energy consumed while it runs
+     * @param {string} name - Task name (tasks with the same name are combined in the output)
+     * @returns {string} Task id, for stopTask()
+     */
+    startTask(name) {
+        if (!this.isTracking) {
+            throw new Error('Cannot start a task: emissions tracking is not running');
+        }
+        if (!name) {
+            throw new Error('Task name is required');
+        }
+        
+        const now = Date.now();
+        const task = {
+            id: this.generateUUID(),
+            name: String(name),
+            startTime: now,
+            startTotals: this.getEnergySnapshot(now)
+        };
+        this.activeTasks.push(task);
+        return task.id;
+    }
+
+    /**
+     * Stop a task
+     * @param {string} idOrName - Task id, or name (the most recently started task with that name)
+     * @returns {Object} Task results (duration, energy and emissions)
+     */
+    stopTask(idOrName, endTime = Date.now()) {
+        let index = -1;
+        for (let i = this.activeTasks.length - 1; i >= 0; i--) {
+            if (this.activeTasks[i].id === idOrName || this.activeTasks[i].name === idOrName) {
+                index = i;
+                break;
+            }
+        }
+        if (index < 0) {
+            throw new Error(`No running task "${idOrName}"`);
+        }
+        
+        const [task] = this.activeTasks.splice(index, 1);
+        const endTotals = this.getEnergySnapshot(endTime);
+        const duration = (endTime - task.startTime) / 1000;
+        const emissions = endTotals.emissions - task.startTotals.emissions;
+        
+        const result = {
+            taskId: task.id,
+            taskName: task.name,
+            startTime: task.startTime,
+            duration: duration,
+            emissions: emissions,
+            emissionsRate: duration > 0 ? emissions / duration : 0,
+            energyConsumed: endTotals.energy - task.startTotals.energy,
+            cpuEnergy: endTotals.cpu - task.startTotals.cpu,
+            ramEnergy: endTotals.ram - task.startTotals.ram,
+            gpuEnergy: endTotals.gpu - task.startTotals.gpu,
+            otherEnergy: endTotals.other - task.startTotals.other
+        };
+        this.completedTasks.push(result);
+        return result;
+    }
+
+    /**
+     * Run an async function as a task
+     * @returns {Promise<Object>} { result, task }
+     */
+    async trackTask(name, fn) {
+        const taskId = this.startTask(name);
+        try {
+            const result = await fn();
+            return { result, task: this.stopTask(taskId) };
+        } catch (error) {
+            if (this.activeTasks.some(task => task.id === taskId)) {
+                this.stopTask(taskId);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Add a task whose energy was attributed elsewhere (e.g. by a test reporter)
+     * @param {Object} task - { taskName, duration, emissions, energyConsumed, cpuEnergy, ramEnergy, gpuEnergy, otherEnergy }
+     */
+    recordTask(task) {
+        if (!task || !task.taskName) {
+            throw new Error('Task name is required');
+        }
+        
+        const numeric = ['duration', 'emissions', 'energyConsumed', 'cpuEnergy', 'ramEnergy', 'gpuEnergy', 'otherEnergy'];
+        const result = { ...task };
+        numeric.forEach(field => { result[field] = Number(task[field]) || 0; });
+        this.completedTasks.push(result);
+        return result;
+    }
+
+    /**
+     * Cumulative energy and emissions at a point in time
+     * Totals are updated on each measurement; the time since the last one is estimated
+     * with the latest power readings, so short tasks between measurements get their share
+     */
+    getEnergySnapshot(timestamp) {
+        const latest = this.measurements[this.measurements.length - 1];
+        const elapsed = latest ? Math.max(0, (timestamp - latest.timestamp) / 1000) : 0;
+        const extra = power => latest ? ((power || 0) * elapsed / (1000 * 3600)) * this.pue : 0; // W*s to kWh
+        
+        const snapshot = {
+            cpu: this.totalCpuEnergy + extra(latest && latest.cpuPower),
+            ram: this.totalRamEnergy + extra(latest && latest.ramPower),
+            gpu: this.totalGpuEnergy + extra(latest && latest.gpuPower),
+            other: this.totalOtherEnergy + extra(latest && latest.otherPower)
+        };
+        snapshot.energy = snapshot.cpu + snapshot.ram + snapshot.gpu + snapshot.other;
+        
+        const extraEnergy = snapshot.energy - this.totalEnergy;
+        snapshot.emissions = this.totalEmissions + (latest ? (latest.carbonIntensity / 1000) * extraEnergy : 0);
+        return snapshot;
+    }
+
+    /**
+     * Per-task breakdown of completed tasks, combined by name
+     * @returns {Object[]} { taskName, count, duration, emissions, energyConsumed, ... }
+     */
+    getTaskResults() {
+        const byName = new Map();
+        const fields = ['duration', 'emissions', 'energyConsumed', 'cpuEnergy', 'ramEnergy', 'gpuEnergy', 'otherEnergy'];
+        
+        for (const task of this.completedTasks) {
+            if (!byName.has(task.taskName)) {
+                byName.set(task.taskName, fields.reduce((totals, field) => ({ ...totals, [field]: 0 }), { taskName: task.taskName, count: 0 }));
+            }
+            const totals = byName.get(task.taskName);
+            totals.count++;
+            fields.forEach(field => { totals[field] += task[field]; });
+        }
+        
+        return [...byName.values()].map(totals => ({
+            ...totals,
+            emissionsRate: totals.duration > 0 ? totals.emissions / totals.duration : 0
+        }));
+    }
+
+    /**
+     * Stop tracking after an interruption, saving the partial results marked as interrupted
+     * @param {string} [reason] - Signal or event that interrupted the run
+     * @returns {Promise<number>} Emissions so far (kg CO2)
+     */
+    async interrupt(reason = 'interrupt') {
+        if (!this.isTracking) return 0;
+        
+        this.logger.warn(`⚠️  Emissions tracking interrupted (${reason}), saving partial results`, { runId: this.runId, reason });
+        this.interrupted = true;
+        return this.stop();
+    }
+
+    /**
+     * Check the totals against the carbon budget, aborting the signal when a limit is
+     * exceeded and the budget is set to abort
+     */
+    checkBudget(timestamp = Date.now()) {
+        const fired = this.budget.check({
+            emissions: this.totalEmissions,
+            energy: this.totalEnergy,
+            duration: (timestamp - this.startTime) / 1000
+        });
+        
+        for (const warning of fired.warnings) {
+            this.logger.warn(`⚠️  Carbon budget: ${warning.limit} at ${warning.percent.toFixed(0)}% (${warning.value.toPrecision(4)} of ${warning.budget} ${warning.unit})`, { runId: this.runId, budget: warning });
+            this.emit('budget:warning', { ...warning, runId: this.runId, status: this.budget.getStatus() });
+        }
+        for (const exceeded of fired.exceeded) {
+            this.logger.warn(`🚨 Carbon budget exceeded: ${exceeded.limit} ${exceeded.value.toPrecision(4)} > ${exceeded.budget} ${exceeded.unit}`, { runId: this.runId, budget: exceeded });
+            this.emit('budget:exceeded', { ...exceeded, runId: this.runId, status: this.budget.getStatus() });
+        }
+        
+        const exceeded = fired.exceeded[0];
+        if (exceeded && this.budget.abort && !this.signal.aborted) {
+            this.abortController.abort(new BudgetExceededError(exceeded.limit, exceeded.value, exceeded.budget));
+        }
+    }
+
+    /**
+     * Record an error of the run and emit 'error' when someone listens (an unhandled 'error' event would throw)
+     * @param {Error} error - The error
+     * @param {string} phase - Where it happened: config, start, hardware, measurement, intensity, output, checkpoint, metrics, stop
+     */
+    recordError(error, phase) {
+        if (this.errors.some(recorded => recorded.error === error)) return;
+        
+        if (this.errors.length < MAX_RECORDED_ERRORS) {
+            this.errors.push({ phase: phase, error: error, timestamp: Date.now() });
+        }
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error, { phase: phase });
+        }
+    }
+
+    /**
+     * Errors of the run for the results object
+     * @returns {Object[]} { phase, name, code, message, timestamp }
+     */
+    getErrorResults() {
+        return this.errors.map(({ phase, error, timestamp }) => ({
+            phase: phase,
+            name: error.name,
+            code: error.code || null,
+            message: error.message,
+            timestamp: new Date(timestamp).toISOString()
+        }));
+    }
+
+    /**
+     * Emit 'flush' after writing to the outputs, and 'error' for each output that failed
+     * @param {Object} results - Results written
+     * @param {Object[]} outputs - Per-sink results from the output handler
+     * @param {boolean} live - Whether this was an in-progress snapshot
+     */
+    emitFlush(results, outputs, live) {
+        for (const output of outputs) {
+            if (!output.success) this.recordError(output.error, 'output');
+        }
+        this.emit('flush', { results: results, outputs: outputs, live: live });
+    }
+
+    /**
+     * Save a checkpoint of the run so far
+     */
+    saveCheckpoint(timestamp = Date.now()) {
+        try {
+            this.checkpoint.save(this.runId, this.calculateFinalEmissions(timestamp));
+        } catch (error) {
+            this.logger.warn('⚠️  Failed to save checkpoint:', { runId: this.runId, error });
+            this.recordError(error, 'checkpoint');
+        }
+    }
+
+    /**
+     * Save the results of orphaned checkpoints (runs whose process died) to the outputs
+     */
+    async recoverCheckpoints() {
+        for (const orphan of this.checkpoint.findOrphans(activeRunIds)) {
+            this.logger.info(`♻️  Recovering interrupted run ${orphan.runId} from ${orphan.file}`, { runId: orphan.runId, file: orphan.file });
+            
+            const results = { ...orphan.results, status: 'interrupted', timestamp: orphan.savedAt };
+            const saved = await this.outputHandler.saveData(results);
+            this.emitFlush(results, saved, false);
+            
+            // Keep the checkpoint for the next start if an output failed
+            if (saved.every(result => result.success)) {
+                this.checkpoint.remove(orphan.runId);
+            }
+        }
+    }
+
+    /**
+     * Save partial results on SIGINT/SIGTERM and beforeExit, and checkpoint on process.exit()
+     */
+    installSignalHandlers() {
+        if (this.handleSignals) addSignalTracker(this);
+    }
+
+    removeSignalHandlers() {
+        removeSignalTracker(this);
+    }
+
+    /**
+     * Remove the series of this run from the metrics exporter (custom exporters may not support it)
+     */
+    removeMetricsRun() {
+        if (this.metricsExporter && typeof this.metricsExporter.removeRun === 'function') {
+            this.metricsExporter.removeRun(this.runId);
+        }
+    }
+
+    /**
+     * Create the Prometheus/OpenMetrics exporter
+     * @param {boolean|Object|PrometheusExporter} [metrics] - true, exporter options ({ port, host, path, prefix })
+     *   or an existing exporter (e.g. shared between trackers and mounted in an app)
+     * @returns {PrometheusExporter|null} Exporter, or null when metrics are disabled
+     */
+    createMetricsExporter(metrics) {
+        if (!metrics) return null;
+        if (metrics instanceof PrometheusExporter || typeof metrics.update === 'function') return metrics;
+        return new PrometheusExporter({ logger: this.logger, ...(metrics === true ? {} : metrics) });
+    }
+
+    /**
+     * Build the power provider registry
+     * Order per component: force overrides, custom providers, then built-in sources
+     * @param {Object} customProviders - { cpu: [...], ram: [...], gpu: [...], other: [...] }
+     */
+    createPowerProviders(customProviders) {
+        const registry = new PowerProviderRegistry({ logger: this.logger });
+        const forced = { cpu: this.forceCpuPower, ram: this.forceRamPower, gpu: this.forceGpuPower };
+        
+        for (const component of COMPONENTS) {
+            if (isSet(forced[component])) {
+                registry.register(component, new ConstantProvider({ name: 'forced', power: forced[component] }));
+            }
+            
+            const custom = customProviders[component];
+            (Array.isArray(custom) ? custom : custom ? [custom] : [])
+                .forEach(provider => registry.register(component, provider));
+        }
+        
+        if (this.useRapl) {
+            registry.register('cpu', new RAPLProvider({ basePath: this.raplPath }));
+        }
+        registry.register('cpu', new TDPProvider({ hardwareTracker: this.hardwareTracker }));
+        if (this.useRapl) {
+            registry.register('ram', new RAPLProvider({ domain: 'dram', basePath: this.raplPath }));
+        }
+        registry.register('ram', new RAMSlotProvider({ hardwareTracker: this.hardwareTracker }));
+        registry.register('gpu', new NvidiaSMIProvider({ gpuIds: this.gpuIds }));
+        registry.register('gpu', new GPUModelProvider({ hardwareTracker: this.hardwareTracker }));
+        
+        return registry;
+    }
+
+    /**
+     * Build the carbon intensity provider chain
+     * Custom providers are tried first; the static annual average is the final fallback
+     * @param {Array|Object|Function} customProviders - Providers, provider-like objects or callbacks
+     */
+    createIntensityProviders(customProviders) {
+        const providers = (Array.isArray(customProviders) ? customProviders : [customProviders])
+            .map(provider => {
+                if (typeof provider === 'function') {
+                    return { name: 'callback', getIntensity: provider };
+                }
+                if (!provider || typeof provider.getIntensity !== 'function') {
+                    throw new ConfigError('Intensity providers must implement getIntensity()');
+                }
+                return provider;
+            });
+        
+        providers.push(new StaticIntensityProvider({
+            emissions: this.emissions,
+            cloudRegions: this.cloudRegions
+        }));
+        
+        return new IntensityProviderChain(providers, {
+            logger: this.logger,
+            onError: error => this.recordError(error, 'intensity')
+        });
     }
 
     /**
@@ -150,18 +813,148 @@ class EmissionsTracker {
         // Get system information
         this.systemInfo = await this.hardwareTracker.getSystemInfo();
         
+        // Cloud provider and region (explicit or detected without network access)
+        this.cloudInfo = this.resolveCloud();
+        if (this.cloudInfo && !this.pueIsExplicit) {
+            this.pue = this.cloudInfo.pue;
+        }
+        
         // Get or set location
-        if (this.countryCode) {
+        if (this.cloudInfo && this.cloudInfo.countryCode) {
+            this.locationInfo = {
+                countryCode: this.cloudInfo.countryCode,
+                countryName: this.geography.getCountryName(this.cloudInfo.countryCode),
+                region: this.cloudInfo.subregion
+            };
+        } else if (this.countryCode) {
+            // Accept alpha-2, alpha-3, numeric codes and names; keep unknown values as given
+            const countryCode = this.geography.normalizeCountryCode(this.countryCode);
+            if (!countryCode) {
+                this.logger.warn(`⚠️  Unknown country "${this.countryCode}", using world average carbon intensity`);
+            }
+            
             this.locationInfo = {
-                countryCode: this.countryCode,
+                countryCode: countryCode || this.countryCode,
                 countryName: this.geography.getCountryName(this.countryCode),
                 region: this.region
             };
         } else {
             this.locationInfo = await this.geography.detectLocation();
+            if (this.region) {
+                this.locationInfo.region = this.region;
+            }
+        }
+        
+        // Normalize region to its dataset code (e.g. 'US-CA' or 'California' -> 'CA')
+        const country = this.emissions.countryResolver.resolve(this.locationInfo.countryCode);
+        const regional = country
+            ? this.emissions.regionResolver.resolve(country.alpha3, this.locationInfo.region, country.alpha2)
+            : null;
+        if (regional) {
+            this.locationInfo.region = regional.code;
+        }
+        if (this.energyMixYear && country) {
+            this.emissions.getEnergyMix(country.alpha3);
+        }
+        this.locationInfo.countryAlpha2 = country ? country.alpha2 : null;
+        
+        this.logger.info(`📍 Location detected: ${this.locationInfo.countryName} (${this.locationInfo.countryCode})`, { location: this.locationInfo });
+        if (this.cloudInfo) {
+            this.logger.info(`☁️  Cloud: ${this.cloudInfo.providerName} ${this.cloudInfo.region || '(unknown region)'}, PUE ${this.pue}`, { cloud: this.cloudInfo });
+        }
+    }
+
+    /**
+     * Offline mode refuses to guess: the country (or a known cloud region) must be given,
+     * and have energy mix data for the pinned year
+     * @throws {ConfigError}
+     */
+    checkOfflineLocation() {
+        if (this.detectCloud) {
+            throw new ConfigError('detectCloud can\'t be used offline, set cloudProvider and cloudRegion instead');
+        }
+        
+        const cloud = this.cloudProvider ? this.cloudRegions.resolve(this.cloudProvider, this.cloudRegion) : null;
+        if (this.cloudProvider && !cloud) {
+            throw new ConfigError(`Unsupported cloud provider "${this.cloudProvider}", expected aws, gcp or azure`);
+        }
+        
+        const countryCode = (cloud && cloud.countryCode) || this.countryCode;
+        if (!countryCode) {
+            throw new ConfigError('Offline mode needs countryCode (or cloudProvider and a known cloudRegion), the location is not detected');
+        }
+        
+        const country = this.emissions.countryResolver.resolve(countryCode);
+        if (!country) {
+            throw new ConfigError(`Unknown country "${countryCode}"`);
+        }
+        
+        const region = cloud && cloud.countryCode ? cloud.subregion : this.region;
+        if (region && !this.emissions.regionResolver.resolve(country.alpha3, region, country.alpha2)) {
+            throw new ConfigError(`Unknown region "${region}" for ${country.alpha3}`);
+        }
+        
+        if (!this.emissions.getEnergyMix(country.alpha3)) {
+            throw new ConfigError(`No energy mix data for ${country.alpha3}`);
+        }
+    }
+
+    /**
+     * Resolve the cloud provider and region from options, or detect them when enabled
+     * @returns {Object|null} Cloud information, or null when not running on a known cloud
+     */
+    resolveCloud() {
+        let provider = this.cloudProvider;
+        let region = this.cloudRegion;
+        
+        if (!provider && this.detectCloud) {
+            const detected = this.cloudRegions.detect();
+            if (detected) {
+                provider = detected.provider;
+                region = region || detected.region;
+            }
+        }
+        
+        if (!provider) return null;
+        
+        const cloudInfo = this.cloudRegions.resolve(provider, region);
+        if (!cloudInfo) {
+            this.logger.warn(`⚠️  Unsupported cloud provider "${provider}", expected aws, gcp or azure`);
+            return null;
         }
         
-        console.log(`📍 Location detected: ${this.locationInfo.countryName} (${this.locationInfo.countryCode})`);
+        if (region && cloudInfo.carbonIntensity === null) {
+            this.logger.warn(`⚠️  Unknown ${cloudInfo.provider} region "${region}", using country carbon intensity`);
+        }
+        
+        return cloudInfo;
+    }
+
+    /**
+     * Get carbon intensity at a point in time from the provider chain
+     * @param {number} timestamp - Time in ms since epoch
+     * @returns {Promise<Object>} { carbonIntensity, level, source, version, provider }
+     */
+    async getCarbonIntensityAt(timestamp) {
+        const location = {
+            countryCode: this.locationInfo.countryCode,
+            countryAlpha2: this.locationInfo.countryAlpha2,
+            region: this.locationInfo.region,
+            cloudProvider: this.cloudInfo ? this.cloudInfo.provider : null,
+            cloudRegion: this.cloudInfo ? this.cloudInfo.region : null,
+            timestamp: timestamp
+        };
+        
+        const intensity = await this.intensityProviders.getIntensity(location);
+        if (intensity) return intensity;
+        
+        return {
+            carbonIntensity: this.emissions.worldAverageCarbonIntensity,
+            level: 'world',
+            source: 'world_average',
+            version: null,
+            provider: 'none'
+        };
     }
 
     /**
@@ -176,31 +969,57 @@ class EmissionsTracker {
                 ? (measurementTime - this.measurements[this.measurements.length - 1].timestamp) / 1000
                 : this.measurePowerInterval / 1000;
             
-            // Get power measurements
-            const cpuInfo = await this.hardwareTracker.estimateCPUPower();
-            const ramInfo = await this.hardwareTracker.getRAMInfo();
-            const gpuInfo = await this.hardwareTracker.getGPUInfo();
-            
-            // Apply force overrides if specified
-            const cpuPower = this.forceCpuPower || cpuInfo.power;
-            const ramPower = this.forceRamPower || ramInfo.power;
-            const gpuPower = this.forceGpuPower || gpuInfo.power;
+            // Get power measurements from the first available provider of each component
+            const context = {
+                cpuUsage: await this.hardwareTracker.getCPUUsage(),
+                duration: timeSinceLastMeasurement,
+                hardwareTracker: this.hardwareTracker
+            };
+            const readings = {};
+            for (const component of COMPONENTS) {
+                readings[component] = await this.powerProviders.measure(component, context);
+            }
             
-            // Calculate energy consumed since last measurement (kWh)
-            const cpuEnergy = (cpuPower * timeSinceLastMeasurement) / (1000 * 3600); // W*s to kWh
-            const ramEnergy = (ramPower * timeSinceLastMeasurement) / (1000 * 3600);
-            const gpuEnergy = (gpuPower * timeSinceLastMeasurement) / (1000 * 3600);
+            // In process mode, apportion CPU and RAM to the tracked process by its share of machine usage
+            const processShare = this.processMonitor ? this.processMonitor.measureShare() : null;
+            if (processShare) {
+                readings.cpu = this.applyShare(readings.cpu, processShare.cpuShare);
+                readings.ram = this.applyShare(readings.ram, processShare.ramShare);
+            }
             
-            // Apply PUE (Power Usage Effectiveness)
-            const adjustedCpuEnergy = cpuEnergy * this.pue;
-            const adjustedRamEnergy = ramEnergy * this.pue;
-            const adjustedGpuEnergy = gpuEnergy * this.pue;
+            // Calculate energy consumed since last measurement (kWh), with PUE applied
+            // Prefer measured energy (RAPL, meters) over power * time when available
+            const energy = {};
+            for (const component of COMPONENTS) {
+                const reading = readings[component];
+                const rawEnergy = typeof reading.energy === 'number'
+                    ? reading.energy
+                    : (reading.power * timeSinceLastMeasurement) / (1000 * 3600); // W*s to kWh
+                energy[component] = rawEnergy * this.pue;
+            }
             
             // Update totals
-            this.totalCpuEnergy += adjustedCpuEnergy;
-            this.totalRamEnergy += adjustedRamEnergy;
-            this.totalGpuEnergy += adjustedGpuEnergy;
-            this.totalEnergy = this.totalCpuEnergy + this.totalRamEnergy + this.totalGpuEnergy;
+            this.totalCpuEnergy += energy.cpu;
+            this.totalRamEnergy += energy.ram;
+            this.totalGpuEnergy += energy.gpu;
+            this.totalOtherEnergy += energy.other;
+            this.totalEnergy = this.totalCpuEnergy + this.totalRamEnergy + this.totalGpuEnergy + this.totalOtherEnergy;
+            
+            // Convert this interval's energy using the carbon intensity at its midpoint
+            const intervalEnergy = energy.cpu + energy.ram + energy.gpu + energy.other;
+            const intensity = await this.getCarbonIntensityAt(measurementTime - (timeSinceLastMeasurement * 1000) / 2);
+            const intervalEmissions = (intensity.carbonIntensity / 1000) * intervalEnergy; // g/kWh to kg
+            this.totalEmissions += intervalEmissions;
+            
+            // Per-GPU breakdown when the provider reports individual devices
+            const gpus = Array.isArray(readings.gpu.gpus) ? readings.gpu.gpus : null;
+            if (gpus) {
+                this.updateGpuDevices(gpus, timeSinceLastMeasurement);
+            }
+            
+            const cpuPower = readings.cpu.power;
+            const ramPower = readings.ram.power;
+            const gpuPower = readings.gpu.power;
             
             // Store measurement
             const measurement = {
@@ -209,36 +1028,160 @@ class EmissionsTracker {
                 cpuPower: cpuPower,
                 ramPower: ramPower,
                 gpuPower: gpuPower,
-                cpuEnergy: adjustedCpuEnergy,
-                ramEnergy: adjustedRamEnergy,
-                gpuEnergy: adjustedGpuEnergy,
+                otherPower: readings.other.power,
+                cpuEnergy: energy.cpu,
+                ramEnergy: energy.ram,
+                gpuEnergy: energy.gpu,
+                otherEnergy: energy.other,
                 totalEnergy: this.totalEnergy,
-                cpuUsage: cpuInfo.usage
+                carbonIntensity: intensity.carbonIntensity,
+                intensityLevel: intensity.level,
+                intensityProvider: intensity.provider,
+                intensitySource: intensity.source,
+                intensityVersion: intensity.version || null,
+                emissions: intervalEmissions,
+                totalEmissions: this.totalEmissions,
+                cpuUsage: context.cpuUsage,
+                cpuDomains: readings.cpu.domains || null,
+                gpus: gpus,
+                processShare: processShare,
+                sources: COMPONENTS.reduce((sources, component) => {
+                    sources[component] = {
+                        provider: readings[component].provider,
+                        confidence: readings[component].confidence
+                    };
+                    return sources;
+                }, {})
             };
             
             this.measurements.push(measurement);
             
+            if (this.metricsExporter) {
+                this.metricsExporter.update(this, measurement);
+            }
+            if (this.telemetry) {
+                this.telemetry.update(this, measurement);
+            }
+            this.emit('measurement', measurement);
+            
+            if (this.budget) {
+                this.checkBudget(measurementTime);
+            }
+            
+            if (this.checkpoint && this.checkpoint.isDue(measurementTime)) {
+                this.saveCheckpoint(measurementTime);
+            }
+            
+            // Outputs that report while tracking (e.g. the CodeCarbon API) get the totals so far
+            if (this.outputHandler.hasLiveSinks()) {
+                const snapshot = this.calculateFinalEmissions(measurementTime);
+                this.emitFlush(snapshot, await this.outputHandler.saveLive(snapshot), true);
+            }
+            
             // Log progress if verbose
-            if (this.logLevel === 'DEBUG') {
-                console.log(`📊 Measurement: ${cpuPower.toFixed(1)}W CPU, ${ramPower.toFixed(1)}W RAM, ${gpuPower.toFixed(1)}W GPU`);
-                console.log(`⚡ Total energy: ${this.totalEnergy.toFixed(6)} kWh`);
+            if (this.logger.isLevelEnabled('debug')) {
+                this.logger.debug(`📊 Measurement: ${cpuPower.toFixed(1)}W CPU, ${ramPower.toFixed(1)}W RAM, ${gpuPower.toFixed(1)}W GPU`, {
+                    runId: this.runId,
+                    cpuPower: cpuPower,
+                    ramPower: ramPower,
+                    gpuPower: gpuPower,
+                    carbonIntensity: intensity.carbonIntensity
+                });
+                this.logger.debug(`⚡ Total energy: ${this.totalEnergy.toFixed(6)} kWh`, {
+                    runId: this.runId,
+                    totalEnergy: this.totalEnergy,
+                    totalEmissions: this.totalEmissions
+                });
             }
             
         } catch (error) {
-            console.error('❌ Failed to measure power consumption:', error);
+            this.logger.error('❌ Failed to measure power consumption:', { runId: this.runId, error });
+            this.recordError(error, 'measurement');
+            if (this.strict) throw error;
         }
     }
 
+    /**
+     * Scale a power reading by the tracked process share
+     */
+    applyShare(reading, share) {
+        return {
+            ...reading,
+            power: reading.power * share,
+            energy: typeof reading.energy === 'number' ? reading.energy * share : reading.energy,
+            machinePower: reading.power,
+            share: share
+        };
+    }
+
+    /**
+     * Accumulate energy and statistics for each GPU
+     * @param {Object[]} gpus - Per-GPU readings (index, name, power, utilization, ...)
+     * @param {number} duration - Seconds since the previous measurement
+     */
+    updateGpuDevices(gpus, duration) {
+        for (const gpu of gpus) {
+            const key = gpu.uuid || String(gpu.index);
+            const device = this.gpuDevices[key] || {
+                index: gpu.index,
+                uuid: gpu.uuid,
+                name: gpu.name,
+                energy: 0,
+                maxPower: 0,
+                samples: 0,
+                totalPower: 0,
+                totalUtilization: 0,
+                maxMemoryUsed: 0
+            };
+            
+            device.energy += ((gpu.power * duration) / (1000 * 3600)) * this.pue;
+            device.samples += 1;
+            device.totalPower += gpu.power;
+            device.totalUtilization += gpu.utilization || 0;
+            device.maxPower = Math.max(device.maxPower, gpu.power);
+            device.maxMemoryUsed = Math.max(device.maxMemoryUsed, gpu.memoryUsed || 0);
+            device.power = gpu.power;
+            device.powerLimit = gpu.powerLimit;
+            device.maxPowerLimit = gpu.maxPowerLimit;
+            device.memoryTotal = gpu.memoryTotal;
+            
+            this.gpuDevices[key] = device;
+        }
+    }
+
+    /**
+     * Get the per-GPU summary for the results object
+     */
+    getGpuResults() {
+        return Object.values(this.gpuDevices).map(device => ({
+            index: device.index,
+            uuid: device.uuid,
+            name: device.name,
+            energy: device.energy, // kWh (PUE applied)
+            power: device.power, // latest reading (W)
+            averagePower: device.totalPower / device.samples,
+            maxPower: device.maxPower,
+            averageUtilization: device.totalUtilization / device.samples,
+            maxMemoryUsed: device.maxMemoryUsed, // MiB
+            memoryTotal: device.memoryTotal, // MiB
+            powerLimit: device.powerLimit,
+            maxPowerLimit: device.maxPowerLimit
+        }));
+    }
+
     /**
      * Calculate final emissions and create results object
+     * @param {number} [endTime] - End of the period (ms), defaults to the stop time; used for live snapshots
      */
-    calculateFinalEmissions() {
-        const duration = (this.endTime - this.startTime) / 1000; // seconds
-        const emissions = this.emissions.calculateEmissions(this.totalEnergy, this.locationInfo.countryCode);
+    calculateFinalEmissions(endTime = this.endTime) {
+        const duration = (endTime - this.startTime) / 1000; // seconds
+        const emissions = this.totalEmissions;
+        const intensity = this.summarizeCarbonIntensity();
         const emissionsRate = duration > 0 ? emissions / duration : 0;
         
         // Get latest power readings
         const latestMeasurement = this.measurements[this.measurements.length - 1] || {};
+        const gpuResults = this.getGpuResults();
         
         return {
             // Emissions data
@@ -251,11 +1194,17 @@ class EmissionsTracker {
             cpuPower: latestMeasurement.cpuPower || 0,
             ramPower: latestMeasurement.ramPower || 0,
             gpuPower: latestMeasurement.gpuPower || 0,
+            otherPower: latestMeasurement.otherPower || 0,
             
             // Energy breakdown
             cpuEnergy: this.totalCpuEnergy,
             ramEnergy: this.totalRamEnergy,
             gpuEnergy: this.totalGpuEnergy,
+            otherEnergy: this.totalOtherEnergy,
+            
+            // Measurement sources (for auditability)
+            cpuMeasurementMethod: this.getMeasurementMethod('cpu'),
+            powerSources: this.getPowerSources(),
             
             // System information
             projectName: this.projectName,
@@ -264,20 +1213,64 @@ class EmissionsTracker {
             countryName: this.locationInfo.countryName,
             countryCode: this.locationInfo.countryCode,
             region: this.locationInfo.region,
+            
+            // Carbon intensity used (energy-weighted average) and where it came from
+            carbonIntensity: intensity.carbonIntensity,
+            carbonIntensityLevel: intensity.level,
+            carbonIntensitySource: intensity.source,
+            carbonIntensityVersion: intensity.version,
+            carbonIntensityProvider: intensity.provider,
+            offline: this.offline,
             os: this.systemInfo.os,
             cpuModel: this.systemInfo.cpu.model,
             cpuCount: this.systemInfo.cpu.threads,
-            gpuCount: this.systemInfo.gpu.count,
-            gpuModel: this.systemInfo.gpu.models.join(', '),
+            gpuCount: gpuResults.length > 0 ? gpuResults.length : this.systemInfo.gpu.count,
+            gpuModel: gpuResults.length > 0
+                ? gpuResults.map(gpu => gpu.name).join(', ')
+                : this.systemInfo.gpu.models.join(', '),
+            gpus: gpuResults,
             ramTotalSize: this.systemInfo.ram.totalGB,
             version: '1.0.0-nodejs',
-            trackingMode: 'machine',
-            onCloud: 'N',
+            trackingMode: this.trackingMode,
+            cloudProvider: this.cloudInfo ? this.cloudInfo.provider : '',
+            cloudRegion: this.cloudInfo && this.cloudInfo.region ? this.cloudInfo.region : '',
+            onCloud: this.cloudInfo ? 'Y' : 'N',
             pue: this.pue,
             
+            // Per-task breakdown (startTask/stopTask)
+            tasks: this.getTaskResults(),
+            
+            // Errors recorded during the run (see strict mode)
+            errors: this.getErrorResults(),
+            
+            // Carbon budget outcome
+            budget: this.budget ? { ...this.budget.getStatus(), aborted: this.signal.aborted } : null,
+            
             // Additional metadata
             measurements: this.measurements.length,
-            averageCpuUsage: this.calculateAverageCpuUsage()
+            averageCpuUsage: this.calculateAverageCpuUsage(),
+            processShare: this.calculateAverageProcessShare()
+        };
+    }
+
+    /**
+     * Summarize the carbon intensity used across all measurements
+     * The intensity is energy-weighted so it matches emissions / energy
+     */
+    summarizeCarbonIntensity() {
+        const unique = key => [...new Set(this.measurements.map(m => m[key]).filter(Boolean))].join('+');
+        const latest = this.measurements[this.measurements.length - 1];
+        
+        const carbonIntensity = this.totalEnergy > 0
+            ? (this.totalEmissions / this.totalEnergy) * 1000
+            : (latest ? latest.carbonIntensity : 0);
+        
+        return {
+            carbonIntensity: carbonIntensity,
+            level: unique('intensityLevel') || 'unknown',
+            source: unique('intensitySource'),
+            version: unique('intensityVersion'),
+            provider: unique('intensityProvider') || 'none'
         };
     }
 
@@ -291,20 +1284,73 @@ class EmissionsTracker {
         return totalUsage / this.measurements.length;
     }
 
+    /**
+     * Get the provider(s) used for a component across all measurements
+     * e.g. 'rapl', 'tdp' or 'rapl+tdp' when RAPL failed part way through
+     */
+    getMeasurementMethod(component) {
+        const methods = [...new Set(this.measurements.map(m => m.sources[component].provider))];
+        return methods.length > 0 ? methods.join('+') : 'unknown';
+    }
+
+    /**
+     * Get provider and lowest confidence level per component
+     */
+    getPowerSources() {
+        const rank = { none: 0, low: 1, medium: 2, high: 3 };
+        
+        return COMPONENTS.reduce((sources, component) => {
+            const confidences = this.measurements.map(m => m.sources[component].confidence);
+            const confidence = confidences.length > 0
+                ? confidences.reduce((lowest, c) => (rank[c] || 0) < (rank[lowest] || 0) ? c : lowest)
+                : 'none';
+            
+            sources[component] = {
+                provider: this.getMeasurementMethod(component),
+                confidence: confidence
+            };
+            return sources;
+        }, {});
+    }
+
+    /**
+     * Calculate average CPU and RAM share of the tracked process (process mode only)
+     */
+    calculateAverageProcessShare() {
+        const shares = this.measurements.map(m => m.processShare).filter(Boolean);
+        if (shares.length === 0) return null;
+        
+        return {
+            cpu: shares.reduce((sum, share) => sum + share.cpuShare, 0) / shares.length,
+            ram: shares.reduce((sum, share) => sum + share.ramShare, 0) / shares.length,
+            cpuTime: shares.reduce((sum, share) => sum + share.cpuTime, 0)
+        };
+    }
+
     /**
      * Log system information
      */
     logSystemInfo() {
-        console.log('\n🖥️  System Information:');
-        console.log('─'.repeat(40));
-        console.log(`OS: ${this.systemInfo.os}`);
-        console.log(`CPU: ${this.systemInfo.cpu.model}`);
-        console.log(`CPU Cores: ${this.systemInfo.cpu.cores} threads`);
-        console.log(`RAM: ${this.systemInfo.ram.totalGB} GB`);
-        console.log(`GPU: ${this.systemInfo.gpu.count > 0 ? this.systemInfo.gpu.models.join(', ') : 'None detected'}`);
-        console.log(`Node.js: ${this.systemInfo.nodeVersion}`);
-        console.log(`Location: ${this.locationInfo.countryName} (${this.locationInfo.countryCode})`);
-        console.log('─'.repeat(40));
+        const gpu = this.systemInfo.gpu.count > 0 ? this.systemInfo.gpu.models.join(', ') : 'None detected';
+        
+        this.logger.block('System information', [
+            '\n🖥️  System Information:',
+            '─'.repeat(40),
+            `OS: ${this.systemInfo.os}`,
+            `CPU: ${this.systemInfo.cpu.model}`,
+            `CPU Cores: ${this.systemInfo.cpu.cores} threads`,
+            `CPU Power Source: ${this.getMeasurementMethod('cpu')}`,
+            `RAM: ${this.systemInfo.ram.totalGB} GB`,
+            `GPU: ${gpu}`,
+            `Node.js: ${this.systemInfo.nodeVersion}`,
+            `Location: ${this.locationInfo.countryName} (${this.locationInfo.countryCode})${this.offline ? ', offline' : ''}`,
+            '─'.repeat(40)
+        ], {
+            runId: this.runId,
+            systemInfo: this.systemInfo,
+            cpuPowerSource: this.getMeasurementMethod('cpu'),
+            location: this.locationInfo
+        });
     }
 
     /**
@@ -327,6 +1373,8 @@ class EmissionsTracker {
             duration: this.isTracking ? (Date.now() - this.startTime) / 1000 : 0,
             measurements: this.measurements.length,
             totalEnergy: this.totalEnergy,
+            totalEmissions: this.totalEmissions,
+            activeTasks: this.activeTasks.map(task => task.name),
             projectName: this.projectName
         };
     }
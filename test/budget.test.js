@@ -0,0 +1,75 @@
+const { CarbonBudget, BudgetExceededError } = require('../src/budget');
+const EmissionsTracker = require('../src/tracker');
+const Logger = require('../src/logger');
+
+describe('CarbonBudget', () => {
+    test('fires each warning threshold and the exceeded event once', () => {
+        const budget = new CarbonBudget({ emissionsKg: 1, warningPercent: [50, 90] });
+        const events = [];
+        budget.on('warning', warning => events.push(`warning:${warning.threshold}`));
+        budget.on('exceeded', exceeded => events.push(`exceeded:${exceeded.limit}`));
+
+        budget.check({ emissions: 0.6 });
+        budget.check({ emissions: 0.7 });
+        budget.check({ emissions: 0.95 });
+        budget.check({ emissions: 1.2 });
+        budget.check({ emissions: 1.5 });
+
+        expect(events).toEqual(['warning:50', 'warning:90', 'exceeded:emissionsKg']);
+        expect(budget.getStatus()).toMatchObject({
+            exceeded: true,
+            limits: { emissionsKg: { budget: 1, value: 1.5, exceeded: true } }
+        });
+    });
+
+    test('skips the warnings of a limit first checked above its budget', () => {
+        const budget = new CarbonBudget({ durationSecs: 10 });
+
+        expect(budget.check({ duration: 20 })).toMatchObject({ exceeded: [{ limit: 'durationSecs', percent: 200 }] });
+        expect(budget.check({ duration: 30 })).toEqual({ warnings: [], exceeded: [] });
+    });
+
+    test('rejects budgets without a valid limit', () => {
+        expect(() => new CarbonBudget({})).toThrow('Budget needs at least one of: emissionsKg, energyKWh, durationSecs');
+        expect(() => new CarbonBudget({ energyKWh: -1 })).toThrow('Invalid budget energyKWh "-1"');
+    });
+});
+
+describe('budget option', () => {
+    const create = budget => new EmissionsTracker({
+        config: false,
+        countryCode: 'FR',
+        saveToFile: false,
+        handleSignals: false,
+        logger: new Logger({ level: 'silent' }),
+        budget: budget
+    });
+
+    test('aborts the signal with a BudgetExceededError when abort is set', () => {
+        const tracker = create({ energyKWh: 0.01, abort: true });
+        const exceeded = jest.fn();
+        tracker.on('budget:exceeded', exceeded);
+        tracker.startTime = Date.now();
+
+        tracker.totalEnergy = 0.009;
+        tracker.checkBudget();
+        expect(tracker.signal.aborted).toBe(false);
+
+        tracker.totalEnergy = 0.02;
+        tracker.checkBudget();
+        expect(exceeded).toHaveBeenCalledWith(expect.objectContaining({ limit: 'energyKWh', runId: tracker.runId }));
+        expect(tracker.signal.aborted).toBe(true);
+        expect(tracker.signal.reason).toBeInstanceOf(BudgetExceededError);
+    });
+
+    test('only reports the overrun without abort', () => {
+        const tracker = create({ energyKWh: 0.01 });
+        tracker.startTime = Date.now();
+        tracker.totalEnergy = 0.02;
+
+        tracker.checkBudget();
+
+        expect(tracker.signal.aborted).toBe(false);
+        expect(tracker.budget.getStatus().exceeded).toBe(true);
+    });
+});
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmissionsTracker = require('../src/tracker');
+const CheckpointManager = require('../src/checkpoint');
+
+// Above the Linux pid limit, so never a running process
+const DEAD_PID = 99999999;
+
+describe('CheckpointManager', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-checkpoint-'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('is due every N measurements or after the interval', () => {
+        const byCount = new CheckpointManager({ dir, everyMeasurements: 2 });
+        expect([byCount.isDue(), byCount.isDue()]).toEqual([false, true]);
+
+        const byTime = new CheckpointManager({ dir, everyMeasurements: 0, intervalSecs: 60 });
+        byTime.save('run-1', {});
+        expect(byTime.isDue(byTime.lastSaveTime + 30 * 1000)).toBe(false);
+        expect(byTime.isDue(byTime.lastSaveTime + 60 * 1000)).toBe(true);
+    });
+
+    test('finds checkpoints of dead processes and skips active runs and unreadable files', () => {
+        const manager = new CheckpointManager({ dir });
+        manager.save('active-run', { emissions: 1 });
+        manager.save('own-run', { emissions: 2 });
+        fs.writeFileSync(manager.getPath('dead-run'), JSON.stringify({ pid: DEAD_PID, runId: 'dead-run', results: { emissions: 3 } }));
+        fs.writeFileSync(manager.getPath('live-run'), JSON.stringify({ pid: process.ppid, runId: 'live-run', results: {} }));
+        fs.writeFileSync(manager.getPath('broken'), '{"pid":');
+
+        const orphans = manager.findOrphans(new Set(['active-run']));
+
+        expect(orphans.map(orphan => orphan.runId).sort()).toEqual(['dead-run', 'own-run']);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring unreadable checkpoint'), expect.any(String));
+    });
+});
+
+describe('tracker checkpoints', () => {
+    let dir;
+    let trackers;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-checkpoint-'));
+        trackers = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        for (const tracker of trackers) {
+            if (tracker.isTracking) await tracker.stop();
+        }
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createTracker = (options = {}) => {
+        const tracker = new EmissionsTracker({
+            countryCode: 'FR',
+            measurePowerSecs: 3600,
+            checkpoint: { dir },
+            outputs: [() => {}],
+            ...options
+        });
+        trackers.push(tracker);
+        return tracker;
+    };
+
+    test('checkpoints every measurement and removes the checkpoint once the results are saved', async () => {
+        const tracker = createTracker();
+
+        await tracker.start();
+        const checkpoint = JSON.parse(fs.readFileSync(tracker.checkpoint.getPath(tracker.runId), 'utf8'));
+        expect(checkpoint).toMatchObject({ pid: process.pid, runId: tracker.runId });
+        expect(tracker.measurementInterval.hasRef()).toBe(false);
+
+        await tracker.stop();
+        expect(fs.existsSync(tracker.checkpoint.getPath(tracker.runId))).toBe(false);
+    });
+
+    test('writes orphaned checkpoints to the outputs as interrupted runs', async () => {
+        const manager = new CheckpointManager({ dir });
+        fs.writeFileSync(manager.getPath('crashed-run'), JSON.stringify({
+            pid: DEAD_PID,
+            runId: 'crashed-run',
+            savedAt: '2024-01-15T12:00:00.000Z',
+            results: { runId: 'crashed-run', projectName: 'nightly-build', emissions: 0.01 }
+        }));
+        const saved = [];
+        const tracker = createTracker({ outputs: [(record, data) => saved.push(data)] });
+
+        await tracker.start();
+
+        expect(saved).toEqual([expect.objectContaining({ runId: 'crashed-run', status: 'interrupted', timestamp: '2024-01-15T12:00:00.000Z' })]);
+        expect(fs.existsSync(manager.getPath('crashed-run'))).toBe(false);
+    });
+
+    test('saves every tracker as interrupted on SIGINT, then re-raises the signal', async () => {
+        const saved = [];
+        const output = (record, data) => saved.push(data);
+        const first = createTracker({ outputs: [output] });
+        const second = createTracker({ outputs: [output] });
+        await first.start();
+        await second.start();
+
+        const reraised = new Promise(resolve => {
+            jest.spyOn(process, 'kill').mockImplementation((pid, signal) => resolve({ pid, signal, saved: saved.length }));
+        });
+        process.emit('SIGINT', 'SIGINT');
+
+        expect(await reraised).toEqual({ pid: process.pid, signal: 'SIGINT', saved: 2 });
+        expect(saved.map(data => data.status)).toEqual(['interrupted', 'interrupted']);
+        expect(first.isTracking || second.isTracking).toBe(false);
+    });
+
+    test('leaves the process signals alone with handleSignals: false', async () => {
+        const before = process.listenerCount('SIGINT');
+        const tracker = createTracker({ handleSignals: false });
+
+        await tracker.start();
+
+        expect(process.listenerCount('SIGINT')).toBe(before);
+        expect(tracker.measurementInterval.hasRef()).toBe(true);
+    });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs } = require('../src/cli');
+
+describe('parseArgs', () => {
+    test('converts tracker flags to typed options', () => {
+        const parsed = parseArgs(['run', '--measure-power-secs', '5', '--country-code=FRA', '--no-save-to-file', '--use-rapl', '--', 'node', 'train.js', '--epochs', '3']);
+
+        expect(parsed.command).toBe('run');
+        expect(parsed.options).toEqual({ measurePowerSecs: 5, countryCode: 'FRA', saveToFile: false, useRapl: true });
+        expect(parsed.commandArgs).toEqual(['node', 'train.js', '--epochs', '3']);
+    });
+
+    test('keeps other flags for the subcommands', () => {
+        expect(parseArgs(['report', '--help', '--json']).flags).toEqual({ help: true, json: true });
+    });
+
+    test('rejects invalid arguments', () => {
+        expect(() => parseArgs(['run', '--pue', 'high'])).toThrow('--pue expects a number, got "high"');
+        expect(() => parseArgs(['run', '--output-file'])).toThrow('Missing value for --output-file');
+        expect(() => parseArgs(['run', 'node'])).toThrow('Unexpected argument "node"');
+    });
+});
+
+describe('main', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-cli-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('returns 2 for usage errors and unknown commands', async () => {
+        expect(await main([])).toBe(2);
+        expect(await main(['deploy'])).toBe(2);
+        expect(await main(['run', '--pue', 'high'])).toBe(2);
+        expect(await main(['--help'])).toBe(0);
+    });
+
+    test('propagates the exit code of the tracked command', async () => {
+        const code = await main(['run', '--country-code', 'FRA', '--no-save-to-file', '--no-use-rapl', '--', process.execPath, '-e', 'process.exit(3)']);
+
+        expect(code).toBe(3);
+    });
+
+    test('returns 127 when the command does not exist', async () => {
+        const code = await main(['run', '--country-code', 'FRA', '--no-save-to-file', '--no-use-rapl', '--', path.join(dir, 'missing')]);
+
+        expect(code).toBe(127);
+    });
+
+    test('summarizes an emissions CSV', async () => {
+        const file = path.join(dir, 'emissions.csv');
+        fs.writeFileSync(file, [
+            'timestamp,project_name,duration,emissions,energy_consumed',
+            '2024-01-15T12:00:00Z,a,60,0.002,0.01',
+            '2024-01-15T13:00:00Z,b,120,0.004,0.02'
+        ].join('\n'));
+
+        expect(await main(['report', '--output-file', file])).toBe(0);
+        expect(await main(['report', '--file', path.join(dir, 'missing.csv')])).toBe(1);
+        expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Emissions file not found'));
+    });
+});
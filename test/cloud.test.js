@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CloudRegions = require('../src/cloud');
+const EmissionsTracker = require('../src/tracker');
+
+describe('CloudRegions', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-dmi-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const detect = (env, dmi = {}) => {
+        Object.entries(dmi).forEach(([name, value]) => fs.writeFileSync(path.join(dir, name), `${value}\n`));
+        return new CloudRegions({ env, dmiPath: dir }).detect();
+    };
+
+    test('ignores region variables without a provider runtime', () => {
+        expect(detect({ AWS_REGION: 'us-east-1', REGION_NAME: 'West Europe', GOOGLE_CLOUD_PROJECT: 'dev', K_SERVICE: 'api' })).toBeNull();
+    });
+
+    test('detects the provider from its runtime variables and reads its region', () => {
+        expect(detect({ AWS_EXECUTION_ENV: 'AWS_Lambda_nodejs20.x', AWS_REGION: 'eu-west-3' }))
+            .toEqual({ provider: 'aws', region: 'eu-west-3', source: 'env' });
+        expect(detect({ GAE_APPLICATION: 'app', AWS_REGION: 'eu-west-3' }))
+            .toEqual({ provider: 'gcp', region: null, source: 'env' });
+        expect(detect({ WEBSITE_INSTANCE_ID: 'abc', REGION_NAME: 'West Europe' }))
+            .toEqual({ provider: 'azure', region: 'westeurope', source: 'env' });
+    });
+
+    test('fills the region of a DMI-detected provider from the environment', () => {
+        expect(detect({ AWS_DEFAULT_REGION: 'us-west-2' }, { sys_vendor: 'Amazon EC2' }))
+            .toEqual({ provider: 'aws', region: 'us-west-2', source: 'dmi' });
+        expect(detect({}, { sys_vendor: 'Google', product_name: 'Google Compute Engine' }))
+            .toEqual({ provider: 'gcp', region: null, source: 'dmi' });
+    });
+
+    test('resolves region intensity and provider aliases', () => {
+        const cloud = new CloudRegions({ env: {}, dmiPath: dir });
+
+        expect(cloud.normalizeProvider('Google')).toBe('gcp');
+        expect(cloud.resolve('AWS', 'eu-west-3')).toMatchObject({ provider: 'aws', region: 'eu-west-3', countryCode: 'FRA' });
+        expect(cloud.resolve('ibm', 'eu-de')).toBeNull();
+    });
+});
+
+describe('cloud mode', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses the region intensity, location and provider PUE', async () => {
+        const tracker = new EmissionsTracker({ saveToFile: false, cloudProvider: 'gcp', cloudRegion: 'europe-west1-b' });
+
+        await tracker.initializeSystemInfo();
+
+        expect(tracker.pue).toBe(1.1);
+        expect(tracker.locationInfo.countryCode).toBe('BEL');
+        expect(await tracker.getCarbonIntensityAt(Date.now())).toMatchObject({ level: 'cloud_region', source: 'cloud_regions:gcp' });
+    });
+
+    test('keeps an explicit PUE', async () => {
+        const tracker = new EmissionsTracker({ saveToFile: false, cloudProvider: 'aws', cloudRegion: 'eu-west-3', pue: 1.4 });
+
+        await tracker.initializeSystemInfo();
+
+        expect(tracker.pue).toBe(1.4);
+    });
+});
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_FILE, toEnvName, validate, readEnv, loadConfig, resolveConfig } = require('../src/config');
+const EmissionsTracker = require('../src/tracker');
+const { ConfigError } = require('../src/errors');
+
+describe('config', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-config-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const writeConfig = (directory, values) => {
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(path.join(directory, CONFIG_FILE), JSON.stringify(values));
+    };
+
+    test('names environment variables after the options', () => {
+        expect(toEnvName('measurePowerSecs')).toBe('GREENCARBON_MEASURE_POWER_SECS');
+    });
+
+    test('reports every invalid option at once', () => {
+        expect(() => validate({ measurePowerSecs: 0, logLevel: 'VERBOSE', pue: '1.2' }, 'test'))
+            .toThrow(/measurePowerSecs" must be greater than 0[\s\S]*logLevel" must be one of[\s\S]*pue" must be number, got string "1.2"/);
+    });
+
+    test('only allows code-only options in code', () => {
+        const intensityProviders = [async () => 100];
+
+        expect(() => validate({ intensityProviders }, 'test')).toThrow('"intensityProviders" can only be set in code');
+        expect(() => validate({ intensityProviders }, 'test', { inCode: true })).not.toThrow();
+        expect(() => validate({ intensityProviders: intensityProviders[0] }, 'test', { inCode: true })).not.toThrow();
+    });
+
+    test('accepts cloud provider aliases in any case', () => {
+        expect(() => validate({ cloudProvider: 'Azure' }, 'test')).not.toThrow();
+        expect(() => validate({ cloudProvider: 'GOOGLE' }, 'test')).not.toThrow();
+        expect(() => validate({ cloudProvider: 'ibm' }, 'test')).toThrow(ConfigError);
+    });
+
+    test('parses environment variables to the option types', () => {
+        const { values, sources } = readEnv({
+            GREENCARBON_MEASURE_POWER_SECS: '5',
+            GREENCARBON_SAVE_TO_FILE: 'no',
+            GREENCARBON_CHILD_PIDS: '12, 34',
+            GREENCARBON_BUDGET: '{"emissionsKg":0.5}',
+            GREENCARBON_LOG_LEVEL: ''
+        });
+
+        expect(values).toEqual({ measurePowerSecs: 5, saveToFile: false, childPids: ['12', '34'], budget: { emissionsKg: 0.5 } });
+        expect(sources.measurePowerSecs).toBe('env:GREENCARBON_MEASURE_POWER_SECS');
+    });
+
+    test('rejects invalid environment variables', () => {
+        expect(() => readEnv({ GREENCARBON_MEASURE_POWER_SECS: 'often' })).toThrow(ConfigError);
+        expect(() => readEnv({ GREENCARBON_BUDGET: '{oops' })).toThrow('GREENCARBON_BUDGET');
+    });
+
+    test('layers user config, project config and environment variables', () => {
+        const home = path.join(dir, 'home');
+        const project = path.join(dir, 'project');
+        writeConfig(home, { projectName: 'from-home', pue: 1.2 });
+        writeConfig(project, { projectName: 'from-project', measurePowerSecs: 30 });
+        fs.mkdirSync(path.join(project, 'src'));
+
+        const config = loadConfig({
+            cwd: path.join(project, 'src'),
+            homeDir: home,
+            env: { GREENCARBON_MEASURE_POWER_SECS: '5' }
+        });
+
+        expect(config.options).toEqual({ projectName: 'from-project', pue: 1.2, measurePowerSecs: 5 });
+        expect(config.sources).toEqual({
+            projectName: path.join(project, CONFIG_FILE),
+            pue: path.join(home, CONFIG_FILE),
+            measurePowerSecs: 'env:GREENCARBON_MEASURE_POWER_SECS'
+        });
+    });
+
+    test('rejects config files with invalid JSON or options', () => {
+        fs.writeFileSync(path.join(dir, CONFIG_FILE), '{ "projectName": ');
+        expect(() => loadConfig({ cwd: dir, homeDir: null, env: {} })).toThrow(`Invalid configuration in ${path.join(dir, CONFIG_FILE)}`);
+
+        writeConfig(dir, { measurePowerSec: 5 });
+        expect(() => loadConfig({ cwd: dir, homeDir: null, env: {} })).toThrow('unknown option "measurePowerSec"');
+    });
+
+    test('throws for a missing configFile', () => {
+        expect(() => loadConfig({ cwd: dir, homeDir: null, env: {}, configFile: 'missing.json' }))
+            .toThrow('Config file not found');
+    });
+
+    test('constructor options win and invalid ones are dropped unless strict', () => {
+        const resolved = resolveConfig({ config: false, projectName: 'explicit', countryCode: undefined, measurePowerSec: 5 });
+
+        expect(resolved.options.projectName).toBe('explicit');
+        expect(resolved.options).not.toHaveProperty('countryCode');
+        expect(resolved.sources.projectName).toBe('options');
+
+        const tolerant = resolveConfig({ config: false, pue: 0.5 });
+        expect(tolerant.options).not.toHaveProperty('pue');
+        expect(tolerant.errors).toEqual([expect.any(ConfigError)]);
+        expect(tolerant.errors[0].message).toContain('"pue" must be at least 1');
+        expect(() => resolveConfig({ config: false, strict: true, pue: 0.5 })).toThrow('"pue" must be at least 1');
+        expect(() => resolveConfig({ config: false, strict: true, measurePowerSec: 5 }))
+            .toThrow('unknown option "measurePowerSec"');
+    });
+
+    test('the tracker reads its configFile below the environment and constructor options', () => {
+        const configFile = path.join(dir, 'tracker.json');
+        fs.writeFileSync(configFile, JSON.stringify({ projectName: 'from-file', countryCode: 'DE', measurePowerSecs: 30 }));
+        const previous = process.env.GREENCARBON_COUNTRY_CODE;
+        process.env.GREENCARBON_COUNTRY_CODE = 'FR';
+
+        try {
+            const tracker = new EmissionsTracker({ configFile, measurePowerSecs: 5, saveToFile: false });
+
+            expect(tracker.projectName).toBe('from-file');
+            expect(tracker.countryCode).toBe('FR');
+            expect(tracker.measurePowerInterval).toBe(5000);
+            expect(tracker.configSources).toMatchObject({ projectName: configFile, countryCode: 'env:GREENCARBON_COUNTRY_CODE', measurePowerSecs: 'options' });
+        } finally {
+            if (previous === undefined) delete process.env.GREENCARBON_COUNTRY_CODE;
+            else process.env.GREENCARBON_COUNTRY_CODE = previous;
+        }
+    });
+});
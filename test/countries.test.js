@@ -0,0 +1,68 @@
+const CountryResolver = require('../src/countries');
+const Emissions = require('../src/emissions');
+const Geography = require('../src/geography');
+
+describe('CountryResolver', () => {
+    const resolver = new CountryResolver({ dataset: { COD: { country_name: 'Democratic Republic of Congo' } } });
+
+    test('resolves alpha-2, alpha-3 and numeric codes in any case', () => {
+        const india = { alpha2: 'IN', alpha3: 'IND', numeric: '356', name: 'India' };
+
+        expect(resolver.resolve('IN')).toEqual(india);
+        expect(resolver.resolve('ind')).toEqual(india);
+        expect(resolver.resolve('356')).toEqual(india);
+        expect(resolver.resolve(356)).toEqual(india);
+        expect(resolver.toAlpha3(40)).toBe('AUT');
+    });
+
+    test('resolves names ignoring case, accents and punctuation', () => {
+        expect(resolver.toAlpha3('côte d’ivoire')).toBe('CIV');
+        expect(resolver.toAlpha2('united kingdom')).toBe('GB');
+    });
+
+    test('prefers the dataset country names', () => {
+        expect(resolver.getName('CD')).toBe('Democratic Republic of Congo');
+        expect(resolver.toAlpha3('Democratic Republic of Congo')).toBe('COD');
+    });
+
+    test('returns null for unknown identifiers', () => {
+        expect(resolver.resolve('XX')).toBeNull();
+        expect(resolver.resolve('')).toBeNull();
+        expect(resolver.getName('Atlantis')).toBe('Unknown');
+    });
+});
+
+describe('carbon intensity lookup', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('finds the same country from every code type', () => {
+        const emissions = new Emissions();
+        const intensity = emissions.getCarbonIntensity('IND');
+
+        expect(intensity).not.toBe(emissions.worldAverageCarbonIntensity);
+        expect(emissions.getCarbonIntensity('IN')).toBe(intensity);
+        expect(emissions.getCarbonIntensity(356)).toBe(intensity);
+        expect(emissions.getCarbonIntensity('India')).toBe(intensity);
+    });
+
+    test('falls back to the world average for unknown countries', () => {
+        const emissions = new Emissions();
+
+        expect(emissions.getCarbonIntensity('XX')).toBe(emissions.worldAverageCarbonIntensity);
+    });
+
+    test('maps locale regions to alpha-3', () => {
+        const geography = new Geography();
+
+        expect(geography.extractCountryFromLocale('en-IN')).toBe('IND');
+        expect(geography.extractCountryFromLocale('zh-Hant-TW')).toBe('TWN');
+        expect(geography.extractCountryFromLocale('es-419')).toBe('ESP'); // Latin America, not a country
+        expect(geography.extractCountryFromLocale('de')).toBe('DEU');
+    });
+});
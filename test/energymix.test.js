@@ -0,0 +1,187 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EnergyMixDataset = require('../src/energymix');
+const EnergyMixImporter = require('../src/energymix-importer');
+const Emissions = require('../src/emissions');
+const EmissionsTracker = require('../src/tracker');
+const { ConfigError } = require('../src/errors');
+const Logger = require('../src/logger');
+
+const logger = new Logger({ level: 'silent' });
+
+const OWID_CSV = [
+    'country,year,iso_code,carbon_intensity_elec,coal_electricity,electricity_generation,per_capita_electricity',
+    'France,2022,FRA,85.0,3.2,469.3,7000',
+    'France,2023,FRA,56.0,2.2,514.1,7939',
+    'France,2024,FRA,,,,',
+    'Europe,2023,,280,,,',
+    'World,2023,OWID_WRL,480,,,'
+].join('\n');
+
+const EMBER_CSV = [
+    'Area,ISO 3 code,Year,Category,Variable,Unit,Value',
+    'Germany,DEU,2023,Electricity generation,Coal,TWh,136.4',
+    'Germany,DEU,2023,Electricity generation,Bioenergy,TWh,44.6',
+    'Germany,DEU,2023,Electricity generation,Other Renewables,TWh,0.2',
+    'Germany,DEU,2023,Power sector emissions,CO2 intensity,gCO2/kWh,381',
+    'Germany,DEU,2023,Electricity demand,Demand per capita,MWh,6.2',
+    'Germany,DEU,2022,Electricity generation,Coal,TWh,181.1',
+    'EU,EU,2023,Power sector emissions,CO2 intensity,gCO2/kWh,244'
+].join('\n');
+
+describe('EnergyMixDataset', () => {
+    const dataset = new EnergyMixDataset({
+        countries: {
+            FRA: { country_name: 'France', iso_code: 'FRA', years: { 2021: { carbon_intensity: 67 }, 2023: { carbon_intensity: 56 } } }
+        }
+    });
+
+    test('uses the latest year up to the requested one', () => {
+        expect(dataset.get('FRA').year).toBe(2023);
+        expect(dataset.get('FRA', { year: 2022 }).carbon_intensity).toBe(67);
+        expect(dataset.get('FRA', { year: 2019 }).year).toBe(2021);
+        expect(dataset.get('FRA', { year: 2022, exact: true })).toBeNull();
+        expect(dataset.get('DEU')).toBeNull();
+    });
+
+    test('reads the older flat format as one year', () => {
+        const flat = new EnergyMixDataset({ FRA: { country_name: 'France', year: 2022, carbon_intensity: 85 } });
+
+        expect(flat.getYears('FRA')).toEqual([2022]);
+        expect(flat.get('FRA')).toEqual({ country_name: 'France', iso_code: 'FRA', year: 2022, carbon_intensity: 85 });
+    });
+
+    test('merges other datasets, their values winning', () => {
+        const merged = new EnergyMixDataset(dataset.toJSON());
+        const other = new EnergyMixDataset();
+        other.set('FRA', 2023, { carbon_intensity: 50 });
+        other.set('FRA', 2024, { carbon_intensity: 40 });
+        other.addSource({ name: 'Local', url: 'file://local.csv' });
+
+        merged.merge(other);
+
+        expect(merged.getYears('FRA')).toEqual([2021, 2023, 2024]);
+        expect(merged.get('FRA', { year: 2023 }).carbon_intensity).toBe(50);
+        expect(merged.metadata.sources.map(source => source.name)).toEqual(['Local']);
+    });
+
+    test('throws a ConfigError for unreadable files', () => {
+        expect(() => EnergyMixDataset.load(path.join(os.tmpdir(), 'green-carbon-missing.json'))).toThrow(ConfigError);
+    });
+
+    test('bundles several years per country and the import date', () => {
+        const bundled = EnergyMixDataset.load();
+
+        expect(bundled.metadata.imported).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(bundled.getYears('FRA').length).toBeGreaterThan(1);
+        expect(bundled.get('FRA').coal_TWh).toBeDefined();
+    });
+});
+
+describe('EnergyMixImporter', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-energymix-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const importCSV = (content, options) => {
+        const file = path.join(dir, 'export.csv');
+        fs.writeFileSync(file, content);
+        return new EnergyMixImporter().import(file, options);
+    };
+
+    test('imports Our World in Data exports, skipping aggregates and years without intensity', async () => {
+        const dataset = await importCSV(OWID_CSV);
+
+        expect(Object.keys(dataset.countries)).toEqual(['FRA']);
+        expect(dataset.getYears('FRA')).toEqual([2022, 2023]);
+        expect(dataset.get('FRA')).toMatchObject({ carbon_intensity: 56, coal_TWh: 2.2, total_TWh: 514.1, per_capita_Wh: 7939 });
+        expect(dataset.metadata.sources[0]).toMatchObject({ name: EnergyMixImporter.SOURCES.owid.name, imported: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/) });
+    });
+
+    test('imports Ember long-format exports', async () => {
+        const dataset = await importCSV(EMBER_CSV);
+
+        expect(dataset.getYears('DEU')).toEqual([2023]);
+        expect(dataset.get('DEU')).toEqual({
+            country_name: 'Germany',
+            iso_code: 'DEU',
+            year: 2023,
+            carbon_intensity: 381,
+            coal_TWh: 136.4,
+            biofuel_TWh: 44.6,
+            other_renewable_exc_biofuel_TWh: 0.2,
+            other_renewable_TWh: expect.closeTo(44.8),
+            per_capita_Wh: 6200
+        });
+        expect(dataset.has('EU')).toBe(false);
+    });
+
+    test('rejects unrecognized files and formats', async () => {
+        await expect(importCSV('a,b\n1,2\n')).rejects.toThrow(ConfigError);
+        await expect(importCSV(EMBER_CSV, { format: 'iea' })).rejects.toThrow('Unknown energy mix format "iea"');
+    });
+});
+
+describe('pinned energy mix year', () => {
+    test('uses exactly the pinned year', () => {
+        const emissions = new Emissions({ energyMixYear: 2022, logger });
+        const latest = new Emissions({ logger });
+
+        expect(emissions.getCarbonIntensityDetails('FR').version).toBe('2022');
+        expect(latest.getCarbonIntensityDetails('FR').version).toBe(String(latest.dataset.get('FRA').year));
+    });
+
+    test('throws instead of falling back to the world average when the year is missing', () => {
+        const emissions = new Emissions({ energyMixYear: 1999, logger });
+
+        expect(() => emissions.getCarbonIntensityDetails('FR')).toThrow(ConfigError);
+        expect(() => emissions.getCarbonIntensityDetails('FR')).toThrow('not the pinned energyMixYear 1999');
+    });
+
+    test('reads a custom dataset file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-energymix-'));
+        try {
+            const dataset = new EnergyMixDataset();
+            dataset.set('FRA', 2030, { carbon_intensity: 20 }, 'France');
+            dataset.save(path.join(dir, 'mix.json'));
+
+            const emissions = new Emissions({ energyMixPath: path.join(dir, 'mix.json'), energyMixYear: 2030, logger });
+            expect(emissions.getCarbonIntensity('FR')).toBe(20);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('offline mode', () => {
+    const create = options => new EmissionsTracker({
+        config: false,
+        offline: true,
+        saveToFile: false,
+        handleSignals: false,
+        logger: logger,
+        ...options
+    });
+
+    test('needs an explicit location', () => {
+        expect(() => create()).toThrow('Offline mode needs countryCode');
+        expect(() => create({ countryCode: 'FR', detectCloud: true })).toThrow(ConfigError);
+    });
+
+    test('checks the pinned year when the tracker is created', () => {
+        expect(() => create({ countryCode: 'FR', energyMixYear: 1999 })).toThrow('not the pinned energyMixYear 1999');
+        expect(() => create({ countryCode: 'FR', energyMixYear: 2022 })).not.toThrow();
+    });
+
+    test('resolves the country of a cloud region', () => {
+        expect(() => create({ cloudProvider: 'gcp', cloudRegion: 'europe-west1' })).not.toThrow();
+        expect(() => create({ cloudProvider: 'ibm', cloudRegion: 'eu-de' })).toThrow(ConfigError);
+    });
+});
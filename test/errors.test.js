@@ -0,0 +1,84 @@
+const EmissionsTracker = require('../src/tracker');
+const { ConfigError, OutputError } = require('../src/errors');
+const Logger = require('../src/logger');
+
+describe('error handling', () => {
+    let warnings;
+    let logger;
+
+    beforeEach(() => {
+        warnings = [];
+        logger = new Logger({ logger: { info: () => {}, warn: message => warnings.push(message), error: () => {} } });
+    });
+
+    const broken = { name: 'broken', write: async () => { throw new Error('disk full'); } };
+
+    const create = (options = {}) => new EmissionsTracker({
+        config: false,
+        countryCode: 'FR',
+        measurePowerSecs: 3600,
+        handleSignals: false,
+        outputs: [() => {}],
+        logger: logger,
+        ...options
+    });
+
+    test('drops invalid options, falls back to the defaults and records them', async () => {
+        const tracker = create({ measurePowerSecs: -5, pue: 'high' });
+
+        expect(tracker.measurePowerInterval).toBe(15000);
+        expect(tracker.pue).toBe(1);
+        expect(warnings).toEqual([
+            'Ignoring invalid tracker option: "measurePowerSecs" must be greater than 0, got -5',
+            'Ignoring invalid tracker option: "pue" must be number, got string "high"'
+        ]);
+
+        await tracker.start();
+        await expect(tracker.stop()).resolves.toEqual(expect.any(Number));
+        expect(tracker.results.errors.map(error => [error.phase, error.name])).toEqual([
+            ['config', 'ConfigError'],
+            ['config', 'ConfigError']
+        ]);
+    });
+
+    test('throws invalid options in strict mode', () => {
+        expect(() => create({ measurePowerSecs: -5, strict: true })).toThrow(ConfigError);
+    });
+
+    test('records failed outputs in the results and keeps going', async () => {
+        const saved = [];
+        const tracker = create({ outputs: [broken, record => saved.push(record)] });
+
+        await tracker.start();
+        await expect(tracker.stop()).resolves.toEqual(expect.any(Number));
+
+        expect(saved).toHaveLength(1);
+        expect(tracker.results.errors).toEqual([expect.objectContaining({ phase: 'output', name: 'OutputError', code: 'GREENCARBON_OUTPUT' })]);
+    });
+
+    test('throws the first error from stop() in strict mode, once the results are saved', async () => {
+        const saved = [];
+        const tracker = create({ strict: true, outputs: [broken, record => saved.push(record)] });
+
+        await tracker.start();
+        await expect(tracker.stop()).rejects.toThrow(OutputError);
+
+        expect(saved).toHaveLength(1);
+        expect(tracker.isTracking).toBe(false);
+    });
+
+    test('a failed start leaves the tracker stopped, and only throws in strict mode', async () => {
+        const tracker = create();
+        jest.spyOn(tracker, 'initializeSystemInfo').mockRejectedValue(new Error('no hardware access'));
+
+        await expect(tracker.start()).resolves.toBeUndefined();
+        expect(tracker.isTracking).toBe(false);
+        expect(tracker.errors.map(error => error.phase)).toEqual(['start']);
+        await expect(tracker.stop()).resolves.toBeNull();
+
+        const strict = create({ strict: true });
+        jest.spyOn(strict, 'initializeSystemInfo').mockRejectedValue(new Error('no hardware access'));
+        await expect(strict.start()).rejects.toThrow('no hardware access');
+        expect(strict.isTracking).toBe(false);
+    });
+});
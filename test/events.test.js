@@ -0,0 +1,53 @@
+const EmissionsTracker = require('../src/tracker');
+
+describe('tracker events', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const create = (options = {}) => new EmissionsTracker({
+        countryCode: 'FR',
+        measurePowerSecs: 3600,
+        outputs: [() => {}],
+        ...options
+    });
+
+    test('emits start, measurement, flush and stop in order', async () => {
+        const tracker = create();
+        const events = [];
+        ['start', 'measurement', 'flush', 'stop'].forEach(name => tracker.on(name, payload => events.push({ name, payload })));
+
+        await tracker.start();
+        await tracker.stop();
+
+        expect(events.map(event => event.name)).toEqual(['start', 'measurement', 'measurement', 'flush', 'stop']);
+        expect(events[0].payload).toMatchObject({ runId: tracker.runId, locationInfo: { countryCode: 'FRA' } });
+        expect(events[1].payload).toHaveProperty('cpuPower');
+        expect(events[3].payload).toMatchObject({ live: false, outputs: [{ success: true }] });
+        expect(events[4].payload).toBe(tracker.results);
+    });
+
+    test('emits error for failed outputs, with the phase', async () => {
+        const tracker = create({ outputs: [{ name: 'broken', write: async () => { throw new Error('disk full'); } }] });
+        const errors = [];
+        tracker.on('error', (error, { phase }) => errors.push(`${phase}: ${error.cause.message}`));
+
+        await tracker.start();
+        await tracker.stop();
+
+        expect(errors).toEqual(['output: disk full']);
+    });
+
+    test('does not throw without an error listener', async () => {
+        const tracker = create({ outputs: [{ name: 'broken', write: async () => { throw new Error('disk full'); } }] });
+
+        await tracker.start();
+        await expect(tracker.stop()).resolves.toEqual(expect.any(Number));
+    });
+});
@@ -0,0 +1,167 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    StaticIntensityProvider,
+    TimeSeriesIntensityProvider,
+    HTTPIntensityProvider,
+    IntensityProviderChain
+} = require('../src/intensity');
+const Emissions = require('../src/emissions');
+const { IntensityLookupError } = require('../src/errors');
+
+/**
+ * HTTP intensity providers against a local stub API
+ */
+describe('HTTPIntensityProvider', () => {
+    let server;
+    let baseUrl;
+    let requests;
+    let respond;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requests.push({ url: req.url, headers: req.headers });
+            const { status, body } = respond(req);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        respond = () => ({ status: 200, body: { zone: 'FR', carbonIntensity: 42 } });
+    });
+
+    const location = { countryCode: 'FRA', countryAlpha2: 'FR', timestamp: Date.UTC(2024, 0, 15, 12, 0, 0) };
+
+    test('fills the URL placeholders and sends the API key', async () => {
+        const provider = new HTTPIntensityProvider({
+            url: `${baseUrl}/carbon-intensity/past?zone={zone}&datetime={datetime}`,
+            apiKey: 'secret'
+        });
+
+        expect(await provider.getIntensity(location)).toEqual({ carbonIntensity: 42, level: 'zone', source: 'http' });
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url).toBe('/carbon-intensity/past?zone=FR&datetime=2024-01-15T12%3A00%3A00.000Z');
+        expect(requests[0].headers['auth-token']).toBe('secret');
+    });
+
+    test('caches responses per zone and time bucket', async () => {
+        const provider = new HTTPIntensityProvider({ url: `${baseUrl}/{zone}`, cacheSecs: 300 });
+
+        await provider.getIntensity(location);
+        await provider.getIntensity({ ...location, timestamp: location.timestamp + 60 * 1000 });
+        await provider.getIntensity({ ...location, timestamp: location.timestamp + 600 * 1000 });
+
+        expect(requests).toHaveLength(2);
+    });
+
+    test('converts WattTime MOER from lbs/MWh', async () => {
+        respond = () => ({ status: 200, body: { data: [{ value: 1000 }], meta: { units: 'lbs_co2_per_mwh' } } });
+        const provider = new HTTPIntensityProvider({ url: `${baseUrl}/signal-index`, format: 'watttime', apiKey: 'token' });
+
+        const result = await provider.getIntensity(location);
+
+        expect(result.carbonIntensity).toBeCloseTo(453.59237);
+        expect(requests[0].headers.authorization).toBe('Bearer token');
+    });
+
+    test('uses a custom parser', async () => {
+        respond = () => ({ status: 200, body: { intensity: { actual: 180 } } });
+        const provider = new HTTPIntensityProvider({ url: `${baseUrl}/intensity`, parse: body => body.intensity.actual });
+
+        expect((await provider.getIntensity(location)).carbonIntensity).toBe(180);
+    });
+
+    test('throws on HTTP errors and responses without a value', async () => {
+        respond = () => ({ status: 503, body: {} });
+        await expect(new HTTPIntensityProvider({ url: `${baseUrl}/down` }).getIntensity(location))
+            .rejects.toThrow('HTTP 503');
+
+        respond = () => ({ status: 200, body: { zone: 'FR' } });
+        await expect(new HTTPIntensityProvider({ url: `${baseUrl}/empty` }).getIntensity(location))
+            .rejects.toThrow('No carbon intensity in response');
+    });
+
+    test('falls back to the next provider of the chain when the API fails', async () => {
+        respond = () => ({ status: 500, body: {} });
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const errors = [];
+        const chain = new IntensityProviderChain([
+            new HTTPIntensityProvider({ name: 'electricitymaps', url: `${baseUrl}/{zone}` }),
+            { name: 'fixed', getIntensity: async () => 300 }
+        ], { onError: error => errors.push(error) });
+
+        try {
+            const result = await chain.getIntensity(location);
+
+            expect(result).toEqual({ level: 'custom', source: 'fixed', carbonIntensity: 300, provider: 'fixed' });
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('"electricitymaps" failed'), expect.any(String));
+            expect(errors).toHaveLength(1);
+            expect(errors[0]).toBeInstanceOf(IntensityLookupError);
+            expect(errors[0].provider).toBe('electricitymaps');
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('TimeSeriesIntensityProvider', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-intensity-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const at = time => ({ countryCode: 'FRA', countryAlpha2: 'FR', timestamp: Date.parse(time) });
+
+    test('uses the latest value at or before the timestamp', async () => {
+        const file = path.join(dir, 'grid.csv');
+        fs.writeFileSync(file, [
+            'timestamp,carbon_intensity,zone',
+            '2024-01-15T12:00:00Z,40,FR',
+            '2024-01-15T11:00:00Z,60,FR',
+            '2024-01-15T11:00:00Z,400,DE'
+        ].join('\n'));
+        const provider = new TimeSeriesIntensityProvider({ file });
+
+        expect(await provider.getIntensity(at('2024-01-15T11:30:00Z'))).toEqual({ carbonIntensity: 60, level: 'time_series', source: 'grid.csv' });
+        expect((await provider.getIntensity(at('2024-01-15T12:10:00Z'))).carbonIntensity).toBe(40);
+        expect(await provider.getIntensity(at('2024-01-15T10:00:00Z'))).toBeNull();
+    });
+
+    test('returns null after a gap longer than maxGapSecs', async () => {
+        const file = path.join(dir, 'grid.json');
+        fs.writeFileSync(file, JSON.stringify({ data: [{ timestamp: '2024-01-15T12:00:00Z', carbon_intensity: 40 }] }));
+        const provider = new TimeSeriesIntensityProvider({ file, maxGapSecs: 600 });
+
+        expect((await provider.getIntensity(at('2024-01-15T12:05:00Z'))).carbonIntensity).toBe(40);
+        expect(await provider.getIntensity(at('2024-01-15T12:15:00Z'))).toBeNull();
+    });
+});
+
+describe('StaticIntensityProvider', () => {
+    test('returns the annual average of the location', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const provider = new StaticIntensityProvider({ emissions: new Emissions() });
+
+            expect(await provider.getIntensity({ countryCode: 'USA', region: 'CA' })).toEqual({ carbonIntensity: 200, level: 'region', source: expect.any(String), version: '2021' });
+            expect(await new StaticIntensityProvider({ carbonIntensity: 123 }).getIntensity({})).toMatchObject({ carbonIntensity: 123, level: 'static' });
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,69 @@
+const Logger = require('../src/logger');
+const { ConfigError } = require('../src/errors');
+
+/**
+ * Console stand-in recording the calls per method
+ */
+function fakeConsole() {
+    const calls = [];
+    const record = method => (...args) => calls.push([method, ...args]);
+    return { calls, log: record('log'), warn: record('warn'), error: record('error') };
+}
+
+describe('Logger', () => {
+    test('only writes messages at or above its level', () => {
+        const output = fakeConsole();
+        const logger = new Logger({ level: 'WARN', console: output });
+
+        logger.debug('🔍 probing');
+        logger.info('🚀 starting');
+        logger.warn('⚠️  slow disk');
+        logger.error('❌ failed', { error: new Error('disk full') });
+
+        expect(output.calls).toEqual([
+            ['warn', '⚠️  slow disk'],
+            ['error', '❌ failed', 'disk full']
+        ]);
+        expect(new Logger({ level: 'silent' }).isLevelEnabled('error')).toBe(false);
+    });
+
+    test('rejects unknown levels and formats', () => {
+        expect(() => new Logger({ level: 'verbose' })).toThrow(ConfigError);
+        expect(() => new Logger({ format: 'xml' })).toThrow('Invalid log format "xml"');
+    });
+
+    test('writes timestamped text lines without emoji', () => {
+        const output = fakeConsole();
+        new Logger({ format: 'text', console: output }).warn('⚠️  Failed to save checkpoint:', { error: new Error('disk full') });
+
+        expect(output.calls[0][0]).toBe('warn');
+        expect(output.calls[0][1]).toMatch(/^\d{4}-\d{2}-\d{2}T\S+ WARN  Failed to save checkpoint: disk full$/);
+    });
+
+    test('writes one JSON object per line with the fields of child loggers', () => {
+        const output = fakeConsole();
+        const logger = new Logger({ format: 'json', console: output }).child({ runId: 'run-1' });
+
+        logger.error('❌ Failed to stop emissions tracking:', { error: new ConfigError('bad option') });
+
+        const entry = JSON.parse(output.calls[0][1]);
+        expect(entry).toMatchObject({
+            level: 'error',
+            msg: 'Failed to stop emissions tracking:',
+            runId: 'run-1',
+            error: { name: 'ConfigError', code: 'GREENCARBON_CONFIG', message: 'bad option' }
+        });
+    });
+
+    test('passes messages and fields to injected loggers in their argument order', () => {
+        const winston = { calls: [], info(...args) { this.calls.push(args); } };
+        const pino = { calls: [], bindings: () => ({}), warn(...args) { this.calls.push(args); } };
+        const error = new Error('timeout');
+
+        new Logger({ logger: winston }).info('📍 Location detected', { countryCode: 'FRA' });
+        new Logger({ logger: pino }).warn('⚠️  Request failed', { error });
+
+        expect(winston.calls).toEqual([['Location detected', { countryCode: 'FRA' }]]);
+        expect(pino.calls).toEqual([[{ err: error }, 'Request failed']]);
+    });
+});
@@ -0,0 +1,96 @@
+const http = require('http');
+const EmissionsTracker = require('../src/tracker');
+const PrometheusExporter = require('../src/metrics');
+const Logger = require('../src/logger');
+
+const logger = new Logger({ level: 'silent' });
+
+function get(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path, headers }, res => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+        }).on('error', reject);
+    });
+}
+
+describe('PrometheusExporter', () => {
+    const tracker = {
+        projectName: 'api "v2"',
+        locationInfo: { countryCode: 'FRA' },
+        runId: 'run-1',
+        totalCpuEnergy: 0.002,
+        totalRamEnergy: 0.0005,
+        totalGpuEnergy: 0,
+        totalEnergy: 0.0025,
+        totalEmissions: 0.00014
+    };
+    const measurement = { cpuPower: 42, ramPower: 3, gpuPower: 0, cpuUsage: 55, carbonIntensity: 56 };
+
+    let exporter;
+    let port;
+
+    beforeEach(async () => {
+        exporter = new PrometheusExporter({ logger });
+        exporter.update(tracker, measurement);
+        port = await exporter.listen(0);
+    });
+
+    afterEach(async () => {
+        await exporter.close();
+    });
+
+    test('serves the Prometheus text format on 127.0.0.1', async () => {
+        const response = await get(port, '/metrics');
+
+        expect(exporter.server.address().address).toBe('127.0.0.1');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toContain('version=0.0.4');
+        expect(response.body).toContain('# TYPE greencarbon_emissions_kg_total counter');
+        expect(response.body).toContain('greencarbon_cpu_power_watts{project="api \\"v2\\"",country="FRA",run_id="run-1"} 42');
+        expect(response.body.endsWith('# EOF\n')).toBe(false);
+    });
+
+    test('answers in OpenMetrics when the scraper accepts it', async () => {
+        const response = await get(port, '/metrics', { Accept: 'application/openmetrics-text' });
+
+        expect(response.headers['content-type']).toContain('application/openmetrics-text');
+        expect(response.body).toContain('# TYPE greencarbon_emissions_kg counter');
+        expect(response.body.endsWith('# EOF\n')).toBe(true);
+    });
+
+    test('answers 404 outside the metrics path', async () => {
+        expect((await get(port, '/other')).status).toBe(404);
+    });
+
+    test('keeps at most maxRuns series, dropping the oldest', () => {
+        const small = new PrometheusExporter({ maxRuns: 2, logger });
+        ['a', 'b', 'c'].forEach(runId => small.update({ ...tracker, runId }, measurement));
+
+        expect([...small.series.keys()]).toEqual(['b', 'c']);
+    });
+});
+
+describe('metrics option', () => {
+    test('removes the series of a run when its tracker stops', async () => {
+        const exporter = new PrometheusExporter({ logger });
+        const tracker = new EmissionsTracker({
+            config: false,
+            countryCode: 'FR',
+            saveToFile: false,
+            handleSignals: false,
+            measurePowerSecs: 3600,
+            metrics: exporter,
+            logger: logger
+        });
+
+        await tracker.start();
+        await tracker.measurePowerAndEnergy();
+        expect(exporter.render()).toContain(`run_id="${tracker.runId}"`);
+
+        await tracker.stop();
+        expect(exporter.series.size).toBe(0);
+        expect(exporter.render()).not.toContain(tracker.runId);
+    });
+});
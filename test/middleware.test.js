@@ -0,0 +1,96 @@
+const http = require('http');
+const RequestEmissions = require('../src/middleware');
+const Logger = require('../src/logger');
+
+/**
+ * Tracker stand-in with a fixed measurement and settable energy totals (kWh)
+ */
+function fakeTracker() {
+    return {
+        isTracking: true,
+        projectName: 'api',
+        runId: 'run-1',
+        pue: 1,
+        totalEnergy: 0,
+        totalEmissions: 0,
+        systemInfo: { cpu: { threads: 4 } },
+        measurements: [{ cpuUsage: 50, cpuPower: 40, carbonIntensity: 400 }],
+        snapshot: { ram: 0, gpu: 0, other: 0 },
+        logger: new Logger({ level: 'silent' }),
+        start: async () => {},
+        getEnergySnapshot() { return this.snapshot; }
+    };
+}
+
+describe('RequestEmissions', () => {
+    let requestEmissions;
+    let tracker;
+
+    beforeEach(() => {
+        tracker = fakeTracker();
+        requestEmissions = new RequestEmissions({ tracker, header: true, statsPath: '/_emissions' });
+        requestEmissions.getProcessCpuTime = () => 0;
+    });
+
+    test('splits the non-CPU energy evenly between the requests in flight', () => {
+        const first = requestEmissions.begin('GET');
+        const second = requestEmissions.begin('POST');
+        tracker.snapshot = { ram: 0.002, gpu: 0, other: 0 };
+
+        expect(requestEmissions.measure(first).energy).toBeCloseTo(0.001);
+        expect(requestEmissions.end(second, '/orders', 201).emissions).toBeCloseTo(0.0004);
+        expect(requestEmissions.getStats()).toEqual([expect.objectContaining({ method: 'POST', route: '/orders', count: 1 })]);
+    });
+
+    test('puts the values in the Server-Timing desc, not in dur', () => {
+        const header = requestEmissions.formatHeader({ energy: 0.00001234, emissions: 0.000001234 });
+
+        expect(header).toBe('energy;desc="0.01234 Wh", co2;desc="1.234 mg"');
+        expect(header).not.toContain('dur=');
+    });
+
+    describe('express()', () => {
+        let server;
+        let port;
+
+        beforeEach(async () => {
+            const middleware = requestEmissions.express();
+            server = http.createServer((req, res) => middleware(req, res, () => {
+                // What Express sets once a route matched
+                req.route = { path: '/users/:id' };
+                res.setHeader('Server-Timing', 'db;dur=12');
+                res.writeHead(200);
+                res.end('ok');
+            }));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            port = server.address().port;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const get = path => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path }, res => {
+                let body = '';
+                res.on('data', chunk => { body += chunk; });
+                res.on('end', () => resolve({ headers: res.headers, body }));
+            }).on('error', reject);
+        });
+
+        test('appends the entries to an existing Server-Timing header', async () => {
+            const response = await get('/users/42');
+
+            expect(response.headers['server-timing']).toMatch(/^db;dur=12, energy;desc="[\d.e+-]+ Wh", co2;desc="[\d.e+-]+ mg"$/);
+        });
+
+        test('aggregates requests by route pattern and serves the stats', async () => {
+            await get('/users/1');
+            await get('/users/2?full=1');
+
+            const stats = JSON.parse((await get('/_emissions')).body);
+            expect(stats.routes).toEqual([expect.objectContaining({ method: 'GET', route: '/users/:id', count: 2, errors: 0 })]);
+            expect(stats.inFlight).toBe(0);
+        });
+    });
+});
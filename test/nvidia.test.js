@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const NvidiaSMI = require('../src/nvidia');
+
+const OUTPUT = fs.readFileSync(path.join(__dirname, 'fixtures', 'nvidia-smi-query.csv'), 'utf8');
+
+describe('NvidiaSMI', () => {
+    test('parses the query output with units and [N/A] values', () => {
+        const gpus = new NvidiaSMI({ gpuIds: null }).parseQueryOutput(OUTPUT);
+
+        expect(gpus).toHaveLength(3);
+        expect(gpus[1]).toEqual({
+            index: 1,
+            uuid: 'GPU-f0e1d2c3-b4a5-9687-7869-5a4b3c2d1e0f',
+            name: 'NVIDIA A100-SXM4-40GB',
+            power: 245.8,
+            powerLimit: 400,
+            maxPowerLimit: 400,
+            utilization: 97,
+            memoryUtilization: 41,
+            memoryUsed: 30112,
+            memoryTotal: 40960,
+            temperature: 61
+        });
+        expect(gpus[2].power).toBe(0);
+        expect(gpus[2].powerLimit).toBeNull();
+    });
+
+    test('parses output without a header in the query field order', () => {
+        const rows = OUTPUT.split('\n').slice(1).join('\r\n');
+        const gpus = new NvidiaSMI({ gpuIds: null }).parseQueryOutput(rows);
+
+        expect(gpus.map(gpu => gpu.power)).toEqual([61.25, 245.8, 0]);
+    });
+
+    test('returns no GPUs for empty output', () => {
+        expect(new NvidiaSMI({ gpuIds: null }).parseQueryOutput('\n')).toEqual([]);
+    });
+
+    test('selects GPUs by index or UUID prefix', () => {
+        const gpus = new NvidiaSMI({ gpuIds: null }).parseQueryOutput(OUTPUT);
+
+        expect(new NvidiaSMI({ gpuIds: '0,2' }).filterGpus(gpus).map(gpu => gpu.index)).toEqual([0, 2]);
+        expect(new NvidiaSMI({ gpuIds: ['GPU-f0e1'] }).filterGpus(gpus).map(gpu => gpu.index)).toEqual([1]);
+    });
+
+    test('reads CUDA_VISIBLE_DEVICES by default', () => {
+        const previous = process.env.CUDA_VISIBLE_DEVICES;
+        process.env.CUDA_VISIBLE_DEVICES = '1, 3';
+        try {
+            expect(new NvidiaSMI().gpuIds).toEqual(['1', '3']);
+        } finally {
+            if (previous === undefined) delete process.env.CUDA_VISIBLE_DEVICES;
+            else process.env.CUDA_VISIBLE_DEVICES = previous;
+        }
+    });
+
+    describe('with a fake nvidia-smi command', () => {
+        let dir;
+        let command;
+
+        beforeAll(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-nvidia-'));
+            command = path.join(dir, 'nvidia-smi');
+            fs.writeFileSync(command, `#!/bin/sh\ncat "${path.join(__dirname, 'fixtures', 'nvidia-smi-query.csv')}"\n`, { mode: 0o755 });
+        });
+
+        afterAll(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('totals the power of the selected GPUs', async () => {
+            const nvidia = new NvidiaSMI({ command, gpuIds: '0,1' });
+
+            expect(await nvidia.isAvailable()).toBe(true);
+            const readings = await nvidia.getGPUReadings();
+            expect(readings.count).toBe(2);
+            expect(readings.power).toBeCloseTo(307.05);
+            expect(readings.models).toEqual(['NVIDIA A100-SXM4-40GB', 'NVIDIA A100-SXM4-40GB']);
+        });
+
+        test('is unavailable when the command is missing', async () => {
+            const nvidia = new NvidiaSMI({ command: path.join(dir, 'missing'), gpuIds: null });
+
+            expect(await nvidia.isAvailable()).toBe(false);
+        });
+    });
+});
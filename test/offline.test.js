@@ -0,0 +1,52 @@
+const EmissionsTracker = require('../src/tracker');
+const { ConfigError } = require('../src/errors');
+const Logger = require('../src/logger');
+
+describe('offline mode', () => {
+    const create = options => new EmissionsTracker({
+        config: false,
+        measurePowerSecs: 3600,
+        handleSignals: false,
+        logger: new Logger({ level: 'silent' }),
+        offline: true,
+        ...options
+    });
+
+    test('needs an explicit, known location', () => {
+        expect(() => create({ saveToFile: false })).toThrow(ConfigError);
+        expect(() => create({ saveToFile: false })).toThrow('Offline mode needs countryCode');
+        expect(() => create({ countryCode: 'Atlantis', saveToFile: false })).toThrow('Unknown country "Atlantis"');
+        expect(() => create({ countryCode: 'US', region: 'Gotham', saveToFile: false })).toThrow('Unknown region "Gotham" for USA');
+        expect(() => create({ countryCode: 'FR', detectCloud: true, saveToFile: false })).toThrow('detectCloud can\'t be used offline');
+    });
+
+    test('never detects the location and records the dataset in the output rows', async () => {
+        const saved = [];
+        const tracker = create({ countryCode: 'FR', energyMixYear: 2023, outputs: [record => saved.push(record)] });
+        const detect = jest.spyOn(tracker.geography, 'detectLocation');
+
+        await tracker.start();
+        await tracker.stop();
+
+        expect(detect).not.toHaveBeenCalled();
+        expect(tracker.results).toMatchObject({ offline: true, countryCode: 'FRA', carbonIntensityVersion: '2023' });
+        expect(saved[0]).toMatchObject({ country_iso_code: 'FRA', carbon_intensity_version: '2023' });
+        expect(saved[0].carbon_intensity_source).not.toBe('');
+    });
+});
+
+describe('energyMixYear', () => {
+    test('throws instead of falling back to the world average when the year is missing', () => {
+        const create = countryCode => new EmissionsTracker({
+            config: false,
+            countryCode: countryCode,
+            energyMixYear: 2023,
+            saveToFile: false,
+            logger: new Logger({ level: 'silent' })
+        });
+
+        expect(create('FR').energyMixYear).toBe(2023);
+        // Only 2021 and 2022 data for Afghanistan
+        expect(() => create('AF')).toThrow('Energy mix data for AFG covers 2021, 2022, not the pinned energyMixYear 2023');
+    });
+});
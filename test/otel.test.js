@@ -0,0 +1,110 @@
+const OpenTelemetryIntegration = require('../src/otel');
+const { utils } = require('../index');
+
+// Minimal stand-ins for the @opentelemetry/api Meter, Tracer and Span
+function createMeter() {
+    const instruments = {};
+    const create = kind => (name, options) => {
+        instruments[name] = { kind, options, callbacks: [] };
+        return { addCallback: callback => instruments[name].callbacks.push(callback) };
+    };
+    const collect = name => {
+        const observations = [];
+        instruments[name].callbacks.forEach(callback => callback({ observe: (value, attributes) => observations.push({ value, attributes }) }));
+        return observations;
+    };
+    return { instruments, collect, createObservableCounter: create('counter'), createObservableGauge: create('gauge') };
+}
+
+function createSpan() {
+    return {
+        attributes: {},
+        ended: false,
+        setAttributes(attributes) { Object.assign(this.attributes, attributes); },
+        recordException(error) { this.exception = error; },
+        setStatus(status) { this.status = status; },
+        end() { this.ended = true; }
+    };
+}
+
+const tracker = {
+    projectName: 'api',
+    runId: 'run-1',
+    locationInfo: { countryCode: 'FRA' },
+    totalCpuEnergy: 0.002,
+    totalRamEnergy: 0.0005,
+    totalGpuEnergy: 0,
+    totalEnergy: 0.0025,
+    totalEmissions: 0.00014
+};
+const measurement = { cpuPower: 42, ramPower: 3, gpuPower: 0, carbonIntensity: 56 };
+
+describe('OpenTelemetryIntegration', () => {
+    test('reports the latest totals of each run through observable instruments', () => {
+        const meter = createMeter();
+        const telemetry = new OpenTelemetryIntegration({ meter });
+
+        telemetry.update(tracker, measurement);
+        telemetry.update({ ...tracker, totalEmissions: 0.0002 }, measurement);
+
+        expect(Object.keys(meter.instruments)).toHaveLength(OpenTelemetryIntegration.METRICS.length);
+        expect(meter.instruments['greencarbon.emissions']).toMatchObject({ kind: 'counter', options: { unit: 'kg' } });
+        expect(meter.instruments['greencarbon.cpu.power'].kind).toBe('gauge');
+        expect(meter.collect('greencarbon.emissions')).toEqual([{
+            value: 0.0002,
+            attributes: { 'greencarbon.project': 'api', 'greencarbon.country': 'FRA', 'greencarbon.run_id': 'run-1' }
+        }]);
+    });
+
+    test('keeps at most maxRuns runs', () => {
+        const telemetry = new OpenTelemetryIntegration({ maxRuns: 2 });
+        ['a', 'b', 'c'].forEach(runId => telemetry.update({ ...tracker, runId }, measurement));
+
+        expect([...telemetry.snapshots.keys()]).toEqual(['b', 'c']);
+    });
+
+    test('leaves missing results out of the span attributes', () => {
+        const attributes = new OpenTelemetryIntegration({ prefix: 'carbon' })
+            .getSpanAttributes({ projectName: 'api', runId: 'run-1', emissions: 0.001, countryCode: null });
+
+        expect(attributes).toEqual({ 'carbon.project': 'api', 'carbon.run_id': 'run-1', 'carbon.emissions_kg': 0.001 });
+    });
+
+    test('annotates the span with the results and records failures', async () => {
+        const span = createSpan();
+        const tracer = { startActiveSpan: (name, fn) => { span.name = name; return fn(span); } };
+        const telemetry = new OpenTelemetryIntegration({ tracer });
+        const run = { results: { projectName: 'api', emissions: 0.001 } };
+
+        await expect(telemetry.withSpan('train', run, async () => { throw new Error('out of memory'); }))
+            .rejects.toThrow('out of memory');
+
+        expect(span.name).toBe('train');
+        expect(span.attributes['greencarbon.emissions_kg']).toBe(0.001);
+        expect(span.exception.message).toBe('out of memory');
+        expect(span.status).toEqual({ code: 2, message: 'out of memory' });
+        expect(span.ended).toBe(true);
+    });
+});
+
+describe('withTracking', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('annotates an existing span without ending it', async () => {
+        const span = createSpan();
+
+        const { result } = await utils.withTracking(async () => 'done', { span, countryCode: 'FR', saveToFile: false, projectName: 'job' });
+
+        expect(result).toBe('done');
+        expect(span.attributes).toMatchObject({ 'greencarbon.project': 'job', 'greencarbon.country': 'FRA' });
+        expect(span.attributes['greencarbon.energy_kwh']).toBeGreaterThanOrEqual(0);
+        expect(span.ended).toBe(false);
+    });
+});
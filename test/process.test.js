@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProcessMonitor = require('../src/process');
+const EmissionsTracker = require('../src/tracker');
+
+/**
+ * Processes in a fake /proc tree (utime and stime in clock ticks, RSS in kB)
+ */
+function addProcess(procPath, pid, { name = 'node', utime = 0, stime = 0, rssKb = 0, children = [] } = {}) {
+    const dir = path.join(procPath, String(pid));
+    fs.mkdirSync(path.join(dir, 'task', String(pid)), { recursive: true });
+    const fields = ['S', '1', '1', '1', '0', '-1', '0', '0', '0', '0', '0', String(utime), String(stime)];
+    fs.writeFileSync(path.join(dir, 'stat'), `${pid} (${name}) ${fields.join(' ')} 0 0 20 0\n`);
+    fs.writeFileSync(path.join(dir, 'status'), `Name:\t${name}\nVmRSS:\t  ${rssKb} kB\n`);
+    fs.writeFileSync(path.join(dir, 'task', String(pid), 'children'), children.join(' '));
+}
+
+describe('ProcessMonitor', () => {
+    let procPath;
+
+    beforeEach(() => {
+        procPath = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-proc-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(procPath, { recursive: true, force: true });
+    });
+
+    test('reads CPU time and RSS, even with spaces in the command name', () => {
+        addProcess(procPath, 42, { name: 'npm run (build)', utime: 250, stime: 50, rssKb: 2048 });
+
+        expect(new ProcessMonitor({ procPath }).readProcStat(42)).toEqual({ cpuTime: 3, rss: 2048 * 1024 });
+        expect(new ProcessMonitor({ procPath }).readProcStat(43)).toBeNull();
+    });
+
+    test('follows children recursively when includeChildren is set', () => {
+        addProcess(procPath, 10, { children: [11] });
+        addProcess(procPath, 11, { children: [12] });
+        addProcess(procPath, 12);
+
+        expect(new ProcessMonitor({ pid: 10, procPath, includeChildren: true }).getTrackedPids()).toEqual([11, 12]);
+        expect(new ProcessMonitor({ pid: 10, procPath, childPids: [12] }).getTrackedPids()).toEqual([12]);
+    });
+
+    test('measures the share of machine CPU time and used memory', () => {
+        const monitor = new ProcessMonitor();
+        const samples = [
+            { cpuTime: 1, rss: 100, children: {}, machineCpuTime: 10, machineMemoryUsed: 1000 },
+            { cpuTime: 2, rss: 100, children: { 7: { cpuTime: 1, rss: 300 } }, machineCpuTime: 18, machineMemoryUsed: 1000 }
+        ];
+        monitor.sample = () => samples.shift();
+        monitor.start();
+
+        const share = monitor.measureShare();
+
+        expect(share.cpuShare).toBeCloseTo(0.25); // (1 + 1 new child) / 8
+        expect(share.ramShare).toBeCloseTo(0.4);
+        expect(share.pids).toEqual([process.pid, 7]);
+    });
+
+    test('keeps shares between 0 and 1', () => {
+        const monitor = new ProcessMonitor();
+
+        expect(monitor.clampShare(1.7)).toBe(1);
+        expect(monitor.clampShare(-0.2)).toBe(0);
+    });
+});
+
+describe('process tracking mode', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('falls back to machine mode for unknown tracking modes unless strict', () => {
+        expect(new EmissionsTracker({ saveToFile: false, trackingMode: 'container' }).trackingMode).toBe('machine');
+        expect(() => new EmissionsTracker({ saveToFile: false, trackingMode: 'container', strict: true }))
+            .toThrow('"trackingMode" must be one of machine, process, got "container"');
+    });
+
+    test('scales power and measured energy by the process share', () => {
+        const tracker = new EmissionsTracker({ saveToFile: false, trackingMode: 'process' });
+
+        expect(tracker.applyShare({ power: 80, energy: 0.002, provider: 'rapl' }, 0.25)).toEqual({
+            power: 20,
+            energy: 0.0005,
+            provider: 'rapl',
+            machinePower: 80,
+            share: 0.25
+        });
+    });
+});
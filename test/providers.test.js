@@ -0,0 +1,96 @@
+const {
+    PowerProvider,
+    ConstantProvider,
+    ExternalMeterProvider,
+    PowerProviderRegistry
+} = require('../src/providers');
+const EmissionsTracker = require('../src/tracker');
+
+beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PowerProviderRegistry', () => {
+    test('measures with the first available provider', async () => {
+        const registry = new PowerProviderRegistry();
+        registry.register('cpu', { name: 'offline', isAvailable: async () => false, measure: async () => ({ power: 1 }) });
+        registry.register('cpu', new ConstantProvider({ name: 'rated', power: 40 }));
+        registry.register('cpu', () => 99);
+
+        expect(await registry.measure('cpu')).toEqual({ power: 40, provider: 'rated', confidence: 'medium' });
+    });
+
+    test('skips a provider for good once it fails', async () => {
+        const registry = new PowerProviderRegistry();
+        const failing = jest.fn(async () => { throw new Error('meter offline'); });
+        registry.register('other', { name: 'meter', measure: failing });
+        registry.register('other', () => 12);
+
+        await registry.measure('other');
+        const measurement = await registry.measure('other');
+
+        expect(measurement).toMatchObject({ power: 12, provider: 'callback' });
+        expect(failing).toHaveBeenCalledTimes(1);
+    });
+
+    test('prepends providers and reports none without one', async () => {
+        const registry = new PowerProviderRegistry();
+        registry.register('gpu', () => 100);
+        registry.register('gpu', new ConstantProvider({ name: 'first', power: 200 }), { prepend: true });
+
+        expect((await registry.measure('gpu')).provider).toBe('first');
+        expect(await registry.measure('ram')).toEqual({ power: 0, provider: 'none', confidence: 'none' });
+    });
+
+    test('rejects unknown components and providers without measure()', () => {
+        const registry = new PowerProviderRegistry();
+
+        expect(() => registry.register('disk', () => 1)).toThrow('Unknown power component "disk"');
+        expect(() => registry.register('cpu', { name: 'broken' })).toThrow('must implement measure()');
+        expect(() => new ConstantProvider({ power: -1 })).toThrow('non-negative power');
+        expect(new PowerProvider().measure()).rejects.toThrow('does not implement measure()');
+    });
+});
+
+describe('ExternalMeterProvider', () => {
+    test('converts the cumulative meter reading to energy since the previous one', async () => {
+        const readings = [1000, 1002.5];
+        const meter = new ExternalMeterProvider({ read: async () => ({ energyWh: readings.shift() }) });
+
+        expect(await meter.measure()).toEqual({ power: 0, energy: 0 });
+        meter.lastReading.time -= 10000;
+        const measurement = await meter.measure();
+
+        expect(measurement.energy).toBeCloseTo(0.0025);
+        expect(measurement.power).toBeCloseTo(900, 0);
+    });
+});
+
+describe('tracker providers', () => {
+    test('orders overrides, custom providers, then the built-in sources', () => {
+        const meter = { name: 'smart-plug', measure: async () => ({ power: 30 }) };
+        const tracker = new EmissionsTracker({
+            saveToFile: false,
+            forceCpuPower: 65,
+            useRapl: false,
+            powerProviders: { other: meter }
+        });
+        const names = component => tracker.powerProviders.getProviders(component).map(provider => provider.name);
+
+        expect(names('cpu')).toEqual(['forced', 'tdp']);
+        expect(names('ram')).toEqual(['ram-slots']);
+        expect(names('other')).toEqual(['smart-plug']);
+    });
+
+    test('tries RAPL before the estimates when enabled', () => {
+        const tracker = new EmissionsTracker({ saveToFile: false, raplPath: '/nonexistent' });
+        const names = component => tracker.powerProviders.getProviders(component).map(provider => provider.name);
+
+        expect(names('cpu')).toEqual(['rapl', 'tdp']);
+        expect(names('ram')).toEqual(['rapl', 'ram-slots']);
+    });
+});
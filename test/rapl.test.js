@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RAPLReader = require('../src/rapl');
+const { RAPLProvider } = require('../src/providers');
+
+/**
+ * RAPL counters read from a fake powercap tree (same layout as /sys/class/powercap)
+ */
+function addDomain(basePath, id, name, energy, maxEnergyRange = 262143328850) {
+    const dir = path.join(basePath, id);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'name'), `${name}\n`);
+    fs.writeFileSync(path.join(dir, 'energy_uj'), `${energy}\n`);
+    fs.writeFileSync(path.join(dir, 'max_energy_range_uj'), `${maxEnergyRange}\n`);
+}
+
+function setEnergy(basePath, id, energy) {
+    fs.writeFileSync(path.join(basePath, id, 'energy_uj'), `${energy}\n`);
+}
+
+describe('RAPLReader', () => {
+    let basePath;
+
+    beforeEach(() => {
+        basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-rapl-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    });
+
+    test('discovers RAPL domains and their types', () => {
+        addDomain(basePath, 'intel-rapl:0', 'package-0', 1000);
+        addDomain(basePath, 'intel-rapl:0:0', 'core', 500);
+        addDomain(basePath, 'intel-rapl:0:2', 'dram', 200);
+        fs.mkdirSync(path.join(basePath, 'intel-rapl:1')); // No energy_uj
+        addDomain(basePath, 'dtpm', 'dtpm', 0);
+
+        const reader = new RAPLReader({ basePath });
+
+        expect(reader.isAvailable()).toBe(true);
+        expect(reader.domains.map(domain => [domain.id, domain.type])).toEqual([
+            ['intel-rapl:0', 'package'],
+            ['intel-rapl:0:0', 'core'],
+            ['intel-rapl:0:2', 'dram']
+        ]);
+    });
+
+    test('is unavailable without a powercap directory', () => {
+        const reader = new RAPLReader({ basePath: path.join(basePath, 'missing') });
+
+        expect(reader.isAvailable()).toBe(false);
+        expect(() => reader.readEnergy()).toThrow('No readable RAPL domains');
+    });
+
+    test('reports energy since the previous reading, counting package domains only once', () => {
+        addDomain(basePath, 'intel-rapl:0', 'package-0', 1000000);
+        addDomain(basePath, 'intel-rapl:0:0', 'core', 500000);
+        addDomain(basePath, 'intel-rapl:0:2', 'dram', 200000);
+        const reader = new RAPLReader({ basePath });
+
+        const baseline = reader.readEnergy();
+        expect(baseline.isBaseline).toBe(true);
+        expect(baseline.cpuEnergy).toBe(0);
+
+        setEnergy(basePath, 'intel-rapl:0', 31000000);
+        setEnergy(basePath, 'intel-rapl:0:0', 20500000);
+        setEnergy(basePath, 'intel-rapl:0:2', 5200000);
+        const reading = reader.readEnergy();
+
+        expect(reading.isBaseline).toBe(false);
+        expect(reading.cpuEnergy).toBeCloseTo(30); // J, package only
+        expect(reading.dramEnergy).toBeCloseTo(5);
+        expect(reading.elapsed).toBeGreaterThan(0);
+    });
+
+    test('adds core and uncore without a package domain', () => {
+        addDomain(basePath, 'intel-rapl:0', 'core', 0);
+        addDomain(basePath, 'intel-rapl:1', 'uncore', 0);
+        const reader = new RAPLReader({ basePath });
+        reader.readEnergy();
+
+        setEnergy(basePath, 'intel-rapl:0', 4000000);
+        setEnergy(basePath, 'intel-rapl:1', 1000000);
+
+        expect(reader.readEnergy().cpuEnergy).toBeCloseTo(5);
+    });
+
+    test('handles counter wraparound with max_energy_range_uj', () => {
+        addDomain(basePath, 'intel-rapl:0', 'package-0', 9000000, 10000000);
+        const reader = new RAPLReader({ basePath });
+        reader.readEnergy();
+
+        setEnergy(basePath, 'intel-rapl:0', 2000000);
+
+        expect(reader.readEnergy().cpuEnergy).toBeCloseTo(3);
+    });
+});
+
+describe('RAPLProvider', () => {
+    let basePath;
+
+    beforeEach(() => {
+        basePath = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-rapl-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(basePath, { recursive: true, force: true });
+    });
+
+    test('measures the DRAM domain in kWh', async () => {
+        addDomain(basePath, 'intel-rapl:0', 'package-0', 0);
+        addDomain(basePath, 'intel-rapl:0:2', 'dram', 0);
+        const provider = new RAPLProvider({ domain: 'dram', basePath });
+
+        expect(await provider.isAvailable()).toBe(true);
+        await provider.measure();
+        setEnergy(basePath, 'intel-rapl:0', 7200000000);
+        setEnergy(basePath, 'intel-rapl:0:2', 3600000000);
+
+        const measurement = await provider.measure();
+        expect(measurement.energy).toBeCloseTo(0.001); // 3600 J
+        expect(measurement.power).toBeGreaterThan(0);
+    });
+
+    test('DRAM is unavailable when only package domains are exposed', async () => {
+        addDomain(basePath, 'intel-rapl:0', 'package-0', 0);
+
+        expect(await new RAPLProvider({ basePath }).isAvailable()).toBe(true);
+        expect(await new RAPLProvider({ domain: 'dram', basePath }).isAvailable()).toBe(false);
+    });
+});
@@ -0,0 +1,48 @@
+const RegionResolver = require('../src/regions');
+const Emissions = require('../src/emissions');
+
+describe('RegionResolver', () => {
+    const resolver = new RegionResolver();
+
+    test('resolves region codes, ISO 3166-2 codes and names', () => {
+        expect(resolver.resolve('USA', 'CA')).toMatchObject({ code: 'CA', name: 'California', type: 'state', carbonIntensity: 200 });
+        expect(resolver.resolve('USA', 'us-ca', 'US').code).toBe('CA');
+        expect(resolver.resolve('USA', 'california').code).toBe('CA');
+        expect(resolver.resolve('USA', 'CAMX').type).toBe('egrid_subregion');
+    });
+
+    test('rejects a subdivision prefix of another country', () => {
+        expect(resolver.resolve('USA', 'CA-QC', 'US')).toBeNull();
+        expect(resolver.resolve('CAN', 'CA-QC', 'CA').code).toBe('QC');
+    });
+
+    test('returns null for countries and regions without data', () => {
+        expect(resolver.resolve('FRA', 'IDF')).toBeNull();
+        expect(resolver.resolve('USA', 'Atlantis')).toBeNull();
+        expect(resolver.resolve('USA', null)).toBeNull();
+    });
+});
+
+describe('regional carbon intensity', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('prefers the region over the country average', () => {
+        const emissions = new Emissions();
+
+        expect(emissions.getCarbonIntensityDetails('US', 'CA')).toMatchObject({ carbonIntensity: 200, level: 'region', countryCode: 'USA', region: 'CA' });
+        expect(emissions.calculateEmissions(10, 'US', 'CA')).toBeCloseTo(2);
+    });
+
+    test('falls back to the country, then the world average', () => {
+        const emissions = new Emissions();
+
+        expect(emissions.getCarbonIntensityDetails('USA', 'Atlantis')).toMatchObject({ level: 'country', source: 'global_energy_mix' });
+        expect(emissions.getCarbonIntensityDetails('XX')).toMatchObject({ level: 'world', carbonIntensity: emissions.worldAverageCarbonIntensity });
+    });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmissionsReport = require('../src/report');
+
+const HEADER = 'timestamp,project_name,run_id,experiment_id,duration,emissions,energy_consumed,country_iso_code';
+
+describe('EmissionsReport', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-report-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const write = (name, lines) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, [HEADER, ...lines].join('\n'));
+        return file;
+    };
+
+    test('merges files, dropping duplicate rows and rows with invalid timestamps', async () => {
+        const first = write('a.csv', [
+            '2024-01-15T12:00:00Z,api,run-1,,60,0.002,0.01,FR',
+            'yesterday,api,run-2,,60,0.002,0.01,FR'
+        ]);
+        const second = write('b.csv', [
+            '2024-01-15T12:00:00Z,api,run-1,,60,0.002,0.01,FR',
+            '2024-01-16T12:00:00Z,api,run-3,,30,0.001,0.005,FRA'
+        ]);
+        const report = new EmissionsReport();
+
+        const records = await report.load([second, first]);
+
+        expect(records.map(record => record.runId)).toEqual(['run-1', 'run-3']);
+        expect(records[0].countryCode).toBe('FRA');
+        expect(report.skipped).toEqual([{ file: first, row: 2, timestamp: 'yesterday' }]);
+    });
+
+    test('groups by day with period changes and an increasing trend', async () => {
+        const report = new EmissionsReport();
+        const records = await report.load(write('history.csv', [
+            '2024-01-15T09:00:00Z,api,r1,exp-a,60,0.001,0.01,FR',
+            '2024-01-15T18:00:00Z,api,r2,exp-a,60,0.001,0.01,FR',
+            '2024-01-16T09:00:00Z,api,r3,exp-b,60,0.003,0.01,DE',
+            '2024-01-17T09:00:00Z,batch,r4,exp-b,60,0.004,0.01,DE'
+        ]));
+
+        const summary = report.summarize(records, { project: 'api' });
+
+        expect(summary.totals.runs).toBe(3);
+        expect(summary.totals.emissions).toBeCloseTo(0.005);
+        expect(summary.groups.map(group => group.key)).toEqual(['2024-01-15', '2024-01-16']);
+        expect(summary.groups[1].change).toBeCloseTo(50);
+        expect(summary.trend.direction).toBe('increasing');
+        expect(report.formatTable(summary)).toContain('Trend: increasing');
+    });
+
+    test('filters by date and country and groups by experiment', async () => {
+        const report = new EmissionsReport();
+        const records = await report.load(write('history.csv', [
+            '2024-01-15T09:00:00Z,api,r1,exp-a,60,0.001,0.01,FR',
+            '2024-01-16T23:00:00Z,api,r2,exp-b,60,0.003,0.01,DE',
+            '2024-01-17T09:00:00Z,api,r3,exp-b,60,0.004,0.01,DE'
+        ]));
+
+        const summary = report.summarize(records, { to: '2024-01-16', country: 'DE', groupBy: 'experiment' });
+
+        expect(summary.groups).toHaveLength(1);
+        expect(summary.groups[0]).toMatchObject({ key: 'exp-b', runs: 1, change: null });
+        expect(summary.trend).toBeNull();
+    });
+
+    test('rejects invalid filters and group keys', () => {
+        const report = new EmissionsReport();
+
+        expect(() => report.summarize([], { from: 'soon' })).toThrow('Invalid date "soon"');
+        expect(() => report.summarize([{ timestamp: new Date() }], { groupBy: 'month' })).toThrow('Invalid groupBy "month"');
+    });
+
+    test('uses ISO week numbers', () => {
+        const report = new EmissionsReport();
+
+        expect(report.getISOWeek(new Date(Date.UTC(2021, 0, 3)))).toBe('2020-W53');
+        expect(report.getISOWeek(new Date(Date.UTC(2025, 7, 14)))).toBe('2025-W33');
+    });
+});
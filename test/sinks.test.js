@@ -0,0 +1,280 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { APISink, CSVSink, JSONLinesSink, JSONSink, SQLiteSink, CSV_COLUMNS, createSink } = require('../src/sinks');
+const OutputHandler = require('../src/output');
+const { OutputError } = require('../src/errors');
+const Logger = require('../src/logger');
+
+const logger = new Logger({ level: 'silent' });
+
+function record(overrides = {}) {
+    return {
+        timestamp: '2024-01-15T12:00:00.000Z',
+        project_name: 'nightly-build',
+        run_id: 'local-run',
+        duration: 10,
+        emissions: 0.002,
+        cpu_power: 30,
+        gpu_power: 0,
+        ram_power: 5,
+        cpu_energy: 0.004,
+        gpu_energy: 0,
+        ram_energy: 0.001,
+        energy_consumed: 0.005,
+        country_name: 'France',
+        country_iso_code: 'FRA',
+        on_cloud: 'N',
+        ...overrides
+    };
+}
+
+describe('file sinks', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-sinks-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('JSON Lines appends one record per line', async () => {
+        const filePath = path.join(dir, 'emissions.jsonl');
+        const sink = new JSONLinesSink({ path: filePath });
+
+        await sink.write(record());
+        await sink.write(record({ run_id: 'second-run' }));
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.run_id)).toEqual(['local-run', 'second-run']);
+    });
+
+    test('JSON keeps an array and refuses to overwrite other content', async () => {
+        const filePath = path.join(dir, 'emissions.json');
+
+        await new JSONSink({ path: filePath }).write(record());
+        await new JSONSink({ path: filePath }).write(record({ run_id: 'second-run' }));
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toHaveLength(2);
+
+        fs.writeFileSync(filePath, '{"runs": []}');
+        await expect(new JSONSink({ path: filePath }).write(record())).rejects.toThrow('does not contain a JSON array');
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('{"runs": []}');
+    });
+
+    test('SQLite creates the table, adds missing columns and inserts the columns in order', async () => {
+        const statements = [];
+        const inserted = [];
+        class FakeDatabase {
+            constructor(filePath) { this.filePath = filePath; }
+            exec(sql) { statements.push(sql); }
+            prepare(sql) {
+                statements.push(sql);
+                // An existing table from before the status column
+                const columns = CSV_COLUMNS.filter(column => column !== 'status').map(name => ({ name }));
+                return { run: (...values) => inserted.push(values), all: () => columns };
+            }
+            close() {}
+        }
+        const sink = new SQLiteSink({ path: path.join(dir, 'emissions.db'), table: 'runs', driver: FakeDatabase });
+
+        await sink.write(record());
+        await sink.close();
+
+        expect(statements[0]).toMatch(/^CREATE TABLE IF NOT EXISTS runs \(timestamp TEXT, .*duration REAL/);
+        expect(statements).toContain('ALTER TABLE runs ADD COLUMN status TEXT');
+        expect(inserted).toHaveLength(1);
+        expect(inserted[0]).toHaveLength(CSV_COLUMNS.length);
+        expect(inserted[0][CSV_COLUMNS.indexOf('region')]).toBeNull();
+        expect(() => new SQLiteSink({ table: 'runs; DROP TABLE x' })).toThrow('Invalid SQLite table name');
+    });
+});
+
+describe('createSink', () => {
+    test('picks the sink from the type, file extension or value', () => {
+        expect(createSink('jsonl')).toBeInstanceOf(JSONLinesSink);
+        expect(createSink('results/emissions.ndjson')).toBeInstanceOf(JSONLinesSink);
+        expect(createSink({ path: 'runs.sqlite' })).toBeInstanceOf(SQLiteSink);
+        expect(createSink(() => {}).name).toBe('callback');
+
+        const custom = createSink({ write: async () => {} });
+        expect(custom.name).toBe('custom');
+        expect(custom.describe()).toBe('custom');
+    });
+
+    test('rejects unknown outputs', () => {
+        expect(() => createSink('emissions.xml')).toThrow('Unknown output type "emissions.xml"');
+        expect(() => createSink(42)).toThrow('Invalid output: 42');
+    });
+});
+
+describe('OutputHandler', () => {
+    test('writes to the remaining sinks when one fails', async () => {
+        const received = [];
+        const handler = new OutputHandler({
+            logger: logger,
+            outputs: [
+                { name: 'broken', write: async () => { throw new Error('disk full'); } },
+                (csvRecord, data) => received.push({ csvRecord, data })
+            ]
+        });
+
+        const results = await handler.saveData({ projectName: 'nightly-build', emissions: 0.002, countryCode: 'FRA' });
+
+        expect(results.map(result => result.success)).toEqual([false, true]);
+        expect(results[0].error).toBeInstanceOf(OutputError);
+        expect(results[0].error).toMatchObject({ sink: 'broken', code: 'GREENCARBON_OUTPUT' });
+        expect(results[0].error.cause.message).toBe('disk full');
+        expect(received[0].csvRecord).toMatchObject({ project_name: 'nightly-build', emissions: 0.002, country_iso_code: 'FRA' });
+        expect(received[0].data.emissions).toBe(0.002);
+    });
+
+    test('has no sinks when saveToFile is false', async () => {
+        expect(await new OutputHandler({ saveToFile: false }).saveData({})).toEqual([]);
+    });
+});
+
+describe('APISink', () => {
+    let server;
+    let endpoint;
+    let requests;
+    let failWith;
+    let dir;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body) });
+                if (failWith) {
+                    res.writeHead(failWith);
+                    return res.end();
+                }
+                const ids = { '/experiments': 'experiment-1', '/runs': 'run-1' };
+                res.writeHead(201, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(ids[req.url] ? { id: ids[req.url] } : {}));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        endpoint = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        failWith = null;
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-api-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const createSink = (options = {}) => new APISink({
+        endpoint: endpoint,
+        projectId: 'project-1',
+        apiKey: 'secret',
+        retries: 0,
+        queueFile: path.join(dir, 'queue.jsonl'),
+        logger: logger,
+        ...options
+    });
+
+    test('creates the experiment and run, then posts the emissions', async () => {
+        await createSink().write(record());
+
+        expect(requests.map(request => `${request.method} ${request.url}`)).toEqual([
+            'POST /experiments',
+            'POST /runs',
+            'POST /emissions'
+        ]);
+        expect(requests[0].headers['x-api-token']).toBe('secret');
+        expect(requests[0].body).toMatchObject({ name: 'nightly-build', project_id: 'project-1', country_iso_code: 'FRA' });
+        expect(requests[1].body.experiment_id).toBe('experiment-1');
+        expect(requests[2].body).toMatchObject({ run_id: 'run-1', duration: 10, emissions_sum: 0.002, energy_consumed: 0.005 });
+    });
+
+    test('sends only the emissions since the previous payload of a run', async () => {
+        const sink = createSink({ experimentId: 'existing-experiment' });
+
+        await sink.write(record());
+        await sink.write(record({ duration: 25, emissions: 0.005, energy_consumed: 0.012 }));
+
+        const emissions = requests.filter(request => request.url === '/emissions').map(request => request.body);
+        expect(requests.filter(request => request.url === '/experiments')).toHaveLength(0);
+        expect(emissions).toHaveLength(2);
+        expect(emissions[1].duration).toBe(15);
+        expect(emissions[1].emissions_sum).toBeCloseTo(0.003);
+        expect(emissions[1].energy_consumed).toBeCloseTo(0.007);
+    });
+
+    test('queues payloads while the API is down and sends them first once it is back', async () => {
+        failWith = 503;
+        const queueFile = path.join(dir, 'queue.jsonl');
+
+        await expect(createSink().write(record())).rejects.toThrow('1 payload(s) queued');
+        expect(fs.readFileSync(queueFile, 'utf8').trim().split('\n')).toHaveLength(1);
+
+        failWith = null;
+        requests = [];
+        await createSink().write(record({ run_id: 'next-run' }));
+
+        const emissions = requests.filter(request => request.url === '/emissions');
+        expect(emissions).toHaveLength(2);
+        expect(fs.existsSync(queueFile)).toBe(false);
+    });
+
+    test('drops payloads the API rejects', async () => {
+        failWith = 400;
+        const sink = createSink();
+
+        await sink.write(record());
+
+        expect(requests).toHaveLength(1);
+        expect(sink.queue).toEqual([]);
+    });
+});
+
+describe('CSVSink', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'green-carbon-csv-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('writes the header once and appends rows', async () => {
+        const filePath = path.join(dir, 'emissions.csv');
+
+        await new CSVSink({ path: filePath, logger }).write(record());
+        await new CSVSink({ path: filePath, logger }).write(record({ run_id: 'second-run' }));
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        expect(lines[0]).toBe(CSV_COLUMNS.join(','));
+        expect(lines).toHaveLength(3);
+    });
+
+    test('adds missing columns to an existing file', async () => {
+        const filePath = path.join(dir, 'emissions.csv');
+        fs.writeFileSync(filePath, 'timestamp,project_name,run_id,emissions\n2023-12-01T00:00:00.000Z,old,old-run,0.1\n');
+
+        await new CSVSink({ path: filePath, logger }).write(record());
+
+        const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+        const header = lines[0].split(',');
+        expect(header.slice(0, 4)).toEqual(['timestamp', 'project_name', 'run_id', 'emissions']);
+        expect(header).toEqual(expect.arrayContaining(CSV_COLUMNS));
+        expect(lines).toHaveLength(3);
+        expect(lines[1].startsWith('2023-12-01T00:00:00.000Z,old,old-run,0.1,')).toBe(true);
+        expect(lines[2]).toContain('local-run');
+    });
+});
@@ -0,0 +1,102 @@
+const EmissionsTracker = require('../src/tracker');
+const EmissionsReport = require('../src/report');
+
+describe('task tracking', () => {
+    let tracker;
+    let saved;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        saved = [];
+        tracker = new EmissionsTracker({
+            countryCode: 'FR',
+            measurePowerSecs: 3600,
+            forceCpuPower: 36,
+            outputs: [record => saved.push(record)]
+        });
+    });
+
+    afterEach(async () => {
+        if (tracker.isTracking) await tracker.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('needs a running tracker and a task name', async () => {
+        expect(() => tracker.startTask('train')).toThrow('emissions tracking is not running');
+
+        await tracker.start();
+        expect(() => tracker.startTask('')).toThrow('Task name is required');
+        expect(() => tracker.stopTask('unknown')).toThrow('No running task "unknown"');
+    });
+
+    test('estimates the energy since the last measurement from the latest power', async () => {
+        await tracker.start();
+        const startTime = Date.now();
+
+        tracker.startTask('predict');
+        const task = tracker.stopTask('predict', startTime + 100 * 1000);
+
+        // 36 W for 100 s is 1 Wh
+        expect(task.taskName).toBe('predict');
+        expect(task.cpuEnergy).toBeCloseTo(0.001, 5);
+        expect(task.energyConsumed).toBeCloseTo(task.cpuEnergy + task.ramEnergy + task.gpuEnergy + task.otherEnergy, 10);
+        expect(task.emissions).toBeCloseTo(task.energyConsumed * tracker.measurements[0].carbonIntensity / 1000, 8);
+    });
+
+    test('stops nested tasks by name, most recent first, and combines them by name', async () => {
+        await tracker.start();
+
+        const outer = tracker.startTask('epoch');
+        tracker.startTask('batch');
+        tracker.startTask('batch');
+        tracker.stopTask('batch');
+        expect(tracker.activeTasks.map(task => task.name)).toEqual(['epoch', 'batch']);
+        tracker.stopTask('batch');
+        tracker.stopTask(outer);
+
+        const results = tracker.getTaskResults();
+        expect(results.map(task => [task.taskName, task.count])).toEqual([['batch', 2], ['epoch', 1]]);
+    });
+
+    test('ends the task of a failing function and rethrows', async () => {
+        await tracker.start();
+
+        await expect(tracker.trackTask('load', async () => { throw new Error('missing file'); })).rejects.toThrow('missing file');
+        expect(tracker.activeTasks).toEqual([]);
+        expect(tracker.completedTasks.map(task => task.taskName)).toEqual(['load']);
+    });
+
+    test('writes the run row followed by one row per task name', async () => {
+        await tracker.start();
+        await tracker.trackTask('predict', async () => 'ok');
+        await tracker.trackTask('predict', async () => 'ok');
+        tracker.startTask('cleanup');
+
+        await tracker.stop();
+
+        expect(saved.map(record => record.task_name)).toEqual(['', 'predict', 'cleanup']);
+        expect(new Set(saved.map(record => record.run_id)).size).toBe(1);
+        expect(tracker.results.tasks.find(task => task.taskName === 'predict').count).toBe(2);
+    });
+});
+
+describe('EmissionsReport task rows', () => {
+    const record = (taskName, emissions) => ({
+        timestamp: new Date('2024-01-15T12:00:00Z'),
+        runId: 'run-1',
+        projectName: 'api',
+        taskName: taskName,
+        emissions: emissions,
+        energyConsumed: 0,
+        duration: 0
+    });
+
+    test('only counts task rows when grouping by task', () => {
+        const report = new EmissionsReport();
+        const records = [record('', 0.003), record('predict', 0.002), record('cleanup', 0.001)];
+
+        expect(report.summarize(records, { groupBy: 'day' }).totals.emissions).toBeCloseTo(0.003);
+        expect(report.summarize(records, { groupBy: 'task' }).groups.map(group => group.key)).toEqual(['predict', 'cleanup']);
+    });
+});
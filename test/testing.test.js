@@ -0,0 +1,143 @@
+const path = require('path');
+const SuiteEmissions = require('../src/testing');
+const GreenCarbonJestReporter = require('../src/jest-reporter');
+const { createReporter } = require('../src/node-test-reporter');
+
+/**
+ * Tracker stand-in consuming 1 kWh of CPU energy (and 1 kg CO2) per second
+ */
+function fakeTracker() {
+    return {
+        tasks: [],
+        results: null,
+        start: async () => {},
+        async stop() { this.results = { emissions: 3, energyConsumed: 3 }; },
+        getEnergySnapshot: now => ({ cpu: now / 1000, ram: 0, gpu: 0, other: 0, emissions: now / 1000 }),
+        recordTask(task) { this.tasks.push(task); }
+    };
+}
+
+describe('SuiteEmissions', () => {
+    let tracker;
+    let suite;
+    let logged;
+
+    beforeEach(() => {
+        tracker = fakeTracker();
+        logged = [];
+        suite = new SuiteEmissions({ tracker, rootDir: '/repo', topN: 2, log: message => logged.push(message) });
+    });
+
+    test('shares the energy between the files running at the same time', () => {
+        suite.beginFile('/repo/test/a.test.js', 0);
+        suite.beginFile('/repo/test/b.test.js', 1000);
+        suite.endFile('/repo/test/a.test.js', [], 2000);
+        suite.endFile('/repo/test/b.test.js', [], 3000);
+
+        // a: 1 alone + 0.5 shared; b: 0.5 shared + 1 alone
+        expect(suite.files.map(file => [file.taskName, file.energyConsumed, file.emissions, file.duration])).toEqual([
+            ['test/a.test.js', 1.5, 1.5, 2],
+            ['test/b.test.js', 1.5, 1.5, 2]
+        ]);
+    });
+
+    test("splits a file's energy between its tests by duration", () => {
+        suite.beginFile('test/a.test.js', 0);
+        suite.endFile('test/a.test.js', [
+            { name: 'slow', duration: 1500, status: 'passed' },
+            { name: 'fast', duration: 500, status: 'failed' }
+        ], 2000);
+
+        expect(suite.files[0].status).toBe('failed');
+        expect(suite.tests.map(test => [test.taskName, test.energyConsumed, test.duration])).toEqual([
+            ['test/a.test.js › slow', 1.5, 1.5],
+            ['test/a.test.js › fast', 0.5, 0.5]
+        ]);
+    });
+
+    test('records files and tests as tasks and prints the top tests', async () => {
+        suite.beginFile('test/a.test.js', 0);
+        suite.endFile('test/a.test.js', [
+            { name: 'first', duration: 100, status: 'passed' },
+            { name: 'second', duration: 300, status: 'passed' },
+            { name: 'third', duration: 200, status: 'passed' }
+        ], 1000);
+        suite.beginFile('test/b.test.js', 1000);
+
+        const { files, tests } = await suite.stop();
+
+        // The file still running when the suite stops ends with it
+        expect(files.map(file => file.taskName)).toEqual(['test/a.test.js', 'test/b.test.js']);
+        expect(tracker.tasks).toHaveLength(files.length + tests.length);
+        expect(suite.getTopTests().map(test => test.testName)).toEqual(['second', 'third']);
+        expect(logged[0]).toContain('Top 2 most carbon-expensive tests');
+        expect(logged[0]).toContain('Total: 3000.000 g CO₂');
+    });
+});
+
+describe('GreenCarbonJestReporter', () => {
+    test('passes the file results to the suite', async () => {
+        const reporter = new GreenCarbonJestReporter({ rootDir: '/repo' }, { topN: 3 });
+        const suite = new SuiteEmissions({ tracker: fakeTracker(), rootDir: '/repo', log: () => {} });
+        reporter.suite = suite;
+
+        await reporter.onRunStart();
+        reporter.onTestFileStart({ path: '/repo/test/a.test.js' });
+        reporter.onTestFileResult({ path: '/repo/test/a.test.js' }, {
+            testResults: [{ fullName: 'math adds', title: 'adds', duration: 5, status: 'passed' }]
+        });
+        await reporter.onRunComplete();
+
+        expect(suite.files.map(file => file.taskName)).toEqual(['test/a.test.js']);
+        expect(suite.tests.map(test => test.taskName)).toEqual(['test/a.test.js › math adds']);
+        expect(reporter.getLastError()).toBeUndefined();
+    });
+
+    test('reports a tracker that fails to start instead of failing the run', async () => {
+        const reporter = new GreenCarbonJestReporter({}, {});
+        const tracker = fakeTracker();
+        tracker.start = async () => { throw new Error('no hardware access'); };
+        tracker.stop = jest.fn();
+        reporter.suite = new SuiteEmissions({ tracker, log: () => {} });
+
+        await reporter.onRunStart();
+        await reporter.onRunComplete();
+
+        expect(reporter.getLastError().message).toBe('no hardware access');
+        expect(tracker.stop).not.toHaveBeenCalled();
+    });
+});
+
+describe('node:test reporter', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('names tests after their suites and only counts leaf tests', async () => {
+        const file = path.join(process.cwd(), 'test', 'math.test.js');
+        const event = (type, name, nesting, details) => ({ type, data: { file, name, nesting, details } });
+        // The order node --test reports a file with a describe() block; tests of the file start at nesting 0
+        async function* events() {
+            yield event('test:dequeue', file, 0);
+            yield event('test:start', 'math', 0);
+            yield event('test:start', 'adds', 1);
+            yield event('test:pass', 'adds', 1, { duration_ms: 3 });
+            yield event('test:start', 'divides', 1);
+            yield event('test:fail', 'divides', 1, { duration_ms: 1 });
+            yield event('test:pass', 'math', 0, { duration_ms: 5, type: 'suite' });
+            yield event('test:complete', file, 0, { duration_ms: 6 });
+        }
+
+        const reporter = createReporter({ countryCode: 'FR', saveToFile: false, measurePowerSecs: 3600 });
+        const output = [];
+        for await (const chunk of reporter(events())) output.push(chunk);
+
+        expect(output.join('')).toContain('Files: 1, tests: 2');
+        expect(output.join('')).toContain('test/math.test.js › math › adds');
+    });
+});